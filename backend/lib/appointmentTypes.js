@@ -0,0 +1,76 @@
+// Resolving an appointment type into the slot options used by the generators
+// and the booking write paths.
+const { DateTime } = require('luxon');
+const AppointmentType = require('../models/AppointmentType');
+const { SchedulingError } = require('./errors');
+const { queryId } = require('./listQuery');
+
+function offeredBy(type, providerId) {
+  return !type.providers || type.providers.length === 0 ||
+    type.providers.some(p => String(p._id || p) === String(providerId));
+}
+
+/**
+ * Load an active appointment type and check the provider offers it.
+ * Returns null when no id is given; a malformed id is a 400.
+ */
+async function resolveAppointmentType(typeId, provider) {
+  if (!typeId) return null;
+  const type = await AppointmentType.findById(queryId(typeId, 'appointmentTypeId')).lean();
+  if (!type || !type.active) {
+    throw new SchedulingError('Appointment type not found', 404, 'APPOINTMENT_TYPE_NOT_FOUND');
+  }
+  if (provider && !offeredBy(type, provider._id)) {
+    throw new SchedulingError('Provider does not offer this appointment type', 400, 'APPOINTMENT_TYPE_NOT_OFFERED');
+  }
+  return type;
+}
+
+/**
+ * The type an existing booking was made with, retired or no longer offered by
+ * its provider included, so old bookings keep their duration and buffers.
+ * Returns null when no id is given or the type is gone.
+ */
+async function bookedAppointmentType(typeId) {
+  if (!typeId) return null;
+  return AppointmentType.findById(typeId).lean();
+}
+
+// { duration, bufferBefore, bufferAfter, resourceIds? } for generateSlotsForRange;
+// {} means rule defaults
+function slotOptions(type) {
+  if (!type) return {};
+  const options = {
+    duration: type.duration,
+    bufferBefore: type.bufferBefore || 0,
+    bufferAfter: type.bufferAfter || 0
+  };
+  if (type.requiredResources && type.requiredResources.length) {
+    options.resourceIds = type.requiredResources.map(String);
+  }
+  return options;
+}
+
+/**
+ * End time for a visit of this type starting at `start` (ISO, read in tz when it
+ * has no offset). A caller-supplied end must agree with the type's duration.
+ */
+function endForType(type, start, end, tz = 'UTC') {
+  if (!type) return end;
+  const expected = DateTime.fromISO(start, { zone: tz }).plus({ minutes: type.duration });
+  if (!end) return expected.isValid ? expected.toISO() : end;
+  if (+DateTime.fromISO(end, { zone: tz }) !== +expected) {
+    throw new SchedulingError(`${type.name} appointments last ${type.duration} minutes`, 400, 'DURATION_MISMATCH');
+  }
+  return end;
+}
+
+// Occupied interval of a visit: start/end (Date) widened by the type's buffers.
+function blockFor(type, start, end) {
+  return {
+    blockStart: new Date(start.getTime() - ((type && type.bufferBefore) || 0) * 60000),
+    blockEnd: new Date(end.getTime() + ((type && type.bufferAfter) || 0) * 60000)
+  };
+}
+
+module.exports = { resolveAppointmentType, bookedAppointmentType, slotOptions, offeredBy, endForType, blockFor };
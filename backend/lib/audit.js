@@ -0,0 +1,97 @@
+// Append-only audit trail of writes to bookings, patients and providers.
+// Routes call recordAudit after a successful write with the record before and
+// after it; the entry carries the signed-in user and the request id. A failed
+// audit insert is logged, not raised: the write it describes already happened.
+const crypto = require('crypto');
+const AuditEntry = require('../models/AuditEntry');
+
+// never copied into the log: secrets and bookkeeping
+const OMIT = ['__v', 'calendarToken', 'passwordHash', 'token', 'holdToken', 'updatedAt'];
+
+const REQUEST_ID_RE = /^[\w.:-]{1,100}$/;
+
+/**
+ * Express middleware: req.id from an incoming X-Request-Id (when sane) or a
+ * fresh UUID, echoed back in the response header.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Plain JSON copy of a doc (ids and dates as strings), minus OMIT fields.
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+  for (const key of OMIT) delete plain[key];
+  return plain;
+}
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Field-level difference of two snapshots: [{ path: 'a.b', from, to }]. Nested
+ * objects are walked; arrays are compared (and reported) whole.
+ */
+function diff(before, after, prefix = '', out = []) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    const path = prefix + key;
+    if (isPlainObject(from) && isPlainObject(to)) {
+      diff(from, to, `${path}.`, out);
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      out.push({ path, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  }
+  return out;
+}
+
+// Who an entry is attributed to; opts.actor overrides req.user (e.g. sign-up).
+function actorOf(req, actor) {
+  const user = actor || (req && req.user);
+  if (!user) return { username: 'system' };
+  return { id: user.id || user._id, username: user.username, role: user.role };
+}
+
+/**
+ * Record one write. before is null for creates.
+ *   recordAudit(req, 'booking.cancel', 'Booking', beforeDoc, afterDoc)
+ * opts: { actor } when the request has no signed-in user yet.
+ * Resolves to the entry, or null when it could not be written.
+ */
+async function recordAudit(req, action, entityType, before, after, opts = {}) {
+  const beforeSnap = snapshot(before);
+  const afterSnap = snapshot(after);
+  const entity = afterSnap || beforeSnap;
+  try {
+    return await AuditEntry.create({
+      actor: actorOf(req, opts.actor),
+      action,
+      entityType,
+      entityId: entity._id,
+      requestId: req && req.id,
+      before: beforeSnap,
+      after: afterSnap,
+      changes: diff(beforeSnap, afterSnap)
+    });
+  } catch (err) {
+    console.error(`audit ${action} ${entityType} ${entity && entity._id} not recorded`, err);
+    return null;
+  }
+}
+
+/**
+ * Record the same action for several records (series-wide changes), pairing
+ * each of `afters` with the record of the same _id in `befores`.
+ */
+function recordAuditMany(req, action, entityType, befores, afters) {
+  const beforeById = new Map(befores.map(b => [String(b._id), b]));
+  return Promise.all(afters.map(after =>
+    recordAudit(req, action, entityType, beforeById.get(String(after._id)) || null, after)));
+}
+
+module.exports = { requestId, snapshot, diff, recordAudit, recordAuditMany };
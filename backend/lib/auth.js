@@ -0,0 +1,224 @@
+// Local username/password accounts, signed bearer tokens and role checks.
+// Tokens are HS256 JWTs signed with JWT_SECRET (AUTH_TOKEN_TTL_MINUTES, default
+// 720); passwords are stored as scrypt hashes. Roles:
+//   admin    - everything
+//   staff    - front desk: books, moves and cancels for any patient
+//   provider - their own schedule, imports and bookings
+//   patient  - their own appointments, holds and waitlist entries
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/User');
+const { SchedulingError, sendError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = User.schema.path('role').enumValues;
+const TOKEN_TTL_MINUTES = Number(process.env.AUTH_TOKEN_TTL_MINUTES) || 720;
+const MIN_PASSWORD_LENGTH = 8;
+
+let secret = process.env.JWT_SECRET;
+function jwtSecret() {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('JWT_SECRET is not set; using a random secret, so tokens end with this process');
+  }
+  return secret;
+}
+
+function forbidden(message = 'Not allowed') {
+  return new SchedulingError(message, 403, 'FORBIDDEN');
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new SchedulingError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'WEAK_PASSWORD');
+  }
+}
+
+// "scrypt$<salt>$<hash>", both base64
+async function hashPassword(password) {
+  checkPassword(password);
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const base64url = value => Buffer.from(value).toString('base64url');
+const sign = data => crypto.createHmac('sha256', jwtSecret()).update(data).digest('base64url');
+
+/**
+ * Token for a User doc. Returns { token, expiresAt }.
+ */
+function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: String(user._id), role: user.role, iat: now, exp: now + TOKEN_TTL_MINUTES * 60 };
+  const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+  return { token: `${unsigned}.${sign(unsigned)}`, expiresAt: new Date(payload.exp * 1000) };
+}
+
+// Payload of a valid, unexpired token, else null.
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    if (header.alg !== 'HS256' || !payload.sub || !(payload.exp > Date.now() / 1000)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+// What routes see as req.user
+const principal = user => ({
+  id: String(user._id),
+  username: user.username,
+  role: user.role,
+  provider: user.provider ? String(user.provider) : null,
+  patient: user.patient ? String(user.patient) : null
+});
+
+/**
+ * Check username/password. Resolves to { token, expiresAt, user } or throws
+ * 401 INVALID_CREDENTIALS (same answer for unknown users and bad passwords).
+ */
+async function login(username, password) {
+  const user = await User.findOne({ username: String(username || '').toLowerCase().trim() }).select('+passwordHash');
+  if (!user || !user.active || !(await verifyPassword(password, user.passwordHash))) {
+    throw new SchedulingError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
+  }
+  user.lastLoginAt = new Date();
+  await user.save();
+  return { ...signToken(user), user: principal(user) };
+}
+
+// Bearer token of a request. EventSource cannot send headers, so event
+// streams (GET, Accept: text/event-stream) may pass it as ?access_token=.
+function tokenOf(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (match) return match[1];
+  const isStream = req.method === 'GET' && /text\/event-stream/.test(req.get('accept') || '');
+  return isStream ? req.query.access_token : null;
+}
+
+/**
+ * Express middleware: requires `Authorization: Bearer <token>` for an active
+ * account and sets req.user (see principal). The account is re-read on every
+ * request, so deactivation and role changes apply at once.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const token = tokenOf(req);
+    const payload = token && verifyToken(token);
+    const user = payload && (await User.findById(payload.sub).lean());
+    if (!user || !user.active) {
+      return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+    }
+    req.user = principal(user);
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// Middleware: only these roles (admins always pass).
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.user && (req.user.role === 'admin' || roles.includes(req.user.role))) return next();
+    sendError(res, forbidden());
+  };
+}
+
+const idOf = value => (value && value._id ? value._id : value);
+const sameId = (a, b) => a != null && b != null && String(idOf(a)) === String(idOf(b));
+const isStaff = user => user.role === 'admin' || user.role === 'staff';
+
+// Book for / read / update this patient: staff, or the patient themselves.
+const canActForPatient = (user, patientId) =>
+  isStaff(user) || (user.role === 'patient' && sameId(user.patient, patientId));
+
+// Change this provider's schedule, feeds and imports: admins and the provider.
+const canManageProvider = (user, providerId) =>
+  user.role === 'admin' || (user.role === 'provider' && sameId(user.provider, providerId));
+
+// See the provider's bookings (who is booked when): staff and the provider.
+const canSeeProviderBookings = (user, providerId) =>
+  isStaff(user) || (user.role === 'provider' && sameId(user.provider, providerId));
+
+// Anything with provider/patient fields (Booking, BookingSeries, WaitlistEntry, ...).
+const canAccessBooking = (user, doc) =>
+  isStaff(user) ||
+  (user.role === 'provider' && sameId(user.provider, doc.provider)) ||
+  (user.role === 'patient' && sameId(user.patient, doc.patient));
+
+// Throw FORBIDDEN unless allowed.
+function assertAllowed(allowed, message) {
+  if (!allowed) throw forbidden(message);
+}
+
+/**
+ * Patient a request acts for: patients always act for themselves (a different
+ * patientId is FORBIDDEN); staff name one. Others may not book for patients.
+ */
+function patientFor(user, patientId) {
+  if (user.role === 'patient') {
+    assertAllowed(!patientId || sameId(user.patient, patientId), 'Patients can only book for themselves');
+    return user.patient;
+  }
+  assertAllowed(isStaff(user), 'Only staff can book for patients');
+  return patientId;
+}
+
+/**
+ * First start: create the admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+ * when no admin exists yet, so a fresh install can be signed into.
+ */
+async function ensureAdminUser() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+  if (await User.exists({ role: 'admin' })) return null;
+  const user = await User.create({ username: ADMIN_USERNAME, passwordHash: await hashPassword(ADMIN_PASSWORD), role: 'admin' });
+  console.log(`Created admin account ${user.username}`);
+  return user;
+}
+
+// Narrow a list query to the records the user may see.
+function scopeToUser(user, query) {
+  if (user.role === 'patient') query.patient = user.patient;
+  if (user.role === 'provider') query.provider = user.provider;
+  return query;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  login,
+  ensureAdminUser,
+  authenticate,
+  requireRole,
+  principal,
+  isStaff,
+  canActForPatient,
+  canManageProvider,
+  canSeeProviderBookings,
+  canAccessBooking,
+  assertAllowed,
+  patientFor,
+  scopeToUser,
+  forbidden
+};
@@ -0,0 +1,129 @@
+// Everything that occupies a provider's time: active bookings, live holds and
+// busy blocks imported from external calendars; plus, for visits that need
+// rooms or equipment, whatever occupies those resources.
+// Shared by the slot generators and by every write path that checks overlap.
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const BusyBlock = require('../models/BusyBlock');
+const Resource = require('../models/Resource');
+const { INACTIVE_STATUSES } = require('./bookingStatus');
+
+// The occupied interval of a booking/hold, including its buffers.
+// Documents written before buffers existed only have start/end.
+function blockOf(doc) {
+  return { start: doc.blockStart || doc.start, end: doc.blockEnd || doc.end };
+}
+
+function overlapsBlock(from, to, doc) {
+  const block = blockOf(doc);
+  return from < block.end && to > block.start;
+}
+
+function overlapQuery(providerId, from, to) {
+  return {
+    provider: providerId,
+    ...blockOverlap(from, to)
+  };
+}
+
+function blockOverlap(from, to) {
+  return {
+    $or: [
+      { blockStart: { $lt: to }, blockEnd: { $gt: from } },
+      { blockStart: { $exists: false }, start: { $lt: to }, end: { $gt: from } }
+    ]
+  };
+}
+
+/**
+ * Active bookings, unexpired holds and busy blocks overlapping [from, to).
+ * from/to: Date
+ * opts.excludeHoldId: ignore this hold (used when confirming it)
+ * opts.excludeBookingId: ignore this booking (used when moving it)
+ * opts.resourceIds: also return `resources: [{ resource, bookings, holds }]`,
+ *   what occupies each of these rooms/equipment. The provider's own bookings
+ *   are left out there; they are already in `bookings` (and may share a room
+ *   in a group session).
+ */
+async function findBlockers(providerId, from, to, opts = {}) {
+  const overlap = overlapQuery(providerId, from, to);
+
+  // cancelled and no-show bookings free their time
+  const bookingQuery = { ...overlap, status: { $nin: INACTIVE_STATUSES } };
+  if (opts.excludeBookingId) bookingQuery._id = { $ne: opts.excludeBookingId };
+
+  const holdQuery = { ...overlap, expiresAt: { $gt: new Date() } };
+  if (opts.excludeHoldId) holdQuery._id = { $ne: opts.excludeHoldId };
+
+  const [bookings, holds, busy] = await Promise.all([
+    Booking.find(bookingQuery).lean(),
+    Hold.find(holdQuery).select('-token').lean(),
+    BusyBlock.find({ provider: providerId, start: { $lt: to }, end: { $gt: from } }).lean()
+  ]);
+  const out = { bookings, holds, busy };
+  if (opts.resourceIds && opts.resourceIds.length) {
+    out.resources = await findResourceBlockers(providerId, opts.resourceIds, from, to, opts);
+  }
+  return out;
+}
+
+async function findResourceBlockers(providerId, resourceIds, from, to, opts) {
+  const others = { ...blockOverlap(from, to), resources: { $in: resourceIds }, provider: { $ne: providerId } };
+  const bookingQuery = { ...others, status: { $nin: INACTIVE_STATUSES } };
+  if (opts.excludeBookingId) bookingQuery._id = { $ne: opts.excludeBookingId };
+  const holdQuery = { ...others, expiresAt: { $gt: new Date() } };
+  if (opts.excludeHoldId) holdQuery._id = { $ne: opts.excludeHoldId };
+
+  const [resources, bookings, holds] = await Promise.all([
+    Resource.find({ _id: { $in: resourceIds } }).lean(),
+    Booking.find(bookingQuery).lean(),
+    Hold.find(holdQuery).select('-token').lean()
+  ]);
+  const uses = (doc, id) => (doc.resources || []).some(r => String(r) === String(id));
+  return resources.map(resource => ({
+    resource,
+    bookings: bookings.filter(b => uses(b, resource._id)),
+    holds: holds.filter(h => uses(h, resource._id))
+  }));
+}
+
+/**
+ * First booking, hold or busy block overlapping [start, end), or null.
+ * opts.capacity: seats in the slot (group sessions, see capacityAt). Busy time
+ *   always conflicts; bookings and holds only once they take every seat
+ *   ({ type: 'full', seatsTaken }).
+ * opts.patientId: with capacity > 1, a patient may not take two seats
+ *   ({ type: 'duplicate' }).
+ * opts.resourceIds: rooms/equipment that must be free too ({ type: 'resource', resource }).
+ */
+async function findConflict(providerId, start, end, opts = {}) {
+  const { bookings, holds, busy, resources } = await findBlockers(providerId, start, end, opts);
+  const capacity = opts.capacity || 1;
+
+  if (capacity <= 1) {
+    if (bookings.length) return { type: 'booking', doc: bookings[0] };
+    if (holds.length) return { type: 'hold', doc: holds[0] };
+    if (busy.length) return { type: 'busy', doc: busy[0] };
+    return firstResourceConflict(resources);
+  }
+
+  if (busy.length) return { type: 'busy', doc: busy[0] };
+  const resourceConflict = firstResourceConflict(resources);
+  if (resourceConflict) return resourceConflict;
+  const own = opts.patientId && bookings.find(b => String(b.patient) === String(opts.patientId));
+  if (own) return { type: 'duplicate', doc: own };
+  const seatsTaken = bookings.length + holds.length;
+  if (seatsTaken >= capacity) return { type: 'full', doc: bookings[0] || holds[0], seatsTaken };
+  return null;
+}
+
+// A resource someone else is using (booked or held), or null.
+function firstResourceConflict(resources = []) {
+  for (const r of resources) {
+    const doc = r.bookings[0] || r.holds[0];
+    if (doc) return { type: 'resource', resource: r.resource, doc };
+  }
+  return null;
+}
+
+module.exports = { findBlockers, findConflict, blockOf, overlapsBlock };
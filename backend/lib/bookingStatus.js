@@ -0,0 +1,81 @@
+// Booking lifecycle state machine.
+//
+//   booked ──> confirmed ──> checked_in ──> completed
+//     │            │
+//     ├────────────┴──> cancelled
+//     └────────────┴──> no_show
+//
+// cancelled and no_show no longer occupy the provider's time.
+const Booking = require('../models/Booking');
+const { SchedulingError } = require('./errors');
+const { publish } = require('./events');
+
+const TRANSITIONS = {
+  booked: ['confirmed', 'checked_in', 'cancelled', 'no_show'],
+  confirmed: ['checked_in', 'cancelled', 'no_show'],
+  checked_in: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// timestamp field stamped when a booking enters each state
+const TIMESTAMP_FIELDS = {
+  confirmed: 'confirmedAt',
+  checked_in: 'checkedInAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  no_show: 'noShowAt'
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+const INACTIVE_STATUSES = ['cancelled', 'no_show'];
+const RESCHEDULABLE_STATUSES = ['booked', 'confirmed'];
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a booking to status `to`, recording when and by whom.
+ * The write is conditional on the status we validated against, so two
+ * concurrent transitions cannot both succeed. Resolves to the updated booking.
+ * opts: { by, reason, scope } - scope is passed on in events when the change
+ *   is part of a series-wide cancel (see lib/series.js)
+ */
+async function transitionBooking(booking, to, opts = {}) {
+  const from = booking.status;
+  if (!canTransition(from, to)) {
+    throw new SchedulingError(`Cannot change booking from ${from} to ${to}`, 400, 'INVALID_TRANSITION');
+  }
+
+  const now = new Date();
+  if (to === 'no_show' && booking.start > now) {
+    throw new SchedulingError('Cannot mark a no-show before the appointment starts', 400, 'INVALID_TRANSITION');
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: from },
+    {
+      $set: { status: to, [TIMESTAMP_FIELDS[to]]: now },
+      $push: { statusHistory: { from, to, at: now, by: opts.by, reason: opts.reason } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new SchedulingError('Booking was changed by someone else, please retry', 409, 'STALE_BOOKING');
+  }
+
+  publish('booking.status_changed', { booking: updated.toObject(), from, to, by: opts.by });
+  if (to === 'cancelled') publish('booking.cancelled', { booking: updated.toObject(), by: opts.by, scope: opts.scope });
+  return updated;
+}
+
+module.exports = {
+  STATUSES,
+  INACTIVE_STATUSES,
+  RESCHEDULABLE_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  transitionBooking
+};
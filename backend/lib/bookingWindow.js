@@ -0,0 +1,69 @@
+// Notice period and booking horizon checks, in the provider's timezone.
+const { DateTime } = require('luxon');
+const { SchedulingError } = require('./errors');
+
+/**
+ * Notice/horizon problems with starting at slotStart (Luxon DateTime).
+ * Returns [] when bookable, else [{ code, message, ... }].
+ * opts.skipNotice: the notice period was already checked when the slot was
+ * held, so only a start that has passed is rejected.
+ */
+function bookingWindowReasons(provider, slotStart, opts = {}) {
+  const config = provider.scheduleConfig || {};
+  const tz = config.timezone || 'UTC';
+  const now = DateTime.now().setZone(tz);
+  const earliest = now.plus({ minutes: opts.skipNotice ? 0 : config.minNoticeMinutes || 0 });
+  const horizon = now.plus({ days: config.maxDaysAhead || 365 });
+
+  const reasons = [];
+  if (slotStart < earliest) {
+    reasons.push({
+      code: 'MIN_NOTICE',
+      message: 'Too soon to book this slot',
+      minNoticeMinutes: config.minNoticeMinutes || 0,
+      earliestStart: earliest.toUTC().toISO()
+    });
+  }
+  if (slotStart > horizon) {
+    reasons.push({
+      code: 'MAX_DAYS_AHEAD',
+      message: 'Too far ahead to book this slot',
+      maxDaysAhead: config.maxDaysAhead || 365,
+      latestStart: horizon.toUTC().toISO()
+    });
+  }
+  return reasons;
+}
+
+/**
+ * Parse and validate a requested start/end for a provider.
+ * opts: { skipNotice } as for bookingWindowReasons.
+ * Returns { tz, slotStart, slotEnd } as Luxon DateTimes; throws SchedulingError.
+ */
+function checkBookingWindow(provider, start, end, opts = {}) {
+  const config = provider.scheduleConfig || {};
+  const tz = config.timezone || 'UTC';
+  const slotStart = DateTime.fromISO(start, { zone: tz });
+  const slotEnd = DateTime.fromISO(end, { zone: tz });
+
+  if (!slotStart.isValid || !slotEnd.isValid || slotEnd <= slotStart) {
+    throw new SchedulingError('Invalid start/end time', 400, 'INVALID_TIME');
+  }
+
+  const [reason] = bookingWindowReasons(provider, slotStart, opts);
+  if (reason) throw new SchedulingError(reason.message, 400, reason.code, { reasons: [reason] });
+
+  return { tz, slotStart, slotEnd };
+}
+
+// Non-throwing variant for filtering generated slots: is `start` (Date/ISO)
+// inside the provider's notice period and booking horizon?
+function isWithinBookingWindow(provider, start) {
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+  const slotStart = start instanceof Date
+    ? DateTime.fromJSDate(start, { zone: tz })
+    : DateTime.fromISO(start, { zone: tz });
+  return bookingWindowReasons(provider, slotStart).length === 0;
+}
+
+module.exports = { checkBookingWindow, isWithinBookingWindow, bookingWindowReasons };
@@ -0,0 +1,174 @@
+// Booking write paths that must stay race-free. Every caller goes through the
+// per-provider lock (plus one per required room/equipment) so the overlap
+// check and the insert cannot interleave.
+const { DateTime } = require('luxon');
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const { withLocks } = require('./lock');
+const { findConflict } = require('./blockers');
+const { checkBookingWindow } = require('./bookingWindow');
+const { bookedAppointmentType, slotOptions, endForType, blockFor } = require('./appointmentTypes');
+const { scheduleReasons } = require('./explain');
+const { scheduleOf, capacityAt } = require('./scheduleWindows');
+const { resolveResources, checkResourcesOpen, resourceLockKey } = require('./resources');
+const { RESCHEDULABLE_STATUSES } = require('./bookingStatus');
+const { SchedulingError } = require('./errors');
+const { publish } = require('./events');
+
+const providerLockKey = providerId => `provider:${providerId}`;
+
+// Every lock a write for this provider and these resources must hold.
+const lockKeysFor = (provider, resources = []) =>
+  [providerLockKey(provider._id), ...resources.map(r => resourceLockKey(r._id))];
+
+function conflictError(conflict) {
+  if (conflict.type === 'hold') return new SchedulingError('Slot is currently on hold', 409, 'SLOT_HELD');
+  if (conflict.type === 'busy') return new SchedulingError('Provider is busy at this time', 400, 'PROVIDER_BUSY');
+  if (conflict.type === 'full') return new SchedulingError('No seats left in this session', 400, 'SLOT_FULL');
+  if (conflict.type === 'duplicate') return new SchedulingError('Patient is already booked in this session', 409, 'ALREADY_BOOKED');
+  if (conflict.type === 'resource') {
+    return new SchedulingError(`${conflict.resource.name} is in use`, 400, 'RESOURCE_BUSY', { resourceId: conflict.resource._id });
+  }
+  return new SchedulingError('Slot already booked', 400, 'SLOT_BOOKED');
+}
+
+/**
+ * The requested time must be a slot the engine publishes: inside a recurring
+ * rule or exception window, on its grid, with the right length, and not on a
+ * blackout date. Throws with every failing reason in `reasons`.
+ */
+function checkPublishedSlot(provider, slotStart, slotEnd, appointmentType) {
+  const reasons = scheduleReasons(provider, slotStart, slotEnd, slotOptions(appointmentType));
+  if (!reasons.length) return;
+  const primary = reasons.find(r => r.code !== 'DST_GAP') || reasons[0];
+  throw new SchedulingError(primary.message, 400, primary.code, { reasons });
+}
+
+/**
+ * Create a booking after re-checking the window and overlaps under the lock.
+ * In a group window (capacity > 1) overlapping bookings are fine until the
+ * seats run out; counting happens under the same lock, so it cannot overbook.
+ * provider: Provider doc
+ * params: { patientId, start, end, appointmentType, holdId, resourceIds }
+ *   start/end: ISO strings; end may be omitted when an appointment type is given
+ *   appointmentType: resolved AppointmentType (see lib/appointmentTypes)
+ *   holdId: hold being converted, excluded from the overlap check and removed; its
+ *     notice period was checked when it was placed, so it is not checked again
+ *     (a waitlist offer may be accepted up to an hour later)
+ *   resourceIds: rooms/equipment to reserve on top of the type's requiredResources
+ */
+async function createBooking(provider, { patientId, start, end, appointmentType, holdId, resourceIds }) {
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+  const { slotStart, slotEnd } = checkBookingWindow(provider, start, endForType(appointmentType, start, end, tz), {
+    skipNotice: Boolean(holdId)
+  });
+  checkPublishedSlot(provider, slotStart, slotEnd, appointmentType);
+  const resources = await resolveResources(appointmentType, resourceIds);
+  checkResourcesOpen(resources, slotStart, slotEnd);
+  const { blockStart, blockEnd } = blockFor(appointmentType, slotStart.toJSDate(), slotEnd.toJSDate());
+
+  const booking = await withLocks(lockKeysFor(provider, resources), async () => {
+    if (holdId && !(await Hold.exists({ _id: holdId, expiresAt: { $gt: new Date() } }))) {
+      throw new SchedulingError('Hold not found or expired', 404, 'HOLD_NOT_FOUND');
+    }
+
+    const conflict = await findConflict(provider._id, blockStart, blockEnd, {
+      excludeHoldId: holdId,
+      capacity: capacityAt(scheduleOf(provider), slotStart, slotEnd),
+      patientId,
+      resourceIds: resources.map(r => r._id)
+    });
+    if (conflict) throw conflictError(conflict);
+
+    const booking = new Booking({
+      provider: provider._id,
+      patient: patientId,
+      appointmentType: appointmentType ? appointmentType._id : undefined,
+      resources: resources.map(r => r._id),
+      start: slotStart.toJSDate(),
+      end: slotEnd.toJSDate(),
+      blockStart,
+      blockEnd,
+      status: 'booked'
+    });
+    await booking.save();
+
+    if (holdId) await Hold.deleteOne({ _id: holdId });
+    return booking;
+  });
+
+  publish('booking.created', { booking: booking.toObject() });
+  return booking;
+}
+
+/**
+ * Move a booking to a new time with the same schedule/notice/horizon/overlap checks as
+ * createBooking. Nothing is written unless every check passes; the previous
+ * times are appended to rescheduleHistory. Resolves to the updated booking.
+ * booking: Booking doc; provider: its Provider doc
+ * params: { start, end, reason } - end defaults to the appointment type's
+ *   duration, or the booking's current length when it has no type
+ */
+async function rescheduleBooking(booking, provider, { start, end, reason }) {
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    throw new SchedulingError(`Cannot reschedule a ${booking.status} booking`, 400, 'NOT_RESCHEDULABLE');
+  }
+
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+  // a type retired since the booking was made still sets its length and buffers
+  const appointmentType = await bookedAppointmentType(booking.appointmentType);
+  if (!end && !appointmentType) {
+    const lengthMs = booking.end.getTime() - booking.start.getTime();
+    const parsed = DateTime.fromISO(start, { zone: tz });
+    end = parsed.isValid ? parsed.plus({ milliseconds: lengthMs }).toISO() : undefined;
+  }
+  const { slotStart, slotEnd } = checkBookingWindow(provider, start, endForType(appointmentType, start, end, tz));
+  checkPublishedSlot(provider, slotStart, slotEnd, appointmentType);
+  // the rooms/equipment reserved with the booking move with it
+  const resources = await resolveResources(null, (booking.resources || []).map(String));
+  checkResourcesOpen(resources, slotStart, slotEnd);
+  const { blockStart, blockEnd } = blockFor(appointmentType, slotStart.toJSDate(), slotEnd.toJSDate());
+
+  let previous;
+  const moved = await withLocks(lockKeysFor(provider, resources), async () => {
+    // re-read under the lock so a concurrent cancel/move is not overwritten
+    const current = await Booking.findById(booking._id);
+    if (!current || !RESCHEDULABLE_STATUSES.includes(current.status)) {
+      throw new SchedulingError('Booking can no longer be rescheduled', 409, 'NOT_RESCHEDULABLE');
+    }
+
+    const conflict = await findConflict(provider._id, blockStart, blockEnd, {
+      excludeBookingId: current._id,
+      capacity: capacityAt(scheduleOf(provider), slotStart, slotEnd),
+      patientId: current.patient,
+      resourceIds: resources.map(r => r._id)
+    });
+    if (conflict) throw conflictError(conflict);
+
+    previous = { start: current.start, end: current.end };
+    // status changes do not take the lock: the write only lands if the status
+    // read above still holds, so a booking cancelled meanwhile is not moved
+    const updated = await Booking.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        $set: { start: slotStart.toJSDate(), end: slotEnd.toJSDate(), blockStart, blockEnd },
+        $push: { rescheduleHistory: { ...previous, changedAt: new Date(), reason } }
+      },
+      { new: true }
+    );
+    if (!updated) throw new SchedulingError('Booking can no longer be rescheduled', 409, 'NOT_RESCHEDULABLE');
+    return updated;
+  });
+
+  publish('booking.rescheduled', { booking: moved.toObject(), previous });
+  return moved;
+}
+
+module.exports = {
+  createBooking,
+  rescheduleBooking,
+  providerLockKey,
+  lockKeysFor,
+  conflictError,
+  checkPublishedSlot
+};
@@ -0,0 +1,167 @@
+// Importing external .ics calendars as provider busy time.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { DateTime } = require('luxon');
+const BusyBlock = require('../models/BusyBlock');
+const CalendarImport = require('../models/CalendarImport');
+const { parseBusyIntervals } = require('./icsParser');
+const { SchedulingError } = require('./errors');
+const { publish } = require('./events');
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_ICS_BYTES = 5 * 1024 * 1024; // same as the upload limit in routes/busyImports
+const MAX_REDIRECTS = 3;
+
+// Calendar URLs come from providers, so the server must not be pointed at
+// itself or the internal network: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and reserved ranges are refused.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([net4, prefix]) => BLOCKED.addSubnet(net4, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([net6, prefix]) => BLOCKED.addSubnet(net6, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// CALENDAR_FETCH_ALLOW_PRIVATE=true lifts the restriction (local development)
+const allowPrivate = () => process.env.CALENDAR_FETCH_ALLOW_PRIVATE === 'true';
+
+function privateAddressError() {
+  return new SchedulingError('Calendar URL points to a private or local address', 400, 'INVALID_CALENDAR_URL');
+}
+
+// dns.lookup that refuses private addresses. Checking the address actually
+// connected to (rather than resolving up front) also covers DNS rebinding.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (!allowPrivate() && addresses.some(isPrivateAddress)) return callback(privateAddressError());
+    callback(null, address, family);
+  });
+}
+
+/**
+ * GET an .ics URL (webcal: is fetched as https:). Redirects are followed a
+ * few times and each hop is checked again; bodies over MAX_ICS_BYTES are cut
+ * off. Resolves to the text; throws SchedulingError.
+ */
+function fetchIcs(url, redirects = 0) {
+  let target;
+  try {
+    target = new URL(String(url).replace(/^webcal:/i, 'https:'));
+  } catch (err) {
+    target = null;
+  }
+  if (!target || !['http:', 'https:'].includes(target.protocol)) {
+    return Promise.reject(new SchedulingError('Calendar URL must be http(s) or webcal', 400, 'INVALID_CALENDAR_URL'));
+  }
+  // IP literals never reach the lookup
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !allowPrivate() && isPrivateAddress(host)) return Promise.reject(privateAddressError());
+
+  const fetchFailed = reason => new SchedulingError(`Calendar fetch failed (${reason})`, 502, 'CALENDAR_FETCH_FAILED');
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(target, { lookup: publicLookup, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(fetchFailed('too many redirects'));
+        return resolve(fetchIcs(new URL(res.headers.location, target).href, redirects + 1));
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        return reject(fetchFailed(res.statusCode));
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_ICS_BYTES) {
+          reject(new SchedulingError('Calendar is larger than 5 MB', 400, 'CALENDAR_TOO_LARGE'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      res.on('error', err => reject(fetchFailed(err.message)));
+    });
+    req.on('error', err => reject(err instanceof SchedulingError ? err : fetchFailed(err.message)));
+  });
+}
+
+/**
+ * Replace the busy blocks of the import called `name` with the events in `ics`
+ * (or fetched from `url`). Recurrences are expanded from yesterday up to the
+ * provider's booking horizon; re-run the import to extend it.
+ *
+ * New blocks are written under a new generation before the old generation is
+ * deleted, so the provider is never briefly shown as free mid-import.
+ */
+async function importBusyCalendar(provider, { name, ics, url }) {
+  if (!name) throw new SchedulingError('name required', 400, 'NAME_REQUIRED');
+  if (!ics && !url) throw new SchedulingError('ics or url required', 400, 'ICS_REQUIRED');
+
+  const text = ics || await fetchIcs(url);
+  if (!/BEGIN:VCALENDAR/.test(text)) {
+    throw new SchedulingError('Not an iCalendar file', 400, 'INVALID_ICS');
+  }
+
+  const config = provider.scheduleConfig || {};
+  const zone = config.timezone || 'UTC';
+  const from = DateTime.now().setZone(zone).minus({ days: 1 }).startOf('day');
+  const to = DateTime.now().setZone(zone).plus({ days: (config.maxDaysAhead || 365) + 1 }).endOf('day');
+
+  let intervals;
+  try {
+    intervals = parseBusyIntervals(text, { zone, from, to });
+  } catch (err) {
+    throw new SchedulingError(`Could not read calendar: ${err.message}`, 400, 'INVALID_ICS');
+  }
+
+  const record = await CalendarImport.findOneAndUpdate(
+    { provider: provider._id, name },
+    // an uploaded file clears any URL so refresh is not attempted later
+    url ? { $inc: { generation: 1 }, $set: { url } } : { $inc: { generation: 1 }, $unset: { url: 1 } },
+    { upsert: true, new: true }
+  );
+
+  await BusyBlock.insertMany(intervals.map(i => ({
+    provider: provider._id,
+    calendarImport: record._id,
+    generation: record.generation,
+    start: i.start,
+    end: i.end,
+    uid: i.uid,
+    summary: i.summary
+  })));
+  await BusyBlock.deleteMany({ calendarImport: record._id, generation: { $ne: record.generation } });
+
+  record.eventCount = intervals.length;
+  record.lastImportedAt = new Date();
+  await record.save();
+  publish('provider.busy_updated', { provider: provider._id, calendarImport: record._id });
+  return record;
+}
+
+async function deleteBusyCalendar(providerId, importId) {
+  const record = await CalendarImport.findOneAndDelete({ _id: importId, provider: providerId });
+  if (!record) return null;
+  await BusyBlock.deleteMany({ calendarImport: record._id });
+  publish('provider.busy_updated', { provider: providerId, calendarImport: record._id });
+  return record;
+}
+
+module.exports = { importBusyCalendar, deleteBusyCalendar, fetchIcs, isPrivateAddress };
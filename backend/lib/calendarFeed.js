@@ -0,0 +1,96 @@
+// Subscribable .ics feeds of bookings, secured by a per-owner token.
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const Booking = require('../models/Booking');
+const { buildCalendar } = require('./ical');
+
+// how far back feeds reach; calendar apps keep their own copy of older events
+const FEED_PAST_DAYS = 90;
+
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'sandbox-scheduler';
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+function tokenMatches(expected, given) {
+  if (!expected || typeof given !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Return the owner's feed token, creating one if missing or rotating it.
+ * Model: Provider or Patient (both have a `calendarToken` field hidden by default)
+ */
+async function ensureFeedToken(Model, id, rotate = false) {
+  const owner = await Model.findById(id).select('+calendarToken');
+  if (!owner) return null;
+  if (!owner.calendarToken || rotate) {
+    owner.calendarToken = newToken();
+    await owner.save();
+  }
+  return owner.calendarToken;
+}
+
+// Load the owner only if the token is right; null otherwise.
+async function findFeedOwner(Model, id, token) {
+  const owner = await Model.findById(id).select('+calendarToken').lean();
+  if (!owner || !tokenMatches(owner.calendarToken, token)) return null;
+  return owner;
+}
+
+const displayName = p => [p.first_name, p.last_name].filter(Boolean).join(' ') || 'Patient';
+
+// One VEVENT per booking. UID is derived from the booking id so it survives
+// reschedules; SEQUENCE grows with every move or status change.
+function bookingToEvent(booking, perspective) {
+  const provider = booking.provider || {};
+  const patient = booking.patient || {};
+  const typeName = booking.appointmentType && booking.appointmentType.name;
+
+  const summary = perspective === 'provider'
+    ? `${typeName || 'Appointment'}: ${displayName(patient)}`
+    : `${typeName || 'Appointment'} with ${provider.name || 'provider'}`;
+
+  return {
+    uid: `booking-${booking._id}@${UID_DOMAIN}`,
+    start: booking.start,
+    end: booking.end,
+    tz: (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC',
+    summary,
+    description: `Status: ${booking.status}`,
+    status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    sequence: (booking.rescheduleHistory || []).length + (booking.statusHistory || []).length,
+    created: booking.createdAt,
+    lastModified: booking.updatedAt
+  };
+}
+
+/**
+ * Render the feed for a provider or patient.
+ * perspective: 'provider' | 'patient'
+ */
+async function renderFeed(perspective, owner) {
+  const since = DateTime.utc().minus({ days: FEED_PAST_DAYS }).toJSDate();
+  const bookings = await Booking.find({ [perspective]: owner._id, end: { $gte: since } })
+    .sort({ start: 1 })
+    .populate('provider', 'name scheduleConfig.timezone')
+    .populate('patient', 'first_name last_name')
+    .populate('appointmentType', 'name')
+    .lean();
+
+  const name = perspective === 'provider'
+    ? `${owner.name || 'Provider'} appointments`
+    : `${displayName(owner)} appointments`;
+
+  return buildCalendar({ name, events: bookings.map(b => bookingToEvent(b, perspective)) });
+}
+
+// Express helper: send an .ics body
+function sendCalendar(res, body) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.send(body);
+}
+
+module.exports = { ensureFeedToken, findFeedOwner, renderFeed, sendCalendar };
@@ -0,0 +1,24 @@
+// Error raised by scheduling helpers; routes turn it into a JSON response.
+// details (optional) are extra machine-readable fields merged into the body,
+// e.g. { reasons: [...] } naming the schedule rule a booking failed.
+class SchedulingError extends Error {
+  constructor(message, status = 400, code = 'SCHEDULING_ERROR', details) {
+    super(message);
+    this.name = 'SchedulingError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Shared catch-block for routes: known scheduling errors keep their status,
+// anything else is logged and reported as a 500.
+function sendError(res, err) {
+  if (err instanceof SchedulingError) {
+    return res.status(err.status).json({ ...err.details, error: err.message, code: err.code });
+  }
+  console.error(err);
+  return res.status(500).json({ error: 'Server error' });
+}
+
+module.exports = { SchedulingError, sendError };
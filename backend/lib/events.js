@@ -0,0 +1,48 @@
+// In-process bus for domain events. Publishers never wait for subscribers and
+// a failing subscriber cannot break the request that published the event.
+//
+// Event types:
+//   booking.created      { booking }
+//   booking.rescheduled  { booking, previous: { start, end } }
+//   booking.status_changed { booking, from, to }
+//   booking.cancelled    { booking, scope? }   (also sent as status_changed;
+//                        scope is set when part of a series-wide cancel)
+//   series.created       { series, bookings }  (after one booking.created per occurrence)
+//   series.cancelled     { series, bookings, scope }
+//   provider.schedule_updated { provider }
+//   waitlist.offered     { entry }
+//   provider.busy_updated { provider (id), calendarImport (id) }  (busy time imported or removed)
+//   hold.created         { hold }   (without its token)
+//   hold.released        { hold }   (released early or a waitlist offer closed;
+//                        holds that simply expire publish nothing)
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+/**
+ * Publish `type` with `payload`. Subscribers run on the next tick.
+ * Every event is also delivered to '*' subscribers as (type, payload).
+ */
+function publish(type, payload) {
+  const event = { type, at: new Date(), ...payload };
+  setImmediate(() => {
+    bus.emit(type, event);
+    bus.emit('*', type, event);
+  });
+}
+
+// Subscribe to one type, or '*' for all (handler receives (type, event)).
+function subscribe(type, handler) {
+  const wrapped = async (...args) => {
+    try {
+      await handler(...args);
+    } catch (err) {
+      console.error(`event handler for ${type} failed`, err);
+    }
+  };
+  bus.on(type, wrapped);
+  return () => bus.off(type, wrapped);
+}
+
+module.exports = { publish, subscribe };
@@ -0,0 +1,303 @@
+// "Why can't this time be booked?" Runs the same schedule, notice/horizon and
+// blocker checks as generateSlotsForRange and the booking write paths, but
+// collects every failing reason instead of stopping at the first.
+const { DateTime } = require('luxon');
+const { findBlockers, overlapsBlock } = require('./blockers');
+const { bookingWindowReasons } = require('./bookingWindow');
+const { resourceReasons } = require('./resources');
+const { scheduleOf, windowsForDay, blackoutFor, blockedFor, capacityAt } = require('./scheduleWindows');
+
+const MAX_RANGE_DAYS = 31;
+
+const localTime = dt => dt.toFormat('HH:mm');
+const windowSummary = w => ({
+  start: localTime(w.start),
+  end: localTime(w.end),
+  source: w.source,
+  index: w.index, // position in recurringRules / exceptions
+  version: w.version, // schedule version in force, null = base config
+  slotDuration: w.step,
+  capacity: w.capacity
+});
+const blockedSummary = b => ({
+  start: localTime(b.start),
+  end: localTime(b.end),
+  index: b.index, // position in exceptions
+  version: b.version,
+  note: b.exception.note
+});
+
+// A closed day: a blackout exception or a public holiday (see blackoutFor).
+function blackoutReason(blackout, dateStr) {
+  if (blackout.holiday) {
+    return { code: 'HOLIDAY', message: `${dateStr} is a public holiday (${blackout.note})`, date: dateStr, holiday: blackout.note };
+  }
+  return {
+    code: 'BLACKOUT_EXCEPTION',
+    message: `Provider is unavailable on ${dateStr}${blackout.note ? ` (${blackout.note})` : ''}`,
+    date: dateStr,
+    note: blackout.note
+  };
+}
+
+/**
+ * Is [slotStart, slotEnd) a slot the schedule publishes on its day?
+ * Returns [] when it is, else reasons (BLACKOUT_EXCEPTION, HOLIDAY, BLOCKED_TIME,
+ * OUTSIDE_RECURRING_RULES, NOT_ON_SLOT_GRID, DST_GAP).
+ * opts.duration: appointment length; without it a slot is exactly one grid step.
+ */
+function scheduleReasons(provider, slotStart, slotEnd, opts = {}) {
+  const schedule = scheduleOf(provider);
+  const day = slotStart.setZone(schedule.tz).startOf('day');
+  const dateStr = day.toISODate();
+
+  const blackout = blackoutFor(schedule, dateStr);
+  if (blackout) return [blackoutReason(blackout, dateStr)];
+
+  const windows = windowsForDay(schedule, day);
+  const containing = windows.filter(w => slotStart >= w.start && slotEnd <= w.end);
+  const reasons = [];
+
+  // a window shifted by DST still publishes its (shifted) slots; it only
+  // explains a miss, so mention it when nothing contains the time
+  const gapped = containing.length ? [] : windows.filter(w => w.dstGap);
+  for (const w of gapped) {
+    reasons.push({
+      code: 'DST_GAP',
+      message: `Part of the ${w.source} window does not exist on ${dateStr} because of a DST change; it starts/ends at ${localTime(w.start)}-${localTime(w.end)} instead`,
+      window: windowSummary(w)
+    });
+  }
+
+  if (!containing.length) {
+    // time cut out of the day by a partial-day exception
+    const blocked = blockedFor(schedule, day).filter(b => slotStart < b.end && slotEnd > b.start);
+    if (blocked.length) {
+      for (const b of blocked) {
+        reasons.push({
+          code: 'BLOCKED_TIME',
+          message: `Provider is unavailable ${localTime(b.start)}-${localTime(b.end)} on ${dateStr}${b.exception.note ? ` (${b.exception.note})` : ''}`,
+          blocked: blockedSummary(b)
+        });
+      }
+      return reasons;
+    }
+    reasons.push({
+      code: 'OUTSIDE_RECURRING_RULES',
+      message: windows.length
+        ? `Requested time is outside the provider's hours on ${dateStr}`
+        : `Provider has no hours on ${day.toFormat('cccc')} ${dateStr}`,
+      windows: windows.map(windowSummary)
+    });
+    return reasons;
+  }
+
+  const lengthMinutes = slotEnd.diff(slotStart, 'minutes').minutes;
+  const onGrid = containing.some(w => {
+    const offset = slotStart.diff(w.start, 'minutes').minutes;
+    return offset % w.step === 0 && lengthMinutes === (opts.duration || w.step);
+  });
+  if (!onGrid) {
+    const w = containing[0];
+    reasons.push({
+      code: 'NOT_ON_SLOT_GRID',
+      message: `Slots in this window start every ${w.step} minutes from ${localTime(w.start)} and last ${opts.duration || w.step} minutes`,
+      window: windowSummary(w)
+    });
+  }
+  return reasons;
+}
+
+/**
+ * Overlap reasons against prefetched blockers ({ bookings, holds, busy } from findBlockers).
+ * capacity > 1 (group session): bookings and holds only count once they fill
+ * every seat, reported as a single SLOT_FULL.
+ */
+function blockerReasons(blockers, blockStart, blockEnd, capacity = 1) {
+  const reasons = [];
+  const booked = blockers.bookings.filter(x => overlapsBlock(blockStart, blockEnd, x));
+  const held = blockers.holds.filter(x => overlapsBlock(blockStart, blockEnd, x));
+
+  if (capacity > 1) {
+    if (booked.length + held.length >= capacity) {
+      reasons.push({
+        code: 'SLOT_FULL',
+        message: `All ${capacity} seats in this session are taken`,
+        capacity,
+        seatsTaken: booked.length + held.length,
+        bookingIds: booked.map(b => b._id),
+        holdIds: held.map(h => h._id)
+      });
+    }
+  } else {
+    for (const b of booked) {
+      reasons.push({
+        code: 'OVERLAPPING_BOOKING',
+        message: 'Overlaps an existing booking',
+        bookingId: b._id,
+        start: b.start,
+        end: b.end,
+        status: b.status
+      });
+    }
+    for (const h of held) {
+      reasons.push({
+        code: 'SLOT_HELD',
+        message: 'Slot is on hold for someone else',
+        holdId: h._id,
+        expiresAt: h.expiresAt
+      });
+    }
+  }
+
+  for (const bb of blockers.busy.filter(x => overlapsBlock(blockStart, blockEnd, x))) {
+    reasons.push({
+      code: 'PROVIDER_BUSY',
+      message: `Provider is busy${bb.summary ? `: ${bb.summary}` : ''}`,
+      busyBlockId: bb._id,
+      calendarImport: bb.calendarImport,
+      start: bb.start,
+      end: bb.end
+    });
+  }
+  return reasons;
+}
+
+const bufferedBlock = (slotStart, slotEnd, opts) => ({
+  blockStart: slotStart.minus({ minutes: opts.bufferBefore || 0 }).toJSDate(),
+  blockEnd: slotEnd.plus({ minutes: opts.bufferAfter || 0 }).toJSDate()
+});
+
+// Every reason [slotStart, slotEnd) cannot be booked, given prefetched blockers.
+function slotReasons(provider, slotStart, slotEnd, blockers, opts = {}) {
+  const { blockStart, blockEnd } = bufferedBlock(slotStart, slotEnd, opts);
+  return [
+    ...scheduleReasons(provider, slotStart, slotEnd, opts),
+    ...bookingWindowReasons(provider, slotStart),
+    ...blockerReasons(blockers, blockStart, blockEnd, capacityAt(scheduleOf(provider), slotStart, slotEnd)),
+    ...resourceReasons(blockers.resources, slotStart, slotEnd, blockStart, blockEnd)
+  ];
+}
+
+/**
+ * A wall-clock start given without an offset ("2025-03-09T02:30") that does
+ * not exist in tz. Returns a DST_GAP reason or null.
+ */
+function requestedTimeGap(start, tz, parsed) {
+  if (/([+-]\d{2}:?\d{2}|Z)$/i.test(start)) return null;
+  const asked = String(start).match(/T(\d{2}:\d{2})/);
+  if (!asked || asked[1] === localTime(parsed)) return null;
+  return {
+    code: 'DST_GAP',
+    message: `${asked[1]} does not exist on ${parsed.toISODate()} in ${tz} (clocks skip ahead); it would be ${localTime(parsed)}`,
+    requested: start,
+    resolvedTo: parsed.toUTC().toISO()
+  };
+}
+
+/**
+ * Explain one requested time.
+ * start/end: ISO (no offset = provider local time); end defaults to start + duration
+ *   or the grid step of the window the start falls in.
+ * opts: slot options ({ duration, bufferBefore, bufferAfter, resourceIds })
+ */
+async function explainTime(provider, start, end, opts = {}) {
+  const { tz } = scheduleOf(provider);
+  const slotStart = DateTime.fromISO(start, { zone: tz });
+  if (!slotStart.isValid) {
+    return { bookable: false, reasons: [{ code: 'INVALID_TIME', message: 'Invalid start time' }] };
+  }
+
+  let slotEnd = end ? DateTime.fromISO(end, { zone: tz }) : null;
+  if (!slotEnd) {
+    const w = windowsForDay(scheduleOf(provider), slotStart.startOf('day'))
+      .find(win => slotStart >= win.start && slotStart < win.end);
+    slotEnd = slotStart.plus({ minutes: opts.duration || (w && w.step) || 30 });
+  }
+  if (!slotEnd.isValid || slotEnd <= slotStart) {
+    return { bookable: false, reasons: [{ code: 'INVALID_TIME', message: 'Invalid end time' }] };
+  }
+
+  const { blockStart, blockEnd } = bufferedBlock(slotStart, slotEnd, opts);
+  const blockers = await findBlockers(provider._id, blockStart, blockEnd, { resourceIds: opts.resourceIds });
+
+  const reasons = slotReasons(provider, slotStart, slotEnd, blockers, opts);
+  const gap = requestedTimeGap(start, tz, slotStart);
+  if (gap) reasons.unshift(gap);
+
+  return {
+    timezone: tz,
+    start: slotStart.toUTC().toISO(),
+    end: slotEnd.toUTC().toISO(),
+    localStart: slotStart.toISO(),
+    localEnd: slotEnd.toISO(),
+    bookable: reasons.length === 0,
+    reasons
+  };
+}
+
+/**
+ * Explain every provider-local day in [from, to]: the day's windows and blocked
+ * time, day-level reasons (blackout, holiday, no hours, DST) and each grid slot
+ * with its reasons.
+ */
+async function explainRange(provider, from, to, opts = {}) {
+  const schedule = scheduleOf(provider);
+  const { tz } = schedule;
+  const first = DateTime.fromISO(from, { zone: tz }).startOf('day');
+  let last = DateTime.fromISO(to, { zone: tz }).endOf('day');
+  if (last.diff(first, 'days').days > MAX_RANGE_DAYS) last = first.plus({ days: MAX_RANGE_DAYS }).endOf('day');
+
+  const blockers = await findBlockers(
+    provider._id,
+    first.minus({ minutes: opts.bufferBefore || 0 }).toJSDate(),
+    last.plus({ minutes: opts.bufferAfter || 0 }).toJSDate(),
+    { resourceIds: opts.resourceIds }
+  );
+
+  const days = [];
+  for (let day = first; day <= last; day = day.plus({ days: 1 })) {
+    const dateStr = day.toISODate();
+    const windows = windowsForDay(schedule, day);
+    const dayReasons = [];
+
+    const blackout = blackoutFor(schedule, dateStr);
+    if (blackout) {
+      dayReasons.push(blackoutReason(blackout, dateStr));
+    } else if (!windows.length) {
+      dayReasons.push({ code: 'OUTSIDE_RECURRING_RULES', message: `Provider has no hours on ${day.toFormat('cccc')}` });
+    }
+    if (day.offset !== day.endOf('day').offset) {
+      dayReasons.push({ code: 'DST_CHANGE', message: `Clocks change on ${dateStr} in ${tz}` });
+    }
+
+    const slots = [];
+    for (const w of windows) {
+      const dur = opts.duration || w.step;
+      for (let cursor = w.start; cursor.plus({ minutes: dur }) <= w.end; cursor = cursor.plus({ minutes: w.step })) {
+        const slotEnd = cursor.plus({ minutes: dur });
+        const reasons = slotReasons(provider, cursor, slotEnd, blockers, opts);
+        slots.push({
+          start: cursor.toUTC().toISO(),
+          end: slotEnd.toUTC().toISO(),
+          localStart: cursor.toISO(),
+          bookable: reasons.length === 0,
+          reasons
+        });
+      }
+    }
+    slots.sort((a, b) => (a.start < b.start ? -1 : 1));
+
+    days.push({
+      date: dateStr,
+      windows: windows.map(windowSummary),
+      blocked: blackout ? [] : blockedFor(schedule, day).map(blockedSummary),
+      reasons: dayReasons,
+      slots
+    });
+  }
+
+  return { timezone: tz, days };
+}
+
+module.exports = { explainTime, explainRange, scheduleReasons, blockerReasons, slotReasons };
@@ -0,0 +1,64 @@
+// Earliest open slots across several providers, merged into one list.
+const { DateTime } = require('luxon');
+const generateSlotsForRange = require('./generateSlotsForRange');
+const { isWithinBookingWindow } = require('./bookingWindow');
+
+// providers are scanned a chunk at a time so a search over months stops as
+// soon as enough early slots have been found
+const CHUNK_DAYS = 7;
+
+/**
+ * providers: Provider docs to search
+ * from/to: ISO UTC strings
+ * opts: { limit, slotOptions, filter } - slotOptions as for generateSlotsForRange;
+ *   filter(slot) can reject candidate slots before the limit is applied
+ * Returns [{ providerId, providerName, timezone, start, end, localStart }] sorted by start.
+ */
+async function findFirstAvailable(providers, from, to, { limit = 10, slotOptions = {}, filter } = {}) {
+  if (!providers.length) return [];
+  const rangeStart = DateTime.fromISO(from, { zone: 'utc' });
+  // nothing can be booked past the furthest booking horizon, so the search stops there
+  const horizon = DateTime.max(...providers.map(p =>
+    DateTime.utc().plus({ days: (p.scheduleConfig && p.scheduleConfig.maxDaysAhead) || 365 }).endOf('day')));
+  const rangeEnd = DateTime.min(DateTime.fromISO(to, { zone: 'utc' }), horizon);
+  const results = [];
+  const seen = new Set();
+
+  for (let chunkStart = rangeStart; chunkStart < rangeEnd; chunkStart = chunkStart.plus({ days: CHUNK_DAYS })) {
+    const chunkEnd = DateTime.min(chunkStart.plus({ days: CHUNK_DAYS }), rangeEnd);
+
+    const perProvider = await Promise.all(providers.map(async provider => {
+      const slots = await generateSlotsForRange(provider, chunkStart.toISO(), chunkEnd.toISO(), slotOptions);
+      const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+      return slots
+        .filter(s => !s.isBooked && !s.isHeld)
+        // generateSlotsForRange works in whole provider-local days, so trim to the chunk
+        .filter(s => s.start >= chunkStart.toISO() && s.start < chunkEnd.toISO())
+        .filter(s => isWithinBookingWindow(provider, s.start))
+        .map(s => ({
+          providerId: provider._id,
+          providerName: provider.name,
+          timezone: tz,
+          start: s.start,
+          end: s.end,
+          localStart: DateTime.fromISO(s.start, { zone: tz }).toISO()
+        }));
+    }));
+
+    for (const slot of perProvider.flat()) {
+      const key = `${slot.providerId}|${slot.start}`;
+      if (seen.has(key)) continue; // overlapping rules can yield the same start twice
+      seen.add(key);
+      if (filter && !filter(slot)) continue;
+      results.push(slot);
+    }
+
+    // later chunks only hold later slots
+    if (results.length >= limit) break;
+  }
+
+  results.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : String(a.providerName).localeCompare(String(b.providerName))));
+  return results.slice(0, limit);
+}
+
+module.exports = findFirstAvailable;
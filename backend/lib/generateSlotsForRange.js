@@ -1,20 +1,27 @@
 // Luxon-based slot generator (provider tz aware)
-// Returns array of { start: ISOUTC, end: ISOUTC, isBooked: Bool, booking: Booking|null }
+// Returns array of { start: ISOUTC, end: ISOUTC, capacity, seatsRemaining, isBooked: Bool, booking: Booking|null, isHeld: Bool, hold: Hold|null }
+// isBooked / isHeld mean "no seats left" (because of bookings / only holds); in a
+// group window (capacity > 1) a partly booked slot is still free.
 const { DateTime } = require('luxon');
-const Booking = require('../models/Booking');
-
-function overlaps(slotStart, slotEnd, booking) {
-  return slotStart < booking.end && slotEnd > booking.start;
-}
+const { findBlockers, overlapsBlock } = require('./blockers');
+const { scheduleOf, windowsForDay } = require('./scheduleWindows');
+const { resourceReasons } = require('./resources');
 
 /**
  * provider: Provider mongoose doc
  * fromISO/toISO: ISO UTC strings
+ * opts: { duration, bufferBefore, bufferAfter } (minutes) from an appointment type.
+ *   Without duration every window is cut into back-to-back slots of the rule's
+ *   slotDuration. With it, start times still follow that grid but each slot lasts
+ *   `duration`, and the slot plus its buffers must be clear of other bookings.
+ *   resourceIds: rooms/equipment the visit needs; slots where any of them is
+ *   closed or in use are left out.
  */
-async function generateSlotsForRange(provider, fromISO, toISO) {
-  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
-  const rules = (provider.scheduleConfig && provider.scheduleConfig.recurringRules) || [];
-  const exceptions = (provider.scheduleConfig && provider.scheduleConfig.exceptions) || [];
+async function generateSlotsForRange(provider, fromISO, toISO, opts = {}) {
+  const schedule = scheduleOf(provider);
+  const { tz } = schedule;
+  const bufferBefore = opts.bufferBefore || 0;
+  const bufferAfter = opts.bufferAfter || 0;
 
   // normalize requested UTC range to provider local days
   const fromUtcDT = DateTime.fromISO(fromISO, { zone: 'utc' });
@@ -23,75 +30,54 @@ async function generateSlotsForRange(provider, fromISO, toISO) {
   const fromLocalStart = fromUtcDT.setZone(tz).startOf('day');
   const toLocalEnd = toUtcDT.setZone(tz).endOf('day');
 
-  // compute UTC bounds to fetch bookings that might overlap
-  const utcFetchStart = fromLocalStart.setZone('utc').toJSDate();
-  const utcFetchEnd = toLocalEnd.setZone('utc').toJSDate();
+  // compute UTC bounds to fetch bookings that might overlap (buffers included)
+  const utcFetchStart = fromLocalStart.minus({ minutes: bufferBefore }).setZone('utc').toJSDate();
+  const utcFetchEnd = toLocalEnd.plus({ minutes: bufferAfter }).setZone('utc').toJSDate();
 
-  const bookings = await Booking.find({
-    providerId: provider._id,
-    start: { $lt: utcFetchEnd },
-    end: { $gt: utcFetchStart }
-  }).lean();
+  const { bookings, holds, busy, resources } = await findBlockers(provider._id, utcFetchStart, utcFetchEnd, {
+    resourceIds: opts.resourceIds
+  });
 
   const slots = [];
 
-  for (let day = fromLocalStart; day <= toLocalEnd; day = day.plus({ days: 1 })) {
-    const dateStr = day.toISODate(); // YYYY-MM-DD in provider tz
-    const weekday = day.weekday; // 1..7
-
-    // if full-day unavailable exception -> skip
-    if (exceptions.some(e => e.date === dateStr && e.available === false)) {
-      continue;
+  // cut [windowStart, windowEnd) into slots; step is the rule's slot grid
+  const pushWindow = (windowStart, windowEnd, step, capacity) => {
+    const dur = opts.duration || step;
+    let cursor = windowStart;
+    while (cursor.plus({ minutes: dur }) <= windowEnd) {
+      const slotStartLocal = cursor;
+      const slotEndLocal = cursor.plus({ minutes: dur });
+
+      const blockStartUtc = slotStartLocal.minus({ minutes: bufferBefore }).toJSDate();
+      const blockEndUtc = slotEndLocal.plus({ minutes: bufferAfter }).toJSDate();
+      cursor = cursor.plus({ minutes: step });
+
+      // imported busy time removes the slot entirely, like a blackout
+      if (busy.some(b => overlapsBlock(blockStartUtc, blockEndUtc, b))) continue;
+      // so does a required room/equipment that is closed or taken
+      if (resources && resourceReasons(resources, slotStartLocal, slotEndLocal, blockStartUtc, blockEndUtc).length) continue;
+
+      const overlapping = bookings.filter(b => overlapsBlock(blockStartUtc, blockEndUtc, b));
+      const held = holds.filter(h => overlapsBlock(blockStartUtc, blockEndUtc, h));
+      const seatsRemaining = Math.max(capacity - overlapping.length - held.length, 0);
+      const isBooked = seatsRemaining === 0 && overlapping.length > 0;
+
+      slots.push({
+        start: slotStartLocal.setZone('utc').toISO(),
+        end: slotEndLocal.setZone('utc').toISO(),
+        capacity,
+        seatsRemaining,
+        isBooked,
+        booking: overlapping[0] || null,
+        isHeld: seatsRemaining === 0 && !isBooked,
+        hold: held[0] || null
+      });
     }
+  };
 
-    // generate from rules
-    for (const rule of rules) {
-      if (!Array.isArray(rule.daysOfWeek) || !rule.daysOfWeek.includes(weekday)) continue;
-
-      const dayStart = DateTime.fromISO(`${dateStr}T${rule.startTime}`, { zone: tz });
-      const dayEnd = DateTime.fromISO(`${dateStr}T${rule.endTime}`, { zone: tz });
-      const dur = rule.slotDuration || 30;
-
-      let cursor = dayStart;
-      while (cursor.plus({ minutes: dur }) <= dayEnd) {
-        const slotStartLocal = cursor;
-        const slotEndLocal = cursor.plus({ minutes: dur });
-
-        const slotStartUtc = slotStartLocal.setZone('utc').toJSDate();
-        const slotEndUtc = slotEndLocal.setZone('utc').toJSDate();
-
-        const overlapping = bookings.find(b => overlaps(slotStartUtc, slotEndUtc, b));
-
-        slots.push({
-          start: slotStartLocal.setZone('utc').toISO(),
-          end: slotEndLocal.setZone('utc').toISO(),
-          isBooked: !!overlapping,
-          booking: overlapping || null
-        });
-
-        cursor = cursor.plus({ minutes: dur });
-      }
-    }
-
-    // handle exception windows that add availability on a single date
-    for (const ex of exceptions.filter(e => e.date === dateStr && e.available && e.startTime && e.endTime)) {
-      const exStart = DateTime.fromISO(`${dateStr}T${ex.startTime}`, { zone: tz });
-      const exEnd = DateTime.fromISO(`${dateStr}T${ex.endTime}`, { zone: tz });
-      // fallback slot duration to first rule or 30
-      const dur = (rules[0] && rules[0].slotDuration) || 30;
-      let c = exStart;
-      while (c.plus({ minutes: dur }) <= exEnd) {
-        const sUtc = c.setZone('utc').toJSDate();
-        const eUtc = c.plus({ minutes: dur }).setZone('utc').toJSDate();
-        const overlapping = bookings.find(b => overlaps(sUtc, eUtc, b));
-        slots.push({
-          start: c.setZone('utc').toISO(),
-          end: c.plus({ minutes: dur }).setZone('utc').toISO(),
-          isBooked: !!overlapping,
-          booking: overlapping || null
-        });
-        c = c.plus({ minutes: dur });
-      }
+  for (let day = fromLocalStart; day <= toLocalEnd; day = day.plus({ days: 1 })) {
+    for (const w of windowsForDay(schedule, day)) {
+      pushWindow(w.start, w.end, w.step, w.capacity);
     }
   }
 
@@ -0,0 +1,105 @@
+// Slot holds: a short-lived reservation that is later confirmed into a
+// Booking or simply expires.
+const crypto = require('crypto');
+const Hold = require('../models/Hold');
+const { withLocks } = require('./lock');
+const { findConflict } = require('./blockers');
+const { checkBookingWindow } = require('./bookingWindow');
+const { createBooking, lockKeysFor, conflictError, checkPublishedSlot } = require('./bookings');
+const { resolveResources, checkResourcesOpen } = require('./resources');
+const { scheduleOf, capacityAt } = require('./scheduleWindows');
+const { resolveAppointmentType, endForType, blockFor } = require('./appointmentTypes');
+const { SchedulingError } = require('./errors');
+const { publish } = require('./events');
+
+const DEFAULT_TTL_SECONDS = Number(process.env.HOLD_TTL_SECONDS) || 300;
+const MAX_TTL_SECONDS = 30 * 60;
+
+/**
+ * Place a hold on [start, end) for a provider.
+ * appointmentType (resolved doc) adds its buffers and lets end be omitted.
+ * resourceIds: extra rooms/equipment to hold with the provider.
+ * maxTtlSeconds lets internal callers (waitlist offers) exceed the client cap.
+ * Returns the saved Hold, including its token (only shown to the creator).
+ */
+async function createHold(provider, { patientId, start, end, appointmentType, resourceIds, ttlSeconds, maxTtlSeconds = MAX_TTL_SECONDS }) {
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+  const { slotStart, slotEnd } = checkBookingWindow(provider, start, endForType(appointmentType, start, end, tz));
+  checkPublishedSlot(provider, slotStart, slotEnd, appointmentType);
+  const resources = await resolveResources(appointmentType, resourceIds);
+  checkResourcesOpen(resources, slotStart, slotEnd);
+  const { blockStart, blockEnd } = blockFor(appointmentType, slotStart.toJSDate(), slotEnd.toJSDate());
+  const ttl = Math.min(Math.max(Number(ttlSeconds) || DEFAULT_TTL_SECONDS, 1), maxTtlSeconds);
+
+  const hold = await withLocks(lockKeysFor(provider, resources), async () => {
+    const conflict = await findConflict(provider._id, blockStart, blockEnd, {
+      capacity: capacityAt(scheduleOf(provider), slotStart, slotEnd),
+      patientId,
+      resourceIds: resources.map(r => r._id)
+    });
+    if (conflict) throw conflictError(conflict);
+
+    return Hold.create({
+      provider: provider._id,
+      patient: patientId,
+      appointmentType: appointmentType ? appointmentType._id : undefined,
+      resources: resources.map(r => r._id),
+      start: slotStart.toJSDate(),
+      end: slotEnd.toJSDate(),
+      blockStart,
+      blockEnd,
+      token: crypto.randomBytes(16).toString('hex'),
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    });
+  });
+  publish('hold.created', { hold: publicHold(hold) });
+  return hold;
+}
+
+// A hold as shown to everyone but its creator: without the token
+function publicHold(hold) {
+  const { token, ...rest } = hold.toObject ? hold.toObject() : hold;
+  return rest;
+}
+
+// Load a live hold and verify the caller owns it.
+async function findOwnedHold(holdId, token) {
+  const hold = await Hold.findById(holdId);
+  if (!hold || hold.expiresAt <= new Date()) {
+    throw new SchedulingError('Hold not found or expired', 404, 'HOLD_NOT_FOUND');
+  }
+  if (!token || token !== hold.token) {
+    throw new SchedulingError('Invalid hold token', 403, 'HOLD_TOKEN_INVALID');
+  }
+  return hold;
+}
+
+async function releaseHold(holdId, token) {
+  const hold = await findOwnedHold(holdId, token);
+  await Hold.deleteOne({ _id: hold._id });
+  publish('hold.released', { hold: publicHold(hold) });
+}
+
+/**
+ * Turn a hold into a Booking. patientId falls back to the patient on the hold.
+ */
+async function confirmHold(provider, holdId, token, patientId) {
+  const hold = await findOwnedHold(holdId, token);
+  if (String(hold.provider) !== String(provider._id)) {
+    throw new SchedulingError('Hold belongs to another provider', 400, 'HOLD_PROVIDER_MISMATCH');
+  }
+  const patient = patientId || hold.patient;
+  if (!patient) throw new SchedulingError('patientId required', 400, 'PATIENT_REQUIRED');
+
+  const appointmentType = await resolveAppointmentType(hold.appointmentType, provider);
+  return createBooking(provider, {
+    patientId: patient,
+    start: hold.start.toISOString(),
+    end: hold.end.toISOString(),
+    appointmentType,
+    holdId: hold._id,
+    resourceIds: (hold.resources || []).map(String)
+  });
+}
+
+module.exports = { createHold, releaseHold, confirmHold, findOwnedHold, publicHold };
@@ -0,0 +1,142 @@
+// Built-in public holiday calendars, computed per year (no data files).
+// scheduleConfig.holidayCountry turns a country's holidays into full-day
+// blackouts; see blackoutFor in lib/scheduleWindows.js.
+const { DateTime } = require('luxon');
+
+const date = (year, month, day) => DateTime.fromObject({ year, month, day }, { zone: 'utc' });
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = date(year, month, 1);
+    return first.plus({ days: ((weekday - first.weekday + 7) % 7) + (n - 1) * 7 });
+  }
+  const last = date(year, month, 1).endOf('month').startOf('day');
+  return last.minus({ days: (last.weekday - weekday + 7) % 7 });
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return date(year, month, day);
+}
+
+// US federal rule: Saturday holidays are observed on Friday, Sunday ones on Monday
+const nearestWeekday = day =>
+  day.weekday === 6 ? day.minus({ days: 1 }) : day.weekday === 7 ? day.plus({ days: 1 }) : day;
+
+// UK/Canada rule: a weekend holiday moves to the next weekday not already taken
+function substitutes(days) {
+  const taken = new Set(days.map(d => d.day.toISODate()));
+  const out = [];
+  for (const d of days) {
+    out.push(d);
+    if (d.day.weekday < 6) continue;
+    let sub = d.day.plus({ days: 8 - d.day.weekday });
+    while (taken.has(sub.toISODate())) sub = sub.plus({ days: 1 });
+    taken.add(sub.toISODate());
+    out.push({ day: sub, name: `${d.name} (substitute day)` });
+  }
+  return out;
+}
+
+const CALENDARS = {
+  // US federal holidays
+  US: year => {
+    const fixed = [
+      { day: date(year, 1, 1), name: "New Year's Day" },
+      ...(year >= 2021 ? [{ day: date(year, 6, 19), name: 'Juneteenth' }] : []),
+      { day: date(year, 7, 4), name: 'Independence Day' },
+      { day: date(year, 11, 11), name: 'Veterans Day' },
+      { day: date(year, 12, 25), name: 'Christmas Day' }
+    ];
+    const observed = fixed
+      .filter(h => h.day.weekday >= 6)
+      .map(h => ({ day: nearestWeekday(h.day), name: `${h.name} (observed)` }));
+    return [
+      ...fixed,
+      ...observed,
+      { day: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' },
+      { day: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+      { day: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' },
+      { day: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+      { day: nthWeekday(year, 10, 1, 2), name: 'Columbus Day' },
+      { day: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' }
+    ];
+  },
+
+  // England and Wales bank holidays (one-off royal holidays are not included)
+  GB: year => substitutes([
+    { day: date(year, 1, 1), name: "New Year's Day" },
+    { day: date(year, 12, 25), name: 'Christmas Day' },
+    { day: date(year, 12, 26), name: 'Boxing Day' }
+  ]).concat([
+    { day: easter(year).minus({ days: 2 }), name: 'Good Friday' },
+    { day: easter(year).plus({ days: 1 }), name: 'Easter Monday' },
+    { day: nthWeekday(year, 5, 1, 1), name: 'Early May bank holiday' },
+    { day: nthWeekday(year, 5, 1, -1), name: 'Spring bank holiday' },
+    { day: nthWeekday(year, 8, 1, -1), name: 'Summer bank holiday' }
+  ]),
+
+  // Canadian federal statutory holidays
+  CA: year => substitutes([
+    { day: date(year, 1, 1), name: "New Year's Day" },
+    { day: date(year, 7, 1), name: 'Canada Day' },
+    { day: date(year, 12, 25), name: 'Christmas Day' },
+    { day: date(year, 12, 26), name: 'Boxing Day' }
+  ]).concat([
+    { day: easter(year).minus({ days: 2 }), name: 'Good Friday' },
+    // the Monday before May 25 (the last Monday of May always falls on the 25th or later)
+    { day: nthWeekday(year, 5, 1, -1).minus({ weeks: 1 }), name: 'Victoria Day' },
+    { day: nthWeekday(year, 9, 1, 1), name: 'Labour Day' },
+    ...(year >= 2021 ? [{ day: date(year, 9, 30), name: 'National Day for Truth and Reconciliation' }] : []),
+    { day: nthWeekday(year, 10, 1, 2), name: 'Thanksgiving' },
+    { day: date(year, 11, 11), name: 'Remembrance Day' }
+  ])
+};
+
+const HOLIDAY_COUNTRIES = Object.keys(CALENDARS);
+
+// calendars only depend on the year, so keep the computed ones
+const cache = new Map();
+
+/**
+ * Holidays for a country (ISO 3166 alpha-2, see HOLIDAY_COUNTRIES) in a year,
+ * as [{ date: 'YYYY-MM-DD', name }] sorted by date. [] for unknown countries.
+ */
+function holidaysFor(country, year) {
+  const code = String(country || '').toUpperCase();
+  const calendar = CALENDARS[code];
+  if (!calendar) return [];
+  const key = `${code}:${year}`;
+  if (!cache.has(key)) {
+    const list = calendar(year)
+      .map(h => ({ date: h.day.toISODate(), name: h.name }))
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    cache.set(key, list);
+  }
+  return cache.get(key);
+}
+
+// The holiday on a local date ('YYYY-MM-DD'), or undefined. Next year's list is
+// checked too: a Saturday New Year's Day is observed on December 31st.
+function holidayOn(country, dateStr) {
+  if (!country || !dateStr) return undefined;
+  const year = Number(dateStr.slice(0, 4));
+  return [...holidaysFor(country, year), ...holidaysFor(country, year + 1)].find(h => h.date === dateStr);
+}
+
+module.exports = { HOLIDAY_COUNTRIES, holidaysFor, holidayOn, easter, nthWeekday };
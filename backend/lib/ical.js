@@ -0,0 +1,146 @@
+// Minimal RFC 5545 writer: VCALENDAR with VEVENTs and generated VTIMEZONEs.
+const { DateTime } = require('luxon');
+
+const PRODID = '-//sandbox-scheduler//Appointments//EN';
+
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// content lines are limited to 75 octets; continuation lines start with a space
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const formatUtc = date => DateTime.fromJSDate(date, { zone: 'utc' }).toFormat("yyyyMMdd'T'HHmmss'Z'");
+const formatLocal = dt => dt.toFormat("yyyyMMdd'T'HHmmss");
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// UTC instants (ms) where the zone's offset changes inside [fromMs, toMs).
+// Scans day by day, then bisects to the exact minute.
+function findTransitions(tz, fromMs, toMs) {
+  const offsetAt = ms => DateTime.fromMillis(ms, { zone: tz }).offset;
+  const DAY = 24 * 60 * 60 * 1000;
+  const transitions = [];
+  for (let t = fromMs; t < toMs; t += DAY) {
+    const next = Math.min(t + DAY, toMs);
+    if (offsetAt(t) === offsetAt(next)) continue;
+    let lo = t;
+    let hi = next;
+    while (hi - lo > 60 * 1000) {
+      const mid = lo + Math.floor((hi - lo) / 2 / 60000) * 60000;
+      if (offsetAt(mid) === offsetAt(lo)) lo = mid; else hi = mid;
+    }
+    transitions.push(hi);
+  }
+  return transitions;
+}
+
+/**
+ * VTIMEZONE lines for an IANA zone covering the years fromYear..toYear.
+ * Every transition is written as its own observance (no RRULEs), which is
+ * verbose but exact for whatever rules the zone had in those years.
+ */
+function buildVTimezone(tz, fromYear, toYear) {
+  const rangeStart = DateTime.fromObject({ year: fromYear, month: 1, day: 1 }, { zone: tz });
+  const rangeEnd = DateTime.fromObject({ year: toYear + 1, month: 1, day: 1 }, { zone: tz });
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+
+  const observance = (dt, offsetFrom) => {
+    const kind = dt.isInDST ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the local wall time just before the change, i.e. in offsetFrom
+    const wall = DateTime.fromMillis(dt.toMillis() + offsetFrom * 60000, { zone: 'utc' });
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocal(wall)}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(dt.offset)}`,
+      `TZNAME:${escapeText(dt.offsetNameShort || formatOffset(dt.offset))}`,
+      `END:${kind}`
+    );
+  };
+
+  // the offset in force at the start of the range, then each change
+  observance(rangeStart, rangeStart.offset);
+  for (const ms of findTransitions(tz, rangeStart.toMillis(), rangeEnd.toMillis())) {
+    const before = DateTime.fromMillis(ms - 60000, { zone: tz });
+    observance(DateTime.fromMillis(ms, { zone: tz }), before.offset);
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Serialise a calendar.
+ * name: calendar display name
+ * events: [{ uid, start, end (Date), tz, summary, description?, location?,
+ *            status: 'CONFIRMED'|'CANCELLED'|'TENTATIVE', sequence, created?, lastModified? }]
+ */
+function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  // one VTIMEZONE per zone used, spanning the years its events touch
+  const years = new Map();
+  for (const ev of events) {
+    const y1 = DateTime.fromJSDate(ev.start, { zone: ev.tz }).year;
+    const y2 = DateTime.fromJSDate(ev.end, { zone: ev.tz }).year;
+    const [lo, hi] = years.get(ev.tz) || [y1, y2];
+    years.set(ev.tz, [Math.min(lo, y1), Math.max(hi, y2)]);
+  }
+  for (const [tz, [fromYear, toYear]] of years) {
+    lines.push(...buildVTimezone(tz, fromYear, toYear));
+  }
+
+  const now = formatUtc(new Date());
+  for (const ev of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${ev.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART;TZID=${ev.tz}:${formatLocal(DateTime.fromJSDate(ev.start, { zone: ev.tz }))}`,
+      `DTEND;TZID=${ev.tz}:${formatLocal(DateTime.fromJSDate(ev.end, { zone: ev.tz }))}`,
+      `SUMMARY:${escapeText(ev.summary)}`,
+      `STATUS:${ev.status || 'CONFIRMED'}`,
+      `SEQUENCE:${ev.sequence || 0}`
+    );
+    if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+    if (ev.location) lines.push(`LOCATION:${escapeText(ev.location)}`);
+    if (ev.created) lines.push(`CREATED:${formatUtc(ev.created)}`);
+    if (ev.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(ev.lastModified)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, buildVTimezone, escapeText, formatUtc };
@@ -0,0 +1,137 @@
+// Reads busy time out of an iCalendar file: VEVENTs with recurrences expanded
+// into concrete [start, end) intervals.
+const { DateTime, Duration } = require('luxon');
+const { expandRule } = require('./recurrence');
+
+// "DTSTART;TZID=Europe/London:20250101T090000" -> { name, params, value }
+function parseLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon < 0) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const p of paramParts) {
+    const [k, v] = p.split('=');
+    if (k) params[k.toUpperCase()] = (v || '').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// unfold continuation lines (CRLF + space/tab)
+const unfold = text => String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parse a DATE or DATE-TIME property into { dt, allDay }.
+ * Floating times and unknown TZIDs (e.g. Windows zone names) fall back to defaultZone.
+ */
+function parseIcsDate(prop, defaultZone) {
+  const value = prop.value.trim();
+  const isDate = prop.params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+  if (isDate) {
+    const dt = DateTime.fromFormat(value, 'yyyyMMdd', { zone: defaultZone });
+    return { dt, allDay: true };
+  }
+  if (value.endsWith('Z')) {
+    return { dt: DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss'Z'", { zone: 'utc' }), allDay: false };
+  }
+  let zone = prop.params.TZID || defaultZone;
+  if (!DateTime.local().setZone(zone).isValid) zone = defaultZone;
+  return { dt: DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss", { zone }), allDay: false };
+}
+
+function parseEvents(text) {
+  const events = [];
+  let current = null;
+  for (const raw of unfold(text)) {
+    const line = raw.trimEnd();
+    if (line === 'BEGIN:VEVENT') { current = { exdates: [] }; continue; }
+    if (line === 'END:VEVENT') { if (current) events.push(current); current = null; continue; }
+    if (!current) continue;
+
+    const prop = parseLine(line);
+    if (!prop) continue;
+    switch (prop.name) {
+      case 'UID': current.uid = prop.value; break;
+      case 'SUMMARY': current.summary = unescapeText(prop.value); break;
+      case 'DTSTART': current.dtstart = prop; break;
+      case 'DTEND': current.dtend = prop; break;
+      case 'DURATION': current.duration = prop.value; break;
+      case 'RRULE': current.rrule = prop.value; break;
+      case 'EXDATE':
+        for (const v of prop.value.split(',')) current.exdates.push({ ...prop, value: v });
+        break;
+      case 'RECURRENCE-ID': current.recurrenceId = prop; break;
+      case 'STATUS': current.status = prop.value.toUpperCase(); break;
+      case 'TRANSP': current.transp = prop.value.toUpperCase(); break;
+      default: break;
+    }
+  }
+  return events;
+}
+
+/**
+ * Busy intervals from ICS text within [from, to].
+ * zone: provider timezone used for all-day and floating times
+ * Returns [{ uid, summary, start: Date, end: Date }] sorted by start.
+ * Cancelled and TRANSP:TRANSPARENT ("free") events are ignored.
+ */
+function parseBusyIntervals(text, { zone, from, to }) {
+  const events = parseEvents(text).filter(e => e.dtstart);
+  const busy = [];
+
+  // RECURRENCE-ID instances replace the matching occurrence of their master
+  const overrides = new Map();
+  for (const e of events.filter(ev => ev.recurrenceId)) {
+    const key = `${e.uid}|${+parseIcsDate(e.recurrenceId, zone).dt}`;
+    overrides.set(key, e);
+  }
+
+  const lengthOf = (e, start, allDay) => {
+    if (e.dtend) return parseIcsDate(e.dtend, zone).dt.diff(start);
+    if (e.duration) return Duration.fromISO(e.duration);
+    return Duration.fromObject(allDay ? { days: 1 } : {});
+  };
+
+  const push = (e, start, length) => {
+    if (e.status === 'CANCELLED' || e.transp === 'TRANSPARENT') return;
+    const end = start.plus(length);
+    if (end <= start || end < from || start > to) return;
+    busy.push({ uid: e.uid, summary: e.summary, start: start.toJSDate(), end: end.toJSDate() });
+  };
+
+  for (const e of events) {
+    if (e.recurrenceId) {
+      const { dt, allDay } = parseIcsDate(e.dtstart, zone);
+      push(e, dt, lengthOf(e, dt, allDay));
+      continue;
+    }
+
+    const { dt: dtstart, allDay } = parseIcsDate(e.dtstart, zone);
+    if (!dtstart.isValid) continue;
+    const length = lengthOf(e, dtstart, allDay);
+
+    if (!e.rrule) {
+      push(e, dtstart, length);
+      continue;
+    }
+
+    const occurrences = expandRule(e.rrule, dtstart, {
+      // start early enough to catch occurrences already in progress at `from`
+      from: from.minus(length),
+      to,
+      exclude: e.exdates.map(x => parseIcsDate(x, zone).dt.setZone(dtstart.zone))
+    });
+    for (const occ of occurrences) {
+      if (overrides.has(`${e.uid}|${+occ}`)) continue;
+      push(e, occ, length);
+    }
+  }
+
+  busy.sort((a, b) => a.start - b.start);
+  return busy;
+}
+
+module.exports = { parseBusyIntervals, parseEvents };
@@ -0,0 +1,172 @@
+// Shared parsing for list endpoints: sort, cursor pagination, field selection
+// and population. Lists answer { items, nextCursor }; pass nextCursor back as
+// ?cursor= for the next page (null on the last one).
+//
+// A cursor is the sort value and _id of the last item, so pages stay stable
+// while documents are added; sorts always tie-break on _id.
+const mongoose = require('mongoose');
+const { DateTime, IANAZone } = require('luxon');
+const { SchedulingError } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const badRequest = (message, code = 'INVALID_QUERY') => new SchedulingError(message, 400, code);
+
+/**
+ * ?sort=field or -field (descending), limited to `allowed`
+ * ({ field: 'date' | 'string' | 'number' }). Returns { field, dir, type }.
+ */
+function parseSort(value, allowed, fallback) {
+  const raw = String(value || fallback);
+  const dir = raw.startsWith('-') ? -1 : 1;
+  const field = raw.replace(/^[-+]/, '');
+  if (!allowed[field]) throw badRequest(`sort must be one of ${Object.keys(allowed).join(', ')} (prefix - for descending)`);
+  return { field, dir, type: allowed[field] };
+}
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw badRequest('limit must be a positive integer');
+  return Math.min(n, MAX_LIMIT);
+}
+
+/**
+ * ?fields=a,b,c -> projection string for the allowed fields (_id and the sort
+ * field are always included, the cursor needs them).
+ */
+function parseFields(value, allowed, sort) {
+  if (!value) return null;
+  const fields = String(value).split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = fields.filter(f => !allowed.includes(f));
+  if (unknown.length) throw badRequest(`Unknown fields: ${unknown.join(', ')}`);
+  return [...new Set(['_id', sort.field, ...fields])].join(' ');
+}
+
+/**
+ * ?populate=patient,provider -> [{ path, select }] from `allowed`
+ * ({ path: 'fields to include' }).
+ */
+function parsePopulate(value, allowed) {
+  if (!value) return [];
+  const paths = String(value).split(',').map(p => p.trim()).filter(Boolean);
+  const unknown = paths.filter(p => !allowed[p]);
+  if (unknown.length) throw badRequest(`populate must be one of ${Object.keys(allowed).join(', ')}`);
+  return [...new Set(paths)].map(path => ({ path, select: allowed[path] }));
+}
+
+function encodeCursor(doc, sort) {
+  const value = doc[sort.field];
+  return Buffer.from(JSON.stringify([value instanceof Date ? value.toISOString() : value ?? null, String(doc._id)]))
+    .toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const [raw, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error('bad id');
+    const value = raw === null || sort.type !== 'date' ? raw : new Date(raw);
+    if (value instanceof Date && isNaN(value)) throw new Error('bad date');
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw badRequest('Invalid cursor', 'INVALID_CURSOR');
+  }
+}
+
+// Filter for "after the cursor" in the sort order. Mongo sorts missing values
+// first ascending and last descending, and $gt/$lt never cross from null to a
+// value, so those cases are spelled out.
+function afterCursor(cursor, sort) {
+  const { value, id } = decodeCursor(cursor, sort);
+  const f = sort.field;
+  const op = sort.dir === 1 ? '$gt' : '$lt';
+  const tie = { [f]: value, _id: { [op]: id } };
+  if (value === null) return sort.dir === 1 ? { $or: [tie, { [f]: { $ne: null } }] } : tie;
+  const rest = [{ [f]: { [op]: value } }, tie];
+  if (sort.dir === -1) rest.push({ [f]: null });
+  return { $or: rest };
+}
+
+/**
+ * One page of Model matching `filter`.
+ * opts: { sort (parseSort), limit, cursor, fields, populate }
+ * Resolves to { items, nextCursor }.
+ */
+async function findPage(Model, filter, { sort, limit = DEFAULT_LIMIT, cursor, fields, populate = [] }) {
+  const query = cursor ? { $and: [filter, afterCursor(cursor, sort)] } : filter;
+  let q = Model.find(query)
+    .sort({ [sort.field]: sort.dir, _id: sort.dir })
+    .limit(limit + 1);
+  if (fields) q = q.select(fields);
+  for (const p of populate) q = q.populate(p);
+  const docs = await q.lean();
+
+  const items = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? encodeCursor(items[items.length - 1], sort) : null;
+  return { items, nextCursor };
+}
+
+/**
+ * Read the common list params off req.query.
+ * spec: { sort: { field: type }, defaultSort, fields: [...], populate: { path: select } }
+ */
+function listOptions(query, spec) {
+  const sort = parseSort(query.sort, spec.sort, spec.defaultSort);
+  return {
+    sort,
+    limit: parseLimit(query.limit),
+    cursor: query.cursor || undefined,
+    fields: parseFields(query.fields, spec.fields || [], sort),
+    populate: parsePopulate(query.populate, spec.populate || {})
+  };
+}
+
+// An id from the query string, or 400 naming the parameter.
+function queryId(value, name) {
+  if (!mongoose.isValidObjectId(value)) throw badRequest(`Invalid ${name}`);
+  return value;
+}
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * ?from=&to= as a [from, to) pair of Dates. Each may be a local date
+ * (YYYY-MM-DD; `to` is inclusive, so the range runs to the end of that day) or
+ * an ISO time; times without an offset, and dates, are read in `zone`.
+ * Returns { from, to } with either left undefined when not given.
+ */
+function dateRange(from, to, zone = 'UTC') {
+  if (!IANAZone.isValidZone(zone)) throw badRequest(`Unknown timezone ${zone}`);
+  const parse = (value, endOfDay) => {
+    if (value === undefined || value === '') return undefined;
+    let dt = DateTime.fromISO(String(value), { zone });
+    if (dt.isValid && endOfDay && DATE_ONLY_RE.test(value)) dt = dt.plus({ days: 1 });
+    if (!dt.isValid) throw badRequest(`Invalid date ${value}`);
+    return dt.toJSDate();
+  };
+  const range = { from: parse(from, false), to: parse(to, true) };
+  if (range.from && range.to && !(range.to > range.from)) throw badRequest('to must be after from');
+  return range;
+}
+
+// Case-insensitive "contains" regex for user input.
+function containsRegex(text) {
+  return new RegExp(String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listOptions,
+  findPage,
+  parseSort,
+  parseLimit,
+  parseFields,
+  parsePopulate,
+  encodeCursor,
+  decodeCursor,
+  dateRange,
+  queryId,
+  containsRegex
+};
@@ -0,0 +1,88 @@
+// Live calendar updates over Server-Sent Events.
+//
+// Clients open GET /api/providers/:id/events and get a `change` event whenever
+// something alters that provider's availability: bookings made, moved or
+// cancelled, holds placed or released, busy time imported, hours edited. The
+// event only says which time ranges changed ({ type, intervals, expiresAt? };
+// intervals null = everything), never who booked, so any signed-in user may
+// listen; clients refetch availability when a range touches what they show.
+const { subscribe } = require('./events');
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+const RETRY_MS = 3000;          // how soon EventSource reconnects
+
+// providerId -> Set of open responses
+const streams = new Map();
+
+const interval = doc => ({ start: doc.blockStart || doc.start, end: doc.blockEnd || doc.end });
+const idOf = value => String(value && value._id ? value._id : value);
+
+// What an event changed for which provider, or null when it does not touch availability.
+function liveChange(type, event) {
+  switch (type) {
+    case 'booking.created':
+    case 'booking.status_changed': // covers cancellations and no-shows
+      return { provider: idOf(event.booking.provider), intervals: [interval(event.booking)] };
+    case 'booking.rescheduled':
+      return { provider: idOf(event.booking.provider), intervals: [event.previous, interval(event.booking)] };
+    case 'hold.created':
+      return { provider: idOf(event.hold.provider), intervals: [interval(event.hold)], expiresAt: event.hold.expiresAt };
+    case 'hold.released':
+      return { provider: idOf(event.hold.provider), intervals: [interval(event.hold)] };
+    case 'provider.schedule_updated':
+    case 'provider.busy_updated':
+      return { provider: idOf(event.provider), intervals: null };
+    default:
+      return null;
+  }
+}
+
+function write(res, eventName, data) {
+  res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turn `res` into an event stream of changes to providerId's availability.
+ * Ends when the client disconnects.
+ */
+function streamProviderChanges(req, res, providerId) {
+  const key = String(providerId);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  write(res, 'ready', { provider: key });
+
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const set = streams.get(key);
+    if (!set) return;
+    set.delete(res);
+    if (!set.size) streams.delete(key);
+  });
+}
+
+/**
+ * Forward availability changes from the event bus to open streams.
+ * Called once from server.js.
+ */
+function startLiveUpdates() {
+  subscribe('*', (type, event) => {
+    const change = liveChange(type, event);
+    const listeners = change && streams.get(change.provider);
+    if (!listeners) return;
+    const data = { type, at: event.at, intervals: change.intervals };
+    if (change.expiresAt) data.expiresAt = change.expiresAt;
+    for (const res of listeners) write(res, 'change', data);
+  });
+}
+
+module.exports = { startLiveUpdates, streamProviderChanges, liveChange };
@@ -0,0 +1,61 @@
+// Mongo-backed mutex so that check-then-write sequences (overlap check + save)
+// are serialised per provider (and per resource), even across several server processes.
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const { SchedulingError } = require('./errors');
+
+const LOCK_TTL_MS = 10 * 1000;   // a crashed holder frees the lock after this
+const WAIT_TIMEOUT_MS = 5 * 1000;
+const RETRY_DELAY_MS = 50;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquire(key, owner) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  for (;;) {
+    const now = new Date();
+    try {
+      // matches only a missing or expired lock; a live one makes the upsert
+      // collide on the unique key and we retry
+      await Lock.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { key, owner, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) },
+        { upsert: true }
+      );
+      return;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+    if (Date.now() > deadline) {
+      throw new SchedulingError('Schedule is busy, please retry', 503, 'LOCK_TIMEOUT');
+    }
+    await sleep(RETRY_DELAY_MS);
+  }
+}
+
+/**
+ * Run fn while holding the lock for `key`.
+ * key: string such as `provider:${providerId}`
+ */
+async function withLock(key, fn) {
+  const owner = crypto.randomBytes(8).toString('hex');
+  await acquire(key, owner);
+  try {
+    return await fn();
+  } finally {
+    await Lock.deleteOne({ key, owner }).catch(err => console.error('lock release failed', err));
+  }
+}
+
+/**
+ * Run fn while holding every lock in `keys` (e.g. a provider and the rooms a
+ * visit needs). Keys are taken in sorted order so two callers wanting
+ * overlapping sets cannot deadlock.
+ */
+async function withLocks(keys, fn) {
+  const sorted = [...new Set(keys)].sort();
+  const run = i => (i === sorted.length ? fn() : withLock(sorted[i], () => run(i + 1)));
+  return run(0);
+}
+
+module.exports = { withLock, withLocks };
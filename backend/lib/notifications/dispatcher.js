@@ -0,0 +1,95 @@
+// Background sender for the Notification outbox.
+//
+// Each tick claims due rows one at a time (pending -> sending, atomically, so
+// several server processes can run dispatchers side by side), checks the
+// patient's opt-out, and hands the message to the channel's transport.
+// Failures are retried with exponential backoff up to MAX_ATTEMPTS.
+const Notification = require('../../models/Notification');
+const Patient = require('../../models/Patient');
+const { transportFor } = require('./transports');
+
+const TICK_MS = Number(process.env.NOTIFY_TICK_MS) || 15 * 1000;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 60 * 1000;      // 1m, 2m, 4m, 8m ...
+const STALE_SENDING_MS = 5 * 60 * 1000; // a crashed sender releases its row after this
+
+async function claimNext() {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    { status: 'pending', sendAfter: { $lte: now }, nextAttemptAt: { $lte: now } },
+    { status: 'sending', lockedAt: now },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function optedOut(notification) {
+  if (notification.recipientType !== 'patient' || !notification.patient) return false;
+  const patient = await Patient.findById(notification.patient).select('notifications').lean();
+  return !!patient && patient.notifications && patient.notifications[notification.channel] === false;
+}
+
+async function deliver(notification) {
+  if (await optedOut(notification)) {
+    notification.status = 'skipped';
+    notification.lastError = 'recipient opted out';
+    return notification.save();
+  }
+
+  notification.attempts += 1;
+  try {
+    await transportFor(notification.channel).send({
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body
+    });
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (err) {
+    notification.lastError = err.message;
+    if (notification.attempts >= MAX_ATTEMPTS) {
+      notification.status = 'failed';
+    } else {
+      notification.status = 'pending';
+      notification.nextAttemptAt = new Date(Date.now() + BASE_BACKOFF_MS * 2 ** (notification.attempts - 1));
+    }
+  }
+  notification.lockedAt = undefined;
+  return notification.save();
+}
+
+// Send everything that is due (up to BATCH_SIZE). Returns the number handled.
+async function dispatchDue() {
+  await Notification.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { status: 'pending' }
+  );
+
+  let handled = 0;
+  for (; handled < BATCH_SIZE; handled++) {
+    const next = await claimNext();
+    if (!next) break;
+    await deliver(next);
+  }
+  return handled;
+}
+
+function startDispatcher() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // a slow transport must not stack ticks
+    running = true;
+    try {
+      await dispatchDue();
+    } catch (err) {
+      console.error('notification dispatch failed', err);
+    } finally {
+      running = false;
+    }
+  }, TICK_MS);
+  timer.unref();
+}
+
+module.exports = { dispatchDue, startDispatcher, MAX_ATTEMPTS };
@@ -0,0 +1,45 @@
+// Notification subsystem: booking events -> outbox -> dispatcher -> transports.
+const { subscribe } = require('../events');
+const { enqueueForBooking, enqueueWaitlistOffer, scheduleReminders, cancelReminders } = require('./outbox');
+const { startDispatcher, dispatchDue } = require('./dispatcher');
+const { registerTransport } = require('./transports');
+
+/**
+ * Subscribe to booking events and start the dispatcher.
+ * Called once from server.js after Mongo is connected.
+ */
+function startNotifications() {
+  subscribe('booking.created', async ({ booking }) => {
+    // series occurrences are announced together on series.created
+    if (!booking.series) await enqueueForBooking('booking.created', booking);
+    await scheduleReminders(booking);
+  });
+
+  subscribe('series.created', ({ series, bookings }) =>
+    enqueueForBooking('series.created', bookings[0], { series, bookings }));
+
+  subscribe('booking.rescheduled', async ({ booking, previous }) => {
+    await cancelReminders(booking._id);
+    await enqueueForBooking('booking.rescheduled', booking, { previous });
+    await scheduleReminders(booking);
+  });
+
+  subscribe('booking.cancelled', async ({ booking, scope }) => {
+    await cancelReminders(booking._id);
+    if (!scope || scope === 'this') await enqueueForBooking('booking.cancelled', booking);
+  });
+
+  subscribe('series.cancelled', ({ bookings }) =>
+    bookings.length && enqueueForBooking('series.cancelled', bookings[0], { bookings }));
+
+  // no point reminding about a visit that already happened or was missed
+  subscribe('booking.status_changed', async ({ booking, to }) => {
+    if (to === 'completed' || to === 'no_show') await cancelReminders(booking._id);
+  });
+
+  subscribe('waitlist.offered', ({ entry }) => enqueueWaitlistOffer(entry));
+
+  startDispatcher();
+}
+
+module.exports = { startNotifications, dispatchDue, registerTransport };
@@ -0,0 +1,125 @@
+// Writing messages into the Notification outbox.
+const Notification = require('../../models/Notification');
+const Patient = require('../../models/Patient');
+const Provider = require('../../models/Provider');
+const { render } = require('./templates');
+
+// minutes before `start`; NOTIFY_REMINDERS="1440,120" overrides
+const REMINDER_MINUTES = (process.env.NOTIFY_REMINDERS || '1440,120')
+  .split(',')
+  .map(Number)
+  .filter(n => n > 0);
+
+async function loadParties(providerId, patientId) {
+  const [provider, patient] = await Promise.all([
+    Provider.findById(providerId).lean(),
+    Patient.findById(patientId).lean()
+  ]);
+  return { provider, patient };
+}
+
+// Every (recipient, channel, address) a message should go to.
+function recipients(provider, patient, { patientOnly = false } = {}) {
+  const out = [];
+  if (patient && patient.email) out.push({ recipientType: 'patient', channel: 'email', to: patient.email });
+  if (patient && patient.phone) out.push({ recipientType: 'patient', channel: 'sms', to: patient.phone });
+  if (!patientOnly && provider && provider.email) out.push({ recipientType: 'provider', channel: 'email', to: provider.email });
+  return out;
+}
+
+async function insertIgnoringDuplicates(docs) {
+  if (!docs.length) return [];
+  try {
+    return await Notification.insertMany(docs, { ordered: false });
+  } catch (err) {
+    // duplicate dedupeKey: the same event was already queued
+    if (err.code === 11000 || (err.writeErrors && err.writeErrors.every(e => e.code === 11000))) {
+      return err.insertedDocs || [];
+    }
+    throw err;
+  }
+}
+
+/**
+ * Queue messages for a booking event.
+ * kind: template name ('booking.created' | 'booking.rescheduled' | 'booking.cancelled' | 'series.*')
+ * booking: plain booking object; extra: additional template context (e.g. previous)
+ * opts.sendAfter / opts.dedupe: schedule and dedupe suffix (used for reminders)
+ */
+async function enqueueForBooking(kind, booking, extra = {}, opts = {}) {
+  const { provider, patient } = await loadParties(booking.provider, booking.patient);
+  if (!provider) return [];
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+
+  const docs = recipients(provider, patient).map(r => {
+    const { subject, text } = render(kind, { ...extra, booking, provider, patient, tz, recipientType: r.recipientType });
+    return {
+      ...r,
+      patient: patient && patient._id,
+      provider: provider._id,
+      booking: booking._id,
+      kind,
+      subject,
+      body: text,
+      sendAfter: opts.sendAfter || new Date(),
+      nextAttemptAt: opts.sendAfter || new Date(),
+      dedupeKey: `${kind}:${booking._id}:${opts.dedupe || +new Date(booking.updatedAt || Date.now())}:${r.channel}:${r.to}`
+    };
+  });
+  return insertIgnoringDuplicates(docs);
+}
+
+// Drop pending reminders for a booking (cancelled, moved or finished).
+async function cancelReminders(bookingId) {
+  await Notification.updateMany(
+    { booking: bookingId, kind: 'reminder', status: 'pending' },
+    { status: 'cancelled' }
+  );
+}
+
+// Queue the standard reminders that are still in the future.
+async function scheduleReminders(booking) {
+  const start = new Date(booking.start).getTime();
+  const queued = [];
+  for (const minutes of REMINDER_MINUTES) {
+    const sendAfter = new Date(start - minutes * 60000);
+    if (sendAfter <= new Date()) continue;
+    queued.push(...await enqueueForBooking('reminder', booking, { reminderMinutes: minutes }, {
+      sendAfter,
+      dedupe: `${minutes}:${start}:${+new Date(booking.updatedAt || 0)}`
+    }));
+  }
+  return queued;
+}
+
+/**
+ * Tell a waitlisted patient about their offer.
+ * entry: plain WaitlistEntry with a live offer
+ */
+async function enqueueWaitlistOffer(entry) {
+  const { provider, patient } = await loadParties(entry.offer.provider, entry.patient);
+  if (!provider || !patient) return [];
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+
+  const docs = recipients(provider, patient, { patientOnly: true }).map(r => {
+    const { subject, text } = render('waitlist.offered', { offer: entry.offer, provider, patient, tz, recipientType: r.recipientType });
+    return {
+      ...r,
+      patient: patient._id,
+      provider: provider._id,
+      kind: 'waitlist.offered',
+      subject,
+      body: text,
+      dedupeKey: `waitlist.offered:${entry._id}:${entry.offer.hold}:${r.channel}`
+    };
+  });
+  return insertIgnoringDuplicates(docs);
+}
+
+module.exports = {
+  enqueueForBooking,
+  enqueueWaitlistOffer,
+  scheduleReminders,
+  cancelReminders,
+  REMINDER_MINUTES
+};
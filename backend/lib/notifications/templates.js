@@ -0,0 +1,71 @@
+// Message templates. Times are always shown in the provider's timezone, with
+// the zone name, since that is where the appointment physically happens.
+const { DateTime } = require('luxon');
+
+const formatWhen = (date, tz) =>
+  DateTime.fromJSDate(new Date(date), { zone: tz }).toFormat("cccc d LLLL yyyy 'at' HH:mm ZZZZ");
+
+const patientName = p => [p && p.first_name, p && p.last_name].filter(Boolean).join(' ') || 'there';
+
+// ctx: { booking, provider, patient, tz, previous?, recipientType, reminderMinutes?, offer?, bookings? }
+const TEMPLATES = {
+  'booking.created': ctx => ({
+    subject: `Appointment confirmed: ${formatWhen(ctx.booking.start, ctx.tz)}`,
+    text: ctx.recipientType === 'provider'
+      ? `New appointment with ${patientName(ctx.patient)} on ${formatWhen(ctx.booking.start, ctx.tz)}.`
+      : `Hi ${patientName(ctx.patient)}, your appointment with ${ctx.provider.name} is booked for ${formatWhen(ctx.booking.start, ctx.tz)}.`
+  }),
+
+  'booking.rescheduled': ctx => ({
+    subject: `Appointment moved to ${formatWhen(ctx.booking.start, ctx.tz)}`,
+    text: `${ctx.recipientType === 'provider' ? `The appointment with ${patientName(ctx.patient)}` : `Hi ${patientName(ctx.patient)}, your appointment with ${ctx.provider.name}`}` +
+      ` has moved from ${formatWhen(ctx.previous.start, ctx.tz)} to ${formatWhen(ctx.booking.start, ctx.tz)}.`
+  }),
+
+  'booking.cancelled': ctx => ({
+    subject: `Appointment cancelled: ${formatWhen(ctx.booking.start, ctx.tz)}`,
+    text: ctx.recipientType === 'provider'
+      ? `The appointment with ${patientName(ctx.patient)} on ${formatWhen(ctx.booking.start, ctx.tz)} was cancelled.`
+      : `Hi ${patientName(ctx.patient)}, your appointment with ${ctx.provider.name} on ${formatWhen(ctx.booking.start, ctx.tz)} was cancelled.`
+  }),
+
+  'series.created': ctx => ({
+    subject: `Recurring appointments booked: ${ctx.bookings.length} from ${formatWhen(ctx.booking.start, ctx.tz)}`,
+    text: `${ctx.recipientType === 'provider' ? `New recurring appointments with ${patientName(ctx.patient)}` : `Hi ${patientName(ctx.patient)}, your recurring appointments with ${ctx.provider.name} are booked`}:\n` +
+      ctx.bookings.map(b => `- ${formatWhen(b.start, ctx.tz)}`).join('\n')
+  }),
+
+  'series.cancelled': ctx => ({
+    subject: `${ctx.bookings.length} appointments cancelled`,
+    text: `${ctx.recipientType === 'provider' ? `Appointments with ${patientName(ctx.patient)}` : `Hi ${patientName(ctx.patient)}, these appointments with ${ctx.provider.name}`} were cancelled:\n` +
+      ctx.bookings.map(b => `- ${formatWhen(b.start, ctx.tz)}`).join('\n')
+  }),
+
+  reminder: ctx => {
+    const hours = Math.round(ctx.reminderMinutes / 60);
+    const lead = hours >= 1 ? `${hours} hour${hours === 1 ? '' : 's'}` : `${ctx.reminderMinutes} minutes`;
+    return {
+      subject: `Reminder: appointment in ${lead}`,
+      text: ctx.recipientType === 'provider'
+        ? `Reminder: appointment with ${patientName(ctx.patient)} on ${formatWhen(ctx.booking.start, ctx.tz)}.`
+        : `Hi ${patientName(ctx.patient)}, a reminder of your appointment with ${ctx.provider.name} on ${formatWhen(ctx.booking.start, ctx.tz)}.`
+    };
+  },
+
+  'waitlist.offered': ctx => ({
+    subject: 'An earlier appointment is available',
+    text: `Hi ${patientName(ctx.patient)}, a slot with ${ctx.provider.name} opened up on ${formatWhen(ctx.offer.start, ctx.tz)}.` +
+      ` It is held for you until ${formatWhen(ctx.offer.expiresAt, ctx.tz)}.`
+  })
+};
+
+/**
+ * Render a template. Returns { subject, text }.
+ */
+function render(kind, ctx) {
+  const template = TEMPLATES[kind];
+  if (!template) throw new Error(`Unknown notification template: ${kind}`);
+  return template(ctx);
+}
+
+module.exports = { render, formatWhen };
@@ -0,0 +1,7 @@
+// Development transport: prints messages instead of sending them.
+module.exports = {
+  name: 'console',
+  async send(message) {
+    console.log(`[notify:${message.channel}] to=${message.to} subject=${message.subject || '-'}\n${message.body}`);
+  }
+};
@@ -0,0 +1,13 @@
+// Development transport: appends each message as a JSON line to a file.
+const fs = require('fs/promises');
+const path = require('path');
+
+const FILE = process.env.NOTIFY_FILE_PATH || path.join(__dirname, '..', '..', '..', 'notifications.log');
+
+module.exports = {
+  name: 'file',
+  async send(message) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...message });
+    await fs.appendFile(FILE, line + '\n');
+  }
+};
@@ -0,0 +1,28 @@
+// Picks a transport per channel from the environment:
+//   NOTIFY_EMAIL_TRANSPORT = smtp | console | file   (default console)
+//   NOTIFY_SMS_TRANSPORT   = sms  | console | file   (default console)
+const TRANSPORTS = {
+  console: () => require('./console'),
+  file: () => require('./file'),
+  smtp: () => require('./smtp'),
+  sms: () => require('./sms')
+};
+
+const overrides = {};
+
+function transportFor(channel) {
+  if (overrides[channel]) return overrides[channel];
+  const name = channel === 'email'
+    ? process.env.NOTIFY_EMAIL_TRANSPORT || 'console'
+    : process.env.NOTIFY_SMS_TRANSPORT || 'console';
+  const load = TRANSPORTS[name];
+  if (!load) throw new Error(`Unknown ${channel} transport: ${name}`);
+  return load();
+}
+
+// Plug in a custom transport ({ name, send(message) }) for a channel.
+function registerTransport(channel, transport) {
+  overrides[channel] = transport;
+}
+
+module.exports = { transportFor, registerTransport };
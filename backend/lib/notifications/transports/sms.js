@@ -0,0 +1,20 @@
+// SMS through an HTTP gateway. Posts JSON { to, body } to SMS_GATEWAY_URL,
+// with SMS_GATEWAY_TOKEN as a bearer token when set. Any non-2xx is a failure.
+const TIMEOUT_MS = 10 * 1000;
+
+module.exports = {
+  name: 'sms',
+  async send(message) {
+    if (!process.env.SMS_GATEWAY_URL) throw new Error('SMS_GATEWAY_URL not set');
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SMS_GATEWAY_TOKEN) headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+
+    const res = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ to: message.to, body: message.body }),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`SMS gateway responded ${res.status}`);
+  }
+};
@@ -0,0 +1,184 @@
+// Small RRULE engine (RFC 5545 subset) on Luxon, evaluated in wall-clock time
+// of a given zone so "every Tuesday 10:00" stays at 10:00 across DST changes.
+//
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT, UNTIL,
+// BYDAY (with ordinals for MONTHLY/YEARLY, e.g. 2TU, -1FR), BYMONTHDAY, BYMONTH.
+const { DateTime } = require('luxon');
+
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// guards against rules that never produce a match (e.g. BYMONTHDAY=31;BYMONTH=2)
+const MAX_PERIODS = 10000;
+
+function parseDateValue(value, zone) {
+  if (!value) return null;
+  if (DateTime.isDateTime(value)) return value;
+  if (value instanceof Date) return DateTime.fromJSDate(value, { zone });
+  const v = String(value);
+  // basic iCalendar form: 20250101 or 20250101T100000[Z]
+  const m = v.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (m) {
+    // a bare date means the end of that day, so UNTIL=20250131 stays inclusive
+    const time = m[4]
+      ? { hour: +m[4], minute: +m[5], second: +m[6] }
+      : { hour: 23, minute: 59, second: 59 };
+    return DateTime.fromObject({ year: +m[1], month: +m[2], day: +m[3], ...time }, { zone: m[7] ? 'utc' : zone });
+  }
+  return DateTime.fromISO(v, { zone });
+}
+
+/**
+ * Parse "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=8" (an optional "RRULE:" prefix
+ * is ignored) into { freq, interval, count, until, byDay, byMonthDay, byMonth }.
+ * Throws on unsupported frequencies.
+ */
+function parseRRule(str) {
+  const rule = { interval: 1 };
+  for (const part of String(str).replace(/^RRULE:/i, '').split(';')) {
+    const [key, raw] = part.split('=');
+    if (!key || raw === undefined) continue;
+    const value = raw.trim();
+    switch (key.trim().toUpperCase()) {
+      case 'FREQ': rule.freq = value.toUpperCase(); break;
+      case 'INTERVAL': rule.interval = Math.max(parseInt(value, 10) || 1, 1); break;
+      case 'COUNT': rule.count = parseInt(value, 10); break;
+      case 'UNTIL': rule.until = value; break;
+      case 'BYDAY': rule.byDay = value.toUpperCase().split(','); break;
+      case 'BYMONTHDAY': rule.byMonthDay = value.split(',').map(Number); break;
+      case 'BYMONTH': rule.byMonth = value.split(',').map(Number); break;
+      default: break; // WKST, BYSETPOS, ... are ignored
+    }
+  }
+  if (!FREQS.includes(rule.freq)) {
+    throw new Error(`Unsupported recurrence frequency: ${rule.freq}`);
+  }
+  return rule;
+}
+
+// "2TU" -> { ordinal: 2, weekday: 2 }, "FR" -> { ordinal: null, weekday: 5 }
+function parseByDay(token) {
+  const m = String(token).match(/^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/);
+  if (!m) return null;
+  return { ordinal: m[1] ? parseInt(m[1], 10) : null, weekday: WEEKDAYS[m[2]] };
+}
+
+// All dates (DateTime at start of day) in a month matching BYDAY / BYMONTHDAY.
+function daysInMonthMatching(monthStart, rule, dtstart) {
+  const last = monthStart.daysInMonth;
+  const out = [];
+
+  if (rule.byDay && rule.byDay.length) {
+    for (const token of rule.byDay) {
+      const spec = parseByDay(token);
+      if (!spec) continue;
+      const matches = [];
+      for (let d = 1; d <= last; d++) {
+        const day = monthStart.set({ day: d });
+        if (day.weekday === spec.weekday) matches.push(day);
+      }
+      if (spec.ordinal == null) out.push(...matches);
+      else {
+        const pick = spec.ordinal > 0 ? matches[spec.ordinal - 1] : matches[matches.length + spec.ordinal];
+        if (pick) out.push(pick);
+      }
+    }
+  } else {
+    const days = rule.byMonthDay && rule.byMonthDay.length ? rule.byMonthDay : [dtstart.day];
+    for (const d of days) {
+      const dayNum = d > 0 ? d : last + d + 1;
+      // a day that does not exist in this month (31st of April, Feb 29) is skipped
+      if (dayNum >= 1 && dayNum <= last) out.push(monthStart.set({ day: dayNum }));
+    }
+  }
+
+  if (rule.byMonthDay && rule.byMonthDay.length && rule.byDay && rule.byDay.length) {
+    return out.filter(day => rule.byMonthDay.some(d => (d > 0 ? d : last + d + 1) === day.day));
+  }
+  return out;
+}
+
+// Candidate dates for the period containing `periodStart`.
+function candidatesForPeriod(periodStart, rule, dtstart) {
+  switch (rule.freq) {
+    case 'DAILY':
+      return [periodStart];
+    case 'WEEKLY': {
+      const weekdays = rule.byDay && rule.byDay.length
+        ? rule.byDay.map(parseByDay).filter(Boolean).map(s => s.weekday)
+        : [dtstart.weekday];
+      return weekdays.map(w => periodStart.plus({ days: w - 1 }));
+    }
+    case 'MONTHLY':
+      return daysInMonthMatching(periodStart, rule, dtstart);
+    case 'YEARLY': {
+      const months = rule.byMonth && rule.byMonth.length ? rule.byMonth : [dtstart.month];
+      return months.flatMap(m => daysInMonthMatching(periodStart.set({ month: m }), rule, dtstart));
+    }
+    default:
+      return [];
+  }
+}
+
+function periodStartFor(dtstart, freq) {
+  const day = dtstart.startOf('day');
+  if (freq === 'WEEKLY') return day.minus({ days: day.weekday - 1 });
+  if (freq === 'MONTHLY') return day.startOf('month');
+  if (freq === 'YEARLY') return day.startOf('year');
+  return day;
+}
+
+const PERIOD_UNIT = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+
+/**
+ * Expand a rule into occurrence start times.
+ * rule: string (RRULE) or parsed object
+ * dtstart: Luxon DateTime in the zone the rule is evaluated in (first occurrence)
+ * opts: { from, to } DateTime/Date bounds (inclusive) to limit output; COUNT is
+ *   still counted from dtstart. exclude: array of DateTime/Date to skip (EXDATE).
+ * Returns DateTime[] in dtstart's zone, sorted.
+ */
+function expandRule(rule, dtstart, opts = {}) {
+  const r = typeof rule === 'string' ? parseRRule(rule) : { interval: 1, ...rule };
+  const zone = dtstart.zone;
+  const until = parseDateValue(r.until, zone);
+  const from = parseDateValue(opts.from, zone);
+  const to = parseDateValue(opts.to, zone);
+  const excluded = new Set((opts.exclude || []).map(d => +parseDateValue(d, zone)));
+  const time = { hour: dtstart.hour, minute: dtstart.minute, second: dtstart.second };
+
+  if (!until && !r.count && !to) {
+    throw new Error('Recurrence needs COUNT, UNTIL or an upper bound');
+  }
+
+  const out = [];
+  let produced = 0;
+  let period = periodStartFor(dtstart, r.freq);
+
+  for (let i = 0; i < MAX_PERIODS; i++, period = period.plus({ [PERIOD_UNIT[r.freq]]: r.interval })) {
+    if (until && period > until) break;
+    if (to && period > to) break;
+
+    const candidates = candidatesForPeriod(period, r, dtstart)
+      .filter(day => !r.byMonth || !r.byMonth.length || r.byMonth.includes(day.month))
+      .filter(day => r.freq !== 'DAILY' || !r.byDay || !r.byDay.length ||
+        r.byDay.map(parseByDay).some(s => s && s.weekday === day.weekday))
+      .map(day => DateTime.fromObject({ year: day.year, month: day.month, day: day.day, ...time }, { zone }))
+      .sort((a, b) => a - b);
+
+    for (const occ of candidates) {
+      if (occ < dtstart) continue;
+      if (until && occ > until) return out;
+      if (r.count && produced >= r.count) return out;
+      produced++;
+      if (excluded.has(+occ)) continue;
+      if (to && occ > to) return out;
+      if (from && occ < from) continue;
+      out.push(occ);
+    }
+    if (r.count && produced >= r.count) break;
+  }
+  return out;
+}
+
+module.exports = { parseRRule, expandRule, parseDateValue, WEEKDAYS };
@@ -0,0 +1,198 @@
+// Utilization and no-show reports for a provider over a date range, broken down
+// by weekday and hour in the provider's timezone.
+//
+//   offeredMinutes  seat-minutes of the slots the schedule engine publishes for
+//                   the range (generateSlotsForRange; booked slots count, busy
+//                   time and blackouts do not), times each slot's capacity
+//   bookedMinutes   minutes of bookings that were not cancelled (no-shows
+//                   included: the time was taken)
+//   utilizationPct  bookedMinutes / offeredMinutes; can pass 100 when bookings
+//                   sit outside today's hours (made before the schedule changed)
+//   bookings        every booking starting in the range, in any status
+//   cancellations, noShows, noShowRatePct (no-shows / bookings not cancelled)
+//   lead times      hours from when a booking was made to its start
+//
+// Minutes are spread over the local hours they fall in; counts and lead times
+// go to the hour the booking starts.
+const { DateTime } = require('luxon');
+const Booking = require('../models/Booking');
+const generateSlots = require('./generateSlotsForRange');
+const { scheduleOf } = require('./scheduleWindows');
+const { dateRange } = require('./listQuery');
+const { SchedulingError } = require('./errors');
+
+const MAX_REPORT_DAYS = 366;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const BREAKDOWNS = ['total', 'weekday', 'hour', 'weekday_hour'];
+
+const round1 = n => Math.round(n * 10) / 10;
+const pct = (part, whole) => (whole ? round1((part / whole) * 100) : null);
+
+function emptyBucket() {
+  return { offeredMinutes: 0, bookedMinutes: 0, bookings: 0, cancellations: 0, noShows: 0, leadTimes: [] };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Bucket counters -> report row
+function summarize(bucket) {
+  const kept = bucket.bookings - bucket.cancellations;
+  const { leadTimes } = bucket;
+  return {
+    offeredMinutes: Math.round(bucket.offeredMinutes),
+    bookedMinutes: Math.round(bucket.bookedMinutes),
+    utilizationPct: pct(bucket.bookedMinutes, bucket.offeredMinutes),
+    bookings: bucket.bookings,
+    cancellations: bucket.cancellations,
+    noShows: bucket.noShows,
+    noShowRatePct: pct(bucket.noShows, kept),
+    avgLeadTimeHours: leadTimes.length ? round1(leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length) : null,
+    medianLeadTimeHours: leadTimes.length ? round1(median(leadTimes)) : null
+  };
+}
+
+function merge(into, bucket) {
+  into.offeredMinutes += bucket.offeredMinutes;
+  into.bookedMinutes += bucket.bookedMinutes;
+  into.bookings += bucket.bookings;
+  into.cancellations += bucket.cancellations;
+  into.noShows += bucket.noShows;
+  into.leadTimes.push(...bucket.leadTimes);
+}
+
+/**
+ * Split [start, end) (clipped to [from, to)) at local hour boundaries and call
+ * add(weekday, hour, minutes) for each piece. Luxon adds hours as elapsed time,
+ * so the repeated hour of a DST fall-back is counted once per pass.
+ */
+function spreadMinutes(start, end, { from, to, tz }, add) {
+  let cursor = DateTime.fromMillis(Math.max(+start, +from), { zone: tz });
+  const stop = DateTime.fromMillis(Math.min(+end, +to), { zone: tz });
+  while (cursor < stop) {
+    const next = DateTime.min(cursor.startOf('hour').plus({ hours: 1 }), stop);
+    add(cursor.weekday, cursor.hour, next.diff(cursor, 'minutes').minutes);
+    cursor = next;
+  }
+}
+
+/**
+ * Utilization report for provider (a lean Provider) from..to. Dates without a
+ * time are the provider's local days, `to` inclusive (see listQuery.dateRange).
+ * Throws 400 for a missing, invalid or over-long range.
+ */
+async function utilizationReport(provider, from, to) {
+  const { tz } = scheduleOf(provider);
+  if (!from || !to) throw new SchedulingError('from and to are required', 400, 'INVALID_QUERY');
+  const range = { ...dateRange(from, to, tz), tz };
+  if (range.to - range.from > MAX_REPORT_DAYS * 86400000) {
+    throw new SchedulingError(`Reports cover at most ${MAX_REPORT_DAYS} days`, 400, 'RANGE_TOO_LONG');
+  }
+
+  const [slots, bookings] = await Promise.all([
+    generateSlots(provider, range.from.toISOString(), range.to.toISOString()),
+    Booking.find({ provider: provider._id, start: { $gte: range.from, $lt: range.to } })
+      .select('start end status createdAt').lean()
+  ]);
+
+  // weekday-hour -> counters
+  const cells = new Map();
+  const cell = (weekday, hour) => {
+    const key = `${weekday}-${hour}`;
+    if (!cells.has(key)) cells.set(key, { weekday, hour, ...emptyBucket() });
+    return cells.get(key);
+  };
+
+  // rules and exceptions can publish the same slot twice
+  const seen = new Set();
+  for (const slot of slots) {
+    const key = `${slot.start}|${slot.end}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    spreadMinutes(new Date(slot.start), new Date(slot.end), range, (weekday, hour, minutes) => {
+      cell(weekday, hour).offeredMinutes += minutes * (slot.capacity || 1);
+    });
+  }
+
+  for (const booking of bookings) {
+    const local = DateTime.fromJSDate(booking.start, { zone: tz });
+    const bucket = cell(local.weekday, local.hour);
+    bucket.bookings += 1;
+    if (booking.createdAt) bucket.leadTimes.push((booking.start - booking.createdAt) / 3600000);
+    if (booking.status === 'cancelled') {
+      bucket.cancellations += 1;
+      continue;
+    }
+    if (booking.status === 'no_show') bucket.noShows += 1;
+    spreadMinutes(booking.start, booking.end, range, (weekday, hour, minutes) => {
+      cell(weekday, hour).bookedMinutes += minutes;
+    });
+  }
+
+  const totals = emptyBucket();
+  const byWeekday = WEEKDAYS.map(() => emptyBucket());
+  const byHour = Array.from({ length: 24 }, () => emptyBucket());
+  const ordered = [...cells.values()].sort((a, b) => a.weekday - b.weekday || a.hour - b.hour);
+  for (const c of ordered) {
+    merge(totals, c);
+    merge(byWeekday[c.weekday - 1], c);
+    merge(byHour[c.hour], c);
+  }
+
+  return {
+    provider: { _id: provider._id, name: provider.name },
+    timezone: tz,
+    from: range.from,
+    to: range.to,
+    totals: summarize(totals),
+    byWeekday: byWeekday.map((b, i) => ({ weekday: WEEKDAYS[i], ...summarize(b) })),
+    byHour: byHour.map((b, hour) => ({ hour, ...summarize(b) })),
+    byWeekdayHour: ordered.map(c => ({ weekday: WEEKDAYS[c.weekday - 1], hour: c.hour, ...summarize(c) }))
+  };
+}
+
+const CSV_COLUMNS = [
+  'offeredMinutes', 'bookedMinutes', 'utilizationPct', 'bookings', 'cancellations',
+  'noShows', 'noShowRatePct', 'avgLeadTimeHours', 'medianLeadTimeHours'
+];
+
+// Quote when needed; a leading = + - @ is defused so spreadsheets do not run it
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Reports as CSV, one row per provider and `breakdown` group
+ * ('total', 'weekday', 'hour' or 'weekday_hour', the default).
+ */
+function reportsToCsv(reports, breakdown = 'weekday_hour') {
+  if (!BREAKDOWNS.includes(breakdown)) {
+    throw new SchedulingError(`breakdown must be one of ${BREAKDOWNS.join(', ')}`, 400, 'INVALID_QUERY');
+  }
+  const rowsOf = {
+    total: r => [{ ...r.totals }],
+    weekday: r => r.byWeekday,
+    hour: r => r.byHour,
+    weekday_hour: r => r.byWeekdayHour
+  }[breakdown];
+
+  const lines = [['providerId', 'provider', 'timezone', 'from', 'to', 'weekday', 'hour', ...CSV_COLUMNS]];
+  for (const report of reports) {
+    for (const row of rowsOf(report)) {
+      lines.push([
+        String(report.provider._id), report.provider.name, report.timezone, report.from, report.to,
+        row.weekday, row.hour, ...CSV_COLUMNS.map(col => row[col])
+      ]);
+    }
+  }
+  return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { utilizationReport, reportsToCsv, BREAKDOWNS, MAX_REPORT_DAYS };
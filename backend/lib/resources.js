@@ -0,0 +1,112 @@
+// Rooms and equipment a visit needs besides the provider. A resource is
+// reserved by putting its id on the Booking/Hold; it is busy whenever another
+// provider's active booking or live hold lists it (see lib/blockers.js).
+const { DateTime } = require('luxon');
+const Resource = require('../models/Resource');
+const { overlapsBlock } = require('./blockers');
+const { scheduleOf, windowsForDay, blackoutFor, blockedFor, withoutBlocked } = require('./scheduleWindows');
+const { SchedulingError } = require('./errors');
+
+const resourceLockKey = resourceId => `resource:${resourceId}`;
+
+// Ids required by the appointment type plus any the caller asked for, deduplicated.
+function resourceIdsFor(appointmentType, resourceIds = []) {
+  const ids = [...((appointmentType && appointmentType.requiredResources) || []), ...resourceIds];
+  return [...new Set(ids.map(String))];
+}
+
+/**
+ * Load the resources a visit needs. Throws RESOURCE_NOT_FOUND for unknown or
+ * retired ones. Resolves to lean Resource docs (possibly []).
+ */
+async function resolveResources(appointmentType, resourceIds = []) {
+  const ids = resourceIdsFor(appointmentType, resourceIds);
+  if (!ids.length) return [];
+  const resources = await Resource.find({ _id: { $in: ids }, active: true }).lean();
+  if (resources.length !== ids.length) {
+    const found = new Set(resources.map(r => String(r._id)));
+    throw new SchedulingError('Resource not found', 404, 'RESOURCE_NOT_FOUND', {
+      resourceIds: ids.filter(id => !found.has(id))
+    });
+  }
+  return resources;
+}
+
+// Opening windows on the local day `day`. Resources without recurring rules
+// are open all day, apart from blackouts, holidays and blocked time.
+function openWindows(schedule, day) {
+  if (schedule.rules.length) return windowsForDay(schedule, day);
+  if (blackoutFor(schedule, day.toISODate())) return [];
+  return withoutBlocked([{ start: day, end: day.plus({ days: 1 }), step: 1 }], blockedFor(schedule, day));
+}
+
+// Is the resource open for all of [slotStart, slotEnd)?
+function isResourceOpen(resource, slotStart, slotEnd) {
+  const schedule = scheduleOf(resource);
+  const day = slotStart.setZone(schedule.tz).startOf('day');
+  return openWindows(schedule, day).some(w => slotStart >= w.start && slotEnd <= w.end);
+}
+
+/**
+ * Reasons the resources cannot be used for the slot, given
+ * `blockers.resources` from findBlockers: RESOURCE_CLOSED (outside its hours)
+ * and RESOURCE_BUSY (used by another booking/hold).
+ */
+function resourceReasons(resourceBlockers = [], slotStart, slotEnd, blockStart, blockEnd) {
+  const reasons = [];
+  for (const { resource, bookings, holds } of resourceBlockers) {
+    if (!isResourceOpen(resource, slotStart, slotEnd)) {
+      reasons.push({
+        code: 'RESOURCE_CLOSED',
+        message: `${resource.name} is not available at this time`,
+        resourceId: resource._id
+      });
+    }
+    const used = [...bookings, ...holds].find(d => overlapsBlock(blockStart, blockEnd, d));
+    if (used) {
+      reasons.push({
+        code: 'RESOURCE_BUSY',
+        message: `${resource.name} is in use`,
+        resourceId: resource._id,
+        start: used.start,
+        end: used.end
+      });
+    }
+  }
+  return reasons;
+}
+
+// Throw RESOURCE_CLOSED unless every resource is open for [slotStart, slotEnd).
+function checkResourcesOpen(resources, slotStart, slotEnd) {
+  const closed = resources.find(r => !isResourceOpen(r, slotStart, slotEnd));
+  if (closed) {
+    throw new SchedulingError(`${closed.name} is not available at this time`, 400, 'RESOURCE_CLOSED', {
+      resourceId: closed._id
+    });
+  }
+}
+
+// Local view of a resource's day, for GET /api/resources/:id/availability.
+function resourceWindows(resource, fromISO, toISO) {
+  const schedule = scheduleOf(resource);
+  const from = DateTime.fromISO(fromISO, { zone: schedule.tz }).startOf('day');
+  const to = DateTime.fromISO(toISO, { zone: schedule.tz }).endOf('day');
+  const days = [];
+  for (let day = from; day <= to; day = day.plus({ days: 1 })) {
+    days.push({
+      date: day.toISODate(),
+      windows: openWindows(schedule, day).map(w => ({ start: w.start.toUTC().toISO(), end: w.end.toUTC().toISO() }))
+    });
+  }
+  return { timezone: schedule.tz, days };
+}
+
+module.exports = {
+  resourceLockKey,
+  resourceIdsFor,
+  resolveResources,
+  isResourceOpen,
+  resourceReasons,
+  checkResourcesOpen,
+  resourceWindows
+};
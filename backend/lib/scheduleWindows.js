@@ -0,0 +1,227 @@
+// Which hours a provider works on a given local day, from recurring rules,
+// date exceptions and public holidays. This is the schedule half of the slot
+// engine; the other half (bookings, holds, busy time) lives in lib/blockers.js.
+const { DateTime } = require('luxon');
+const { expandRule } = require('./recurrence');
+const { holidayOn } = require('./holidays');
+
+function scheduleOf(provider) {
+  const config = provider.scheduleConfig || {};
+  return {
+    tz: config.timezone || 'UTC',
+    rules: config.recurringRules || [],
+    exceptions: config.exceptions || [],
+    holidayCountry: config.holidayCountry || null,
+    version: null,
+    versions: [...(provider.scheduleVersions || [])].sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1))
+  };
+}
+
+/**
+ * The schedule in force on a local date: the latest-starting version that
+ * covers it (see ScheduleVersionSchema), else the base config. `version` is
+ * that version's _id, or null for the base config.
+ */
+function scheduleOn(schedule, dateStr) {
+  let active;
+  for (const v of schedule.versions || []) {
+    if (v.effectiveFrom <= dateStr && (!v.effectiveTo || dateStr <= v.effectiveTo)) active = v;
+  }
+  if (!active) return schedule;
+  return {
+    ...schedule,
+    rules: active.recurringRules || [],
+    exceptions: active.exceptions || [],
+    holidayCountry: active.holidayCountry === undefined ? schedule.holidayCountry : active.holidayCountry,
+    version: active._id || null,
+    versions: []
+  };
+}
+
+/**
+ * Local wall time `HH:mm` on `dateStr` as a DateTime. `gap` is true when that
+ * wall time does not exist (spring-forward DST gap) and Luxon moved it forward.
+ */
+function wallTime(dateStr, time, tz) {
+  const dt = DateTime.fromISO(`${dateStr}T${time}`, { zone: tz });
+  return { dt, gap: dt.isValid && dt.toFormat('HH:mm') !== String(time).slice(0, 5) };
+}
+
+// Does the exception apply on the local date? `date` alone is that day,
+// date..endDate a range, and with `rrule` each occurrence (DTSTART = date)
+// covers as many days as that range.
+function exceptionAppliesOn(ex, dateStr) {
+  if (!ex.date || dateStr < ex.date) return false;
+  const span = ex.endDate && ex.endDate > ex.date
+    ? DateTime.fromISO(ex.endDate, { zone: 'utc' }).diff(DateTime.fromISO(ex.date, { zone: 'utc' }), 'days').days
+    : 0;
+  if (!ex.rrule) return dateStr <= (span ? ex.endDate : ex.date);
+
+  // an occurrence that started up to `span` days earlier still covers dateStr
+  const day = DateTime.fromISO(dateStr, { zone: 'utc' });
+  return expandRule(ex.rrule, DateTime.fromISO(ex.date, { zone: 'utc' }), {
+    from: day.minus({ days: span }),
+    to: day
+  }).length > 0;
+}
+
+// Exceptions that apply on dateStr, as [{ exception, index }].
+function exceptionsOn(schedule, dateStr) {
+  const out = [];
+  scheduleOn(schedule, dateStr).exceptions.forEach((exception, index) => {
+    if (exceptionAppliesOn(exception, dateStr)) out.push({ exception, index });
+  });
+  return out;
+}
+
+const hasTimes = ex => Boolean(ex.startTime && ex.endTime);
+const addsHours = ex => Boolean(ex.available && hasTimes(ex));
+
+/**
+ * What the exceptions and holidays say about a local date:
+ * { onDay, holiday, blackout } where blackout is the full-day closure, if any.
+ * A public holiday closes the day unless an exception adds hours on it.
+ */
+function dayStatus(schedule, dateStr) {
+  schedule = scheduleOn(schedule, dateStr);
+  const onDay = exceptionsOn(schedule, dateStr);
+  const holiday = holidayOn(schedule.holidayCountry, dateStr);
+  const closed = onDay.find(({ exception }) => exception.available === false && !hasTimes(exception));
+
+  let blackout;
+  if (closed) blackout = closed.exception;
+  else if (holiday && !onDay.some(({ exception }) => addsHours(exception))) {
+    blackout = { date: dateStr, available: false, holiday: true, note: holiday.name };
+  }
+  return { onDay, holiday, blackout };
+}
+
+// Full-day closure for the date, if any: a blackout exception, or a holiday
+// as { date, available: false, holiday: true, note: <holiday name> }.
+function blackoutFor(schedule, dateStr) {
+  return dayStatus(schedule, dateStr).blackout;
+}
+
+/**
+ * Blocked time on the local day `day`: available=false exceptions with
+ * startTime/endTime. Returns [{ start, end, index, exception }].
+ */
+function blockedFor(schedule, day, onDay = exceptionsOn(schedule, day.toISODate())) {
+  const dateStr = day.toISODate();
+  const { version } = scheduleOn(schedule, dateStr);
+  return onDay
+    .filter(({ exception }) => exception.available === false && hasTimes(exception))
+    .map(({ exception, index }) => ({
+      start: wallTime(dateStr, exception.startTime, schedule.tz).dt,
+      end: wallTime(dateStr, exception.endTime, schedule.tz).dt,
+      index,
+      version,
+      exception
+    }));
+}
+
+/**
+ * Cut blocked intervals out of windows. The piece after a block starts at the
+ * window's next grid point, so slot start times do not shift.
+ */
+function withoutBlocked(windows, blocked) {
+  if (!blocked.length) return windows;
+  return windows.flatMap(w => {
+    let pieces = [w];
+    for (const b of blocked) {
+      pieces = pieces.flatMap(p => {
+        if (b.end <= p.start || b.start >= p.end) return [p];
+        const out = [];
+        if (b.start > p.start) out.push({ ...p, end: b.start });
+        const steps = Math.ceil(b.end.diff(w.start, 'minutes').minutes / w.step);
+        const resume = w.start.plus({ minutes: steps * w.step });
+        if (resume < p.end) out.push({ ...p, start: resume });
+        return out;
+      });
+    }
+    return pieces;
+  });
+}
+
+/**
+ * Working windows for the local day `day` (DateTime at start of day).
+ * Returns [{ start, end, step, capacity, source: 'rule'|'exception', index, version, rule|exception, dstGap }]
+ * where index is the position in recurringRules / exceptions of the schedule in
+ * force that day (version: its _id, null for the base config), minus any
+ * blocked time, and nothing at all on a blacked-out date or holiday. On a
+ * holiday opened by an exception only the exception's hours are worked.
+ */
+function windowsForDay(schedule, day) {
+  const dateStr = day.toISODate(); // YYYY-MM-DD in provider tz
+  const weekday = day.weekday; // 1..7
+  schedule = scheduleOn(schedule, dateStr);
+  const { tz, rules, version } = schedule;
+
+  const { onDay, holiday, blackout } = dayStatus(schedule, dateStr);
+  if (blackout) return [];
+
+  const windows = [];
+
+  if (!holiday) {
+    rules.forEach((rule, index) => {
+      if (!Array.isArray(rule.daysOfWeek) || !rule.daysOfWeek.includes(weekday)) return;
+      const start = wallTime(dateStr, rule.startTime, tz);
+      const end = wallTime(dateStr, rule.endTime, tz);
+      windows.push({
+        start: start.dt,
+        end: end.dt,
+        step: rule.slotDuration || 30,
+        capacity: rule.capacity || 1,
+        source: 'rule',
+        index,
+        version,
+        rule,
+        dstGap: start.gap || end.gap
+      });
+    });
+  }
+
+  // exception windows that add availability on this date
+  onDay.forEach(({ exception: ex, index }) => {
+    if (!addsHours(ex)) return;
+    const start = wallTime(dateStr, ex.startTime, tz);
+    const end = wallTime(dateStr, ex.endTime, tz);
+    windows.push({
+      start: start.dt,
+      end: end.dt,
+      // window's own grid, else fall back to first rule or 30
+      step: ex.slotDuration || (rules[0] && rules[0].slotDuration) || 30,
+      capacity: ex.capacity || 1,
+      source: 'exception',
+      index,
+      version,
+      exception: ex,
+      dstGap: start.gap || end.gap
+    });
+  });
+
+  return withoutBlocked(windows, blockedFor(schedule, day, onDay));
+}
+
+/**
+ * Seats in [slotStart, slotEnd) (Luxon DateTimes): the largest capacity of the
+ * windows containing it. 1 for an ordinary slot or a time outside every window.
+ */
+function capacityAt(schedule, slotStart, slotEnd) {
+  const day = slotStart.setZone(schedule.tz).startOf('day');
+  return windowsForDay(schedule, day)
+    .filter(w => slotStart >= w.start && slotEnd <= w.end)
+    .reduce((max, w) => Math.max(max, w.capacity), 1);
+}
+
+module.exports = {
+  scheduleOf,
+  scheduleOn,
+  windowsForDay,
+  blackoutFor,
+  blockedFor,
+  withoutBlocked,
+  exceptionsOn,
+  wallTime,
+  capacityAt
+};
@@ -0,0 +1,383 @@
+// Recurring appointment series: a recurrence pattern expanded into linked
+// Bookings, checked occurrence by occurrence against the same schedule,
+// notice/horizon and overlap rules as a single booking.
+const { DateTime } = require('luxon');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const { withLocks } = require('./lock');
+const { findBlockers, findConflict } = require('./blockers');
+const { slotReasons } = require('./explain');
+const { scheduleOf, capacityAt } = require('./scheduleWindows');
+const { parseRRule, expandRule } = require('./recurrence');
+const { isWithinBookingWindow } = require('./bookingWindow');
+const { slotOptions, blockFor } = require('./appointmentTypes');
+const { lockKeysFor, rescheduleBooking, conflictError } = require('./bookings');
+const { resolveResources } = require('./resources');
+const { transitionBooking, RESCHEDULABLE_STATUSES } = require('./bookingStatus');
+const generateSlotsForRange = require('./generateSlotsForRange');
+const { SchedulingError } = require('./errors');
+const { publish } = require('./events');
+
+const MAX_OCCURRENCES = 52;
+const ALTERNATIVES = 3;
+const ALTERNATIVE_SEARCH_DAYS = 3;
+const SCOPES = ['this', 'following', 'all'];
+
+/**
+ * Normalise the requested pattern to an RRULE string.
+ * Either `rrule` ("FREQ=WEEKLY;INTERVAL=2;COUNT=8") or
+ * `repeat` ({ freq = 'WEEKLY', interval, byDay: ['TU'], count, until }).
+ * COUNT or UNTIL is required so a series always ends.
+ */
+function seriesRule({ rrule, repeat }) {
+  let str = rrule;
+  if (!str && repeat) {
+    const parts = [`FREQ=${String(repeat.freq || 'WEEKLY').toUpperCase()}`];
+    if (repeat.interval) parts.push(`INTERVAL=${repeat.interval}`);
+    if (repeat.byDay && repeat.byDay.length) parts.push(`BYDAY=${[].concat(repeat.byDay).join(',')}`);
+    if (repeat.count) parts.push(`COUNT=${repeat.count}`);
+    if (repeat.until) parts.push(`UNTIL=${String(repeat.until).replace(/-/g, '')}`);
+    str = parts.join(';');
+  }
+  if (!str) throw new SchedulingError('rrule or repeat required', 400, 'INVALID_RECURRENCE');
+
+  let rule;
+  try {
+    rule = parseRRule(str);
+  } catch (err) {
+    throw new SchedulingError(err.message, 400, 'INVALID_RECURRENCE');
+  }
+  if (!rule.count && !rule.until) {
+    throw new SchedulingError('A series needs a count or an end date', 400, 'INVALID_RECURRENCE');
+  }
+  return String(str).replace(/^RRULE:/i, '');
+}
+
+// Free, bookable slots near `slotStart` within a few days either side:
+// other times on the same day first, then the same time of day on nearby days.
+async function suggestAlternatives(provider, slotStart, options) {
+  const slots = await generateSlotsForRange(
+    provider,
+    slotStart.minus({ days: ALTERNATIVE_SEARCH_DAYS }).toUTC().toISO(),
+    slotStart.plus({ days: ALTERNATIVE_SEARCH_DAYS }).toUTC().toISO(),
+    options
+  );
+  const minuteOfDay = dt => dt.hour * 60 + dt.minute;
+  const rank = s => {
+    const local = DateTime.fromISO(s.start, { zone: slotStart.zone });
+    const days = Math.abs(Math.round(local.startOf('day').diff(slotStart.startOf('day'), 'days').days));
+    return [days === 0 ? 0 : 1, Math.abs(minuteOfDay(local) - minuteOfDay(slotStart)), days];
+  };
+  const byRank = (a, b) => {
+    const ra = rank(a);
+    const rb = rank(b);
+    return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+  };
+  return slots
+    .filter(s => !s.isBooked && !s.isHeld && isWithinBookingWindow(provider, s.start))
+    .sort(byRank)
+    .slice(0, ALTERNATIVES)
+    .map(s => ({
+      start: s.start,
+      end: s.end,
+      localStart: DateTime.fromISO(s.start, { zone: slotStart.zone }).toISO()
+    }));
+}
+
+const overlaps = (a, b) => a.blockStart < b.blockEnd && a.blockEnd > b.blockStart;
+
+/**
+ * Check a list of planned [start, end) occurrences (Luxon DateTimes) in one
+ * pass. Bookings in `excludeBookingIds` (the ones being moved) do not count
+ * as conflicts. Occurrences are also checked against each other: one whose
+ * block (buffers included) overlaps an earlier accepted occurrence fails with
+ * OVERLAPPING_OCCURRENCE, since the database cannot see siblings not yet
+ * written. Failing occurrences get suggested alternatives.
+ */
+async function checkOccurrences(provider, planned, options, excludeBookingIds = []) {
+  if (!planned.length) return [];
+  const first = blockFor(options, planned[0].start.toJSDate(), planned[0].end.toJSDate());
+  const last = blockFor(options, planned[planned.length - 1].start.toJSDate(), planned[planned.length - 1].end.toJSDate());
+  const blockers = await findBlockers(provider._id, first.blockStart, last.blockEnd, { resourceIds: options.resourceIds });
+  const excluded = new Set(excludeBookingIds.map(String));
+  blockers.bookings = blockers.bookings.filter(b => !excluded.has(String(b._id)));
+
+  const out = [];
+  const accepted = []; // blocks of the occurrences that passed so far
+  for (const occ of planned) {
+    const block = blockFor(options, occ.start.toJSDate(), occ.end.toJSDate());
+    const reasons = slotReasons(provider, occ.start, occ.end, blockers, options);
+    const sibling = accepted.find(a => overlaps(block, a));
+    if (sibling) {
+      reasons.push({
+        code: 'OVERLAPPING_OCCURRENCE',
+        message: `Overlaps occurrence ${sibling.index + 1} of this series`,
+        occurrence: sibling.index
+      });
+    }
+    if (!reasons.length) accepted.push({ ...block, index: occ.index });
+
+    const alternatives = reasons.length
+      ? (await suggestAlternatives(provider, occ.start, options))
+        .filter(alt => !accepted.some(a => overlaps(blockFor(options, new Date(alt.start), new Date(alt.end)), a)))
+      : [];
+    out.push({
+      index: occ.index,
+      bookingId: occ.bookingId,
+      start: occ.start.toUTC().toISO(),
+      end: occ.end.toUTC().toISO(),
+      localStart: occ.start.toISO(),
+      ok: reasons.length === 0,
+      reasons,
+      alternatives
+    });
+  }
+  return out;
+}
+
+/**
+ * Expand and check a series without writing anything.
+ * params: { start, end, appointmentType, resourceIds, rrule | repeat, overrides }
+ *   end may be omitted when an appointment type is given
+ *   overrides: [{ index, start }] moves single occurrences (e.g. onto a
+ *   suggested alternative) before checking
+ * Returns { timezone, rrule, duration, occurrences: [{ index, start, end, ok, reasons, alternatives }] }
+ */
+async function planSeries(provider, { start, end, appointmentType, resourceIds, rrule, repeat, overrides = [] }) {
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+  const rule = seriesRule({ rrule, repeat });
+
+  const first = DateTime.fromISO(start, { zone: tz });
+  if (!first.isValid) throw new SchedulingError('Invalid start time', 400, 'INVALID_TIME');
+  const duration = appointmentType
+    ? appointmentType.duration
+    : DateTime.fromISO(end || '', { zone: tz }).diff(first, 'minutes').minutes;
+  if (!(duration > 0)) throw new SchedulingError('Invalid start/end time', 400, 'INVALID_TIME');
+
+  // a COUNT-less rule still needs an upper bound for expansion
+  const starts = expandRule(rule, first, { to: first.plus({ years: 2 }) });
+  if (starts.length > MAX_OCCURRENCES) {
+    throw new SchedulingError(`A series can have at most ${MAX_OCCURRENCES} occurrences`, 400, 'SERIES_TOO_LONG');
+  }
+  if (!starts.length) throw new SchedulingError('Recurrence produces no occurrences', 400, 'INVALID_RECURRENCE');
+
+  const moved = new Map(overrides.map(o => [Number(o.index), DateTime.fromISO(o.start, { zone: tz })]));
+  const planned = starts.map((occ, index) => {
+    const s = moved.has(index) && moved.get(index).isValid ? moved.get(index) : occ;
+    return { index, start: s, end: s.plus({ minutes: duration }) };
+  });
+  planned.sort((a, b) => a.start - b.start);
+
+  const resources = await resolveResources(appointmentType, resourceIds);
+  const options = { ...slotOptions(appointmentType), resourceIds: resources.map(r => String(r._id)) };
+  const occurrences = await checkOccurrences(provider, planned, options);
+  return { timezone: tz, rrule: rule, duration, resources, occurrences };
+}
+
+/**
+ * Create the series and its Bookings.
+ * onConflict: 'reject' (default) fails with SERIES_CONFLICT listing every
+ * occurrence and its alternatives; 'skip' books only the free occurrences.
+ * All occurrences are re-checked and inserted under the provider lock, so the
+ * series is written completely or not at all (a failed insert removes the
+ * series again).
+ * Resolves to { series, bookings, skipped }.
+ */
+async function createSeries(provider, params) {
+  const { patientId, appointmentType, onConflict = 'reject', note } = params;
+  const plan = await planSeries(provider, params);
+  const conflicts = plan.occurrences.filter(o => !o.ok);
+  if (conflicts.length && onConflict !== 'skip') {
+    throw new SchedulingError(
+      `${conflicts.length} of ${plan.occurrences.length} occurrences are not available`,
+      409, 'SERIES_CONFLICT', { occurrences: plan.occurrences }
+    );
+  }
+  const toBook = plan.occurrences.filter(o => o.ok);
+  if (!toBook.length) throw new SchedulingError('No occurrence of the series is available', 409, 'SERIES_CONFLICT', { occurrences: plan.occurrences });
+
+  const resourceIds = plan.resources.map(r => r._id);
+  const { series, bookings } = await withLocks(lockKeysFor(provider, plan.resources), async () => {
+    const docs = toBook.map(o => {
+      const start = new Date(o.start);
+      const end = new Date(o.end);
+      return { ...o, start, end, ...blockFor(appointmentType, start, end) };
+    });
+
+    // the plan was checked outside the lock; nothing may have landed since
+    for (const d of docs) {
+      const conflict = await findConflict(provider._id, d.blockStart, d.blockEnd, {
+        capacity: capacityAt(scheduleOf(provider), DateTime.fromJSDate(d.start), DateTime.fromJSDate(d.end)),
+        patientId,
+        resourceIds
+      });
+      if (conflict) {
+        const { code, message } = conflictError(conflict);
+        throw new SchedulingError(`Occurrence ${d.index + 1} was just taken`, 409, 'SERIES_CONFLICT', {
+          occurrences: [{ index: d.index, start: d.start, end: d.end, ok: false, reasons: [{ code, message }] }]
+        });
+      }
+    }
+
+    const series = await BookingSeries.create({
+      provider: provider._id,
+      patient: patientId,
+      appointmentType: appointmentType ? appointmentType._id : undefined,
+      rrule: plan.rrule,
+      timezone: plan.timezone,
+      firstStart: docs[0].start,
+      duration: plan.duration,
+      note
+    });
+    // no transaction (a standalone Mongo has none): if the bookings cannot all
+    // be written, take back the series and whatever an ordered insert got in
+    const bookings = await Booking.insertMany(docs.map(d => ({
+      provider: provider._id,
+      patient: patientId,
+      appointmentType: appointmentType ? appointmentType._id : undefined,
+      resources: resourceIds,
+      start: d.start,
+      end: d.end,
+      blockStart: d.blockStart,
+      blockEnd: d.blockEnd,
+      status: 'booked',
+      series: series._id,
+      seriesIndex: d.index
+    }))).catch(async err => {
+      await Promise.all([
+        Booking.deleteMany({ series: series._id }),
+        BookingSeries.deleteOne({ _id: series._id })
+      ]).catch(cleanupErr => console.error('series cleanup failed', cleanupErr));
+      throw err;
+    });
+    return { series, bookings };
+  });
+
+  for (const b of bookings) publish('booking.created', { booking: b.toObject() });
+  publish('series.created', { series: series.toObject(), bookings: bookings.map(b => b.toObject()) });
+  return { series, bookings, skipped: conflicts };
+}
+
+function checkScope(scope) {
+  if (!SCOPES.includes(scope)) {
+    throw new SchedulingError(`scope must be one of ${SCOPES.join(', ')}`, 400, 'INVALID_SCOPE');
+  }
+}
+
+// Occurrences a scoped change applies to, in start order.
+async function scopedBookings(booking, scope) {
+  if (scope === 'this' || !booking.series) return [booking];
+  // "all" leaves the past alone: visits that already happened are not rewritten
+  const from = scope === 'following' ? booking.start : new Date(Math.min(booking.start, Date.now()));
+  return Booking.find({
+    series: booking.series,
+    status: { $in: RESCHEDULABLE_STATUSES },
+    start: { $gte: from }
+  }).sort({ start: 1 });
+}
+
+/**
+ * Cancel one occurrence, it and the ones after it, or the whole series.
+ * opts: { by, reason }. Resolves to { cancelled: Booking[], series }.
+ */
+async function cancelSeriesBookings(booking, scope, opts = {}) {
+  checkScope(scope);
+  const targets = await scopedBookings(booking, scope);
+
+  const cancelled = [];
+  for (const target of targets) {
+    cancelled.push(await transitionBooking(target, 'cancelled', { ...opts, scope }));
+  }
+
+  let series = null;
+  if (booking.series && scope !== 'this') {
+    const ended = scope === 'all' || booking.seriesIndex === 0;
+    series = await BookingSeries.findByIdAndUpdate(
+      booking.series,
+      ended ? { status: 'cancelled' } : { status: 'ended', endedAt: booking.start },
+      { new: true }
+    );
+    publish('series.cancelled', {
+      series: series && series.toObject(),
+      bookings: cancelled.map(b => b.toObject()),
+      scope,
+      by: opts.by
+    });
+  }
+  return { cancelled, series };
+}
+
+/**
+ * Move one occurrence, or shift it and the following/all occurrences by the
+ * same change (days moved and new local time of day, so "Tuesdays 10:00" ->
+ * "Wednesdays 11:00" keeps working across DST). Every new time is checked
+ * before anything moves; a failure returns 409 SERIES_CONFLICT with reasons
+ * and alternatives per occurrence.
+ * params: { start, end, reason }
+ * Resolves to the moved Booking[].
+ */
+async function rescheduleSeriesBookings(booking, provider, scope, { start, end, reason }) {
+  checkScope(scope);
+  if (scope === 'this' || !booking.series) {
+    return [await rescheduleBooking(booking, provider, { start, end, reason })];
+  }
+
+  const tz = (provider.scheduleConfig && provider.scheduleConfig.timezone) || 'UTC';
+  const newStart = DateTime.fromISO(start, { zone: tz });
+  if (!newStart.isValid) throw new SchedulingError('Invalid start time', 400, 'INVALID_TIME');
+  const newEnd = end ? DateTime.fromISO(end, { zone: tz }) : null;
+  if (newEnd && !(newEnd > newStart)) throw new SchedulingError('Invalid start/end time', 400, 'INVALID_TIME');
+
+  const anchor = DateTime.fromJSDate(booking.start, { zone: tz });
+  const dayShift = Math.round(newStart.startOf('day').diff(anchor.startOf('day'), 'days').days);
+  const time = { hour: newStart.hour, minute: newStart.minute, second: 0, millisecond: 0 };
+
+  const targets = await scopedBookings(booking, scope);
+  const planned = targets.map(t => {
+    const s = DateTime.fromJSDate(t.start, { zone: tz }).startOf('day').plus({ days: dayShift }).set(time);
+    const length = newEnd ? newEnd.diff(newStart, 'minutes').minutes : (t.end - t.start) / 60000;
+    return { index: t.seriesIndex, bookingId: t._id, start: s, end: s.plus({ minutes: length }) };
+  });
+
+  const series = await BookingSeries.findById(booking.series).populate('appointmentType').lean();
+  const options = { ...slotOptions(series && series.appointmentType), resourceIds: (booking.resources || []).map(String) };
+  const checked = await checkOccurrences(provider, planned, options, targets.map(t => t._id));
+  if (checked.some(o => !o.ok)) {
+    throw new SchedulingError(
+      `${checked.filter(o => !o.ok).length} of ${checked.length} occurrences cannot move`,
+      409, 'SERIES_CONFLICT', { occurrences: checked }
+    );
+  }
+
+  // moving later: start from the end so no occurrence lands on one not yet moved
+  const order = planned.map((p, i) => i);
+  if (planned.length && planned[0].start > targets[0].start) order.reverse();
+
+  const moved = [];
+  for (const i of order) {
+    try {
+      moved.push(await rescheduleBooking(targets[i], provider, {
+        start: planned[i].start.toISO(),
+        end: newEnd ? planned[i].end.toISO() : undefined,
+        reason
+      }));
+    } catch (err) {
+      if (!(err instanceof SchedulingError)) throw err;
+      // something landed between the check and the move; report how far we got
+      throw new SchedulingError(err.message, err.status, err.code, {
+        ...err.details,
+        moved: moved.map(b => b._id),
+        failedBookingId: targets[i]._id
+      });
+    }
+  }
+  return moved.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  SCOPES,
+  planSeries,
+  createSeries,
+  cancelSeriesBookings,
+  rescheduleSeriesBookings
+};
@@ -0,0 +1,285 @@
+// Waitlist: patients waiting for an earlier slot get time-limited offers.
+//
+// An offer is a Hold placed on the slot for the patient, so nobody else can
+// take it while the patient decides. When the offer expires or is declined the
+// hold is released and the slot goes to the next entry in line; the slot is
+// never offered to the same entry twice.
+const { DateTime } = require('luxon');
+const Hold = require('../models/Hold');
+const Provider = require('../models/Provider');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const findFirstAvailable = require('./firstAvailable');
+const { createHold, confirmHold, publicHold } = require('./holds');
+const { resolveAppointmentType, slotOptions, offeredBy } = require('./appointmentTypes');
+const { SchedulingError } = require('./errors');
+const { publish, subscribe } = require('./events');
+
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 60;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// candidate slots looked at per entry; later ones are picked up on the next run
+const CANDIDATES_PER_ENTRY = 5;
+
+// Holds that free their slot by simply running out publish nothing, so the
+// ones placed in this process are remembered until they are released or lapse:
+// hold id -> { provider, expiresAt }
+const pendingHolds = new Map();
+
+async function loadType(entry) {
+  if (!entry.appointmentType) return null;
+  // a retired type should not block the entry forever; fall back to rule slots
+  return resolveAppointmentType(entry.appointmentType).catch(() => null);
+}
+
+// An any-provider entry is searched across everyone, or only `providerId` when
+// a run is about time that provider freed.
+async function providersFor(entry, appointmentType, providerId) {
+  const only = entry.provider || providerId;
+  const providers = only
+    ? await Provider.find({ _id: only }).lean()
+    : await Provider.find().lean();
+  return appointmentType ? providers.filter(p => offeredBy(appointmentType, p._id)) : providers;
+}
+
+// Does a first-available slot suit this entry?
+function matchesEntry(entry, slot) {
+  const start = new Date(slot.start);
+  const end = new Date(slot.end);
+  if (start < entry.windowStart || end > entry.windowEnd) return false;
+
+  const local = DateTime.fromISO(slot.start, { zone: slot.timezone });
+  const localEnd = DateTime.fromISO(slot.end, { zone: slot.timezone });
+  if (entry.earliestTime && local.toFormat('HH:mm') < entry.earliestTime) return false;
+  if (entry.latestTime && localEnd.toFormat('HH:mm') > entry.latestTime) return false;
+
+  return !entry.pastOffers.some(o =>
+    String(o.provider) === String(slot.providerId) && +o.start === +start);
+}
+
+/**
+ * Try to offer a waiting entry its earliest matching open slot.
+ * opts.providerId limits an any-provider entry to that provider's slots.
+ * Resolves to the updated entry, or null when nothing suitable is free.
+ */
+async function offerNextSlot(entry, opts = {}) {
+  const now = new Date();
+  if (entry.windowEnd <= now) {
+    await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'expired' });
+    return null;
+  }
+
+  const appointmentType = await loadType(entry);
+  const providers = await providersFor(entry, appointmentType, opts.providerId);
+  if (!providers.length) return null;
+
+  const from = new Date(Math.max(now.getTime(), entry.windowStart.getTime())).toISOString();
+  const options = appointmentType ? slotOptions(appointmentType) : entry.duration ? { duration: entry.duration } : {};
+  const candidates = await findFirstAvailable(providers, from, entry.windowEnd.toISOString(), {
+    limit: CANDIDATES_PER_ENTRY,
+    slotOptions: options,
+    filter: slot => matchesEntry(entry, slot)
+  });
+
+  for (const slot of candidates) {
+    const provider = providers.find(p => String(p._id) === String(slot.providerId));
+    // notice is checked now; accepting later only needs the slot not to have started
+    const ttlSeconds = Math.min(OFFER_MINUTES * 60, Math.floor((new Date(slot.start) - Date.now()) / 1000));
+    let hold;
+    try {
+      hold = await createHold(provider, {
+        patientId: entry.patient,
+        start: slot.start,
+        end: slot.end,
+        appointmentType,
+        ttlSeconds,
+        maxTtlSeconds: OFFER_MINUTES * 60
+      });
+    } catch (err) {
+      if (err instanceof SchedulingError) continue; // taken in the meantime
+      throw err;
+    }
+
+    // claim the entry; if another run offered it first, give the slot back
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offer: {
+          provider: provider._id,
+          start: hold.start,
+          end: hold.end,
+          hold: hold._id,
+          holdToken: hold.token,
+          offeredAt: new Date(),
+          expiresAt: hold.expiresAt
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      await Hold.deleteOne({ _id: hold._id });
+      publish('hold.released', { hold: publicHold(hold) });
+      return null;
+    }
+
+    publish('waitlist.offered', { entry: claimed.toObject() });
+    return claimed;
+  }
+  return null;
+}
+
+/**
+ * Walk waiting entries in joining order and make offers where possible.
+ * providerId limits the run to entries for that provider (or any provider).
+ */
+async function processWaitlist(providerId) {
+  const query = { status: 'waiting' };
+  if (providerId) query.$or = [{ provider: providerId }, { provider: null }];
+
+  const entries = await WaitlistEntry.find(query).sort({ createdAt: 1 });
+  for (const entry of entries) {
+    try {
+      await offerNextSlot(entry, { providerId });
+    } catch (err) {
+      console.error(`waitlist offer for ${entry._id} failed`, err);
+    }
+  }
+}
+
+// Close the current offer (releasing its hold) and put the entry back in line.
+async function closeOffer(entry, outcome, nextStatus = 'waiting') {
+  const { offer } = entry;
+  const updated = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.hold': offer.hold },
+    {
+      status: nextStatus,
+      $unset: { offer: 1 },
+      $push: { pastOffers: { provider: offer.provider, start: offer.start, end: offer.end, offeredAt: offer.offeredAt, outcome } }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+  const hold = await Hold.findOneAndDelete({ _id: offer.hold });
+  if (hold) publish('hold.released', { hold: publicHold(hold) });
+  return updated;
+}
+
+// Providers whose remembered holds have run out since the last sweep.
+function lapsedHoldProviders(now) {
+  const providers = new Set();
+  for (const [holdId, hold] of pendingHolds) {
+    if (hold.expiresAt > now) continue;
+    pendingHolds.delete(holdId);
+    providers.add(hold.provider);
+  }
+  return providers;
+}
+
+/**
+ * Expire unclaimed offers and stale entries, then roll the slots freed by
+ * those offers and by lapsed holds onward. Only providers with freed time are
+ * searched; with nothing freed the sweep makes no slot searches at all.
+ */
+async function sweepWaitlist() {
+  const now = new Date();
+  const expired = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+  const providers = lapsedHoldProviders(now);
+  for (const entry of expired) {
+    if (await closeOffer(entry, 'expired')) providers.add(String(entry.offer.provider));
+  }
+
+  await WaitlistEntry.updateMany({ status: 'waiting', windowEnd: { $lte: now } }, { status: 'expired' });
+
+  for (const providerId of providers) await processWaitlist(providerId);
+}
+
+/**
+ * Accept the live offer: the hold is confirmed into a Booking.
+ */
+async function acceptOffer(entryId) {
+  const entry = await WaitlistEntry.findById(entryId).select('+offer.holdToken');
+  if (!entry) throw new SchedulingError('Waitlist entry not found', 404, 'WAITLIST_NOT_FOUND');
+  if (entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+    throw new SchedulingError('No open offer for this entry', 400, 'NO_OPEN_OFFER');
+  }
+
+  const provider = await Provider.findById(entry.offer.provider);
+  if (!provider) throw new SchedulingError('Provider not found', 404, 'PROVIDER_NOT_FOUND');
+
+  const booking = await confirmHold(provider, entry.offer.hold, entry.offer.holdToken, entry.patient);
+  const updated = await WaitlistEntry.findByIdAndUpdate(
+    entry._id,
+    { status: 'booked', booking: booking._id, $unset: { offer: 1 } },
+    { new: true }
+  );
+  return { entry: updated, booking };
+}
+
+async function declineOffer(entryId) {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry) throw new SchedulingError('Waitlist entry not found', 404, 'WAITLIST_NOT_FOUND');
+  if (entry.status !== 'offered') {
+    throw new SchedulingError('No open offer for this entry', 400, 'NO_OPEN_OFFER');
+  }
+  const updated = await closeOffer(entry, 'declined');
+  if (!updated) throw new SchedulingError('Offer changed, please retry', 409, 'STALE_OFFER');
+  processWaitlist(entry.offer.provider).catch(err => console.error('waitlist run failed', err));
+  return updated;
+}
+
+// Leave the waitlist; an open offer is withdrawn and passed on.
+async function leaveWaitlist(entryId) {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry) throw new SchedulingError('Waitlist entry not found', 404, 'WAITLIST_NOT_FOUND');
+  if (entry.status === 'offered') {
+    const updated = await closeOffer(entry, 'withdrawn', 'cancelled');
+    if (!updated) throw new SchedulingError('Offer changed, please retry', 409, 'STALE_OFFER');
+    processWaitlist(entry.offer.provider).catch(err => console.error('waitlist run failed', err));
+    return updated;
+  }
+  if (entry.status !== 'waiting') {
+    throw new SchedulingError(`Entry is already ${entry.status}`, 400, 'WAITLIST_CLOSED');
+  }
+  return WaitlistEntry.findByIdAndUpdate(entry._id, { status: 'cancelled' }, { new: true });
+}
+
+/**
+ * Hook the waitlist into booking/schedule events and start the expiry sweep.
+ * Called once from server.js after Mongo is connected.
+ */
+function startWaitlist() {
+  const onFreed = providerId => processWaitlist(providerId);
+  subscribe('booking.cancelled', e => onFreed(e.booking.provider));
+  subscribe('booking.rescheduled', e => onFreed(e.booking.provider));
+  subscribe('provider.schedule_updated', e => onFreed(e.provider._id));
+
+  subscribe('hold.created', e => pendingHolds.set(String(e.hold._id), {
+    provider: String(e.hold.provider),
+    expiresAt: new Date(e.hold.expiresAt)
+  }));
+  subscribe('hold.released', e => pendingHolds.delete(String(e.hold._id)));
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // a slow search must not stack sweeps
+    running = true;
+    try {
+      await sweepWaitlist();
+    } catch (err) {
+      console.error('waitlist sweep failed', err);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  offerNextSlot,
+  processWaitlist,
+  sweepWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  startWaitlist
+};
@@ -0,0 +1,120 @@
+// Background sender for webhook deliveries.
+//
+// Same shape as the notification dispatcher: each tick claims due rows one at
+// a time (pending -> sending, atomically), POSTs the signed JSON body and logs
+// the attempt. Anything but a 2xx within TIMEOUT_MS is retried with
+// exponential backoff up to MAX_ATTEMPTS, then the delivery is failed and can
+// be redelivered by hand.
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const { signPayload } = require('./signature');
+
+const TICK_MS = Number(process.env.WEBHOOK_TICK_MS) || 10 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30 * 1000;      // 30s, 1m, 2m, 4m ... ~1h
+const STALE_SENDING_MS = 5 * 60 * 1000; // a crashed sender releases its row after this
+const USER_AGENT = 'sandbox-scheduler-webhooks/1';
+
+async function claimNext() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { status: 'sending', lockedAt: now },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// POST once. Resolves to the attempt record; never throws.
+async function post(delivery, secret) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    attempt.statusCode = res.status;
+    attempt.responseBody = (await res.text().catch(() => '')).slice(0, 1000);
+    if (!res.ok) attempt.error = `Receiver responded ${res.status}`;
+  } catch (err) {
+    // fetch reports connection problems as "fetch failed" with the reason in err.cause
+    const reason = err.cause ? `${err.message}: ${err.cause.code || err.cause.message}` : err.message;
+    attempt.error = err.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS / 1000}s` : reason;
+  }
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+}
+
+async function deliver(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret').lean();
+  if (!subscription || !subscription.active) {
+    delivery.status = 'cancelled';
+    delivery.lastError = 'subscription removed or inactive';
+    delivery.lockedAt = undefined;
+    return delivery.save();
+  }
+
+  const attempt = await post(delivery, subscription.secret);
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = attempt.at;
+    delivery.lastError = undefined;
+  } else {
+    delivery.lastError = attempt.error;
+    if (delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + BASE_BACKOFF_MS * 2 ** (delivery.attempts.length - 1));
+    }
+  }
+  delivery.lockedAt = undefined;
+  return delivery.save();
+}
+
+// Send everything that is due (up to BATCH_SIZE). Returns the number handled.
+async function dispatchDue() {
+  await WebhookDelivery.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { status: 'pending' }
+  );
+
+  let handled = 0;
+  for (; handled < BATCH_SIZE; handled++) {
+    const next = await claimNext();
+    if (!next) break;
+    await deliver(next);
+  }
+  return handled;
+}
+
+function startDispatcher() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // a slow receiver must not stack ticks
+    running = true;
+    try {
+      await dispatchDue();
+    } catch (err) {
+      console.error('webhook dispatch failed', err);
+    } finally {
+      running = false;
+    }
+  }, TICK_MS);
+  timer.unref();
+}
+
+module.exports = { dispatchDue, startDispatcher, deliver, MAX_ATTEMPTS };
@@ -0,0 +1,38 @@
+// Outgoing webhooks: domain events -> WebhookDelivery rows -> signed POSTs.
+const { subscribe } = require('../events');
+const { enqueueEvent, enqueuePing, redeliver } = require('./outbox');
+const { startDispatcher, dispatchDue, MAX_ATTEMPTS } = require('./dispatcher');
+const { signPayload, verifySignature, generateSecret } = require('./signature');
+
+// What a subscription may ask for (see lib/events.js for payloads), or '*'.
+const WEBHOOK_EVENTS = [
+  'booking.created',
+  'booking.rescheduled',
+  'booking.status_changed',
+  'booking.cancelled',
+  'series.created',
+  'series.cancelled',
+  'provider.schedule_updated',
+  'waitlist.offered'
+];
+
+/**
+ * Queue a delivery for every published event with subscribers, and start the
+ * dispatcher. Called once from server.js after Mongo is connected.
+ */
+function startWebhooks() {
+  subscribe('*', (type, event) => WEBHOOK_EVENTS.includes(type) && enqueueEvent(type, event));
+  startDispatcher();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  startWebhooks,
+  dispatchDue,
+  enqueuePing,
+  redeliver,
+  signPayload,
+  verifySignature,
+  generateSecret
+};
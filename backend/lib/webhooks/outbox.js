@@ -0,0 +1,63 @@
+// Writing webhook deliveries: one row per (event, matching subscription).
+const crypto = require('crypto');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { SchedulingError } = require('../errors');
+
+// The body receivers get: { id, type, createdAt, data }
+function eventBody(type, event, id = crypto.randomUUID()) {
+  const { type: _type, at, ...data } = event;
+  return { id, type, createdAt: at || new Date(), data: JSON.parse(JSON.stringify(data)) };
+}
+
+/**
+ * Queue `event` (as published on lib/events) for every active subscription
+ * listening to its type. Resolves to the created deliveries.
+ */
+async function enqueueEvent(type, event) {
+  const subscriptions = await WebhookSubscription.find({ active: true, events: { $in: [type, '*'] } }).lean();
+  if (!subscriptions.length) return [];
+  const payload = eventBody(type, event);
+  return WebhookDelivery.insertMany(subscriptions.map(s => ({
+    subscription: s._id,
+    url: s.url,
+    event: type,
+    eventId: payload.id,
+    payload
+  })));
+}
+
+// Queue a webhook.ping to one subscription, to check the receiver end to end.
+async function enqueuePing(subscription) {
+  const payload = eventBody('webhook.ping', { at: new Date(), subscription: subscription._id });
+  return WebhookDelivery.create({
+    subscription: subscription._id,
+    url: subscription.url,
+    event: 'webhook.ping',
+    eventId: payload.id,
+    payload
+  });
+}
+
+/**
+ * Send a logged delivery again (any status) as a new delivery with the same
+ * eventId and payload, to the subscription's current URL.
+ */
+async function redeliver(deliveryId) {
+  const original = await WebhookDelivery.findById(deliveryId).lean();
+  if (!original) throw new SchedulingError('Delivery not found', 404, 'DELIVERY_NOT_FOUND');
+  const subscription = await WebhookSubscription.findById(original.subscription).lean();
+  if (!subscription || !subscription.active) {
+    throw new SchedulingError('Subscription is gone or inactive', 409, 'SUBSCRIPTION_INACTIVE');
+  }
+  return WebhookDelivery.create({
+    subscription: subscription._id,
+    url: subscription.url,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOf: original._id
+  });
+}
+
+module.exports = { enqueueEvent, enqueuePing, redeliver, eventBody };
@@ -0,0 +1,37 @@
+// HMAC signature on webhook requests, and the check a receiver runs.
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+//
+// Signing the timestamp with the body lets receivers reject replays older than
+// a few minutes.
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Header value for `body` (the exact string that is sent).
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * True when `header` is a valid signature of the raw `body` under `secret`
+ * and no older than toleranceSeconds.
+ */
+function verifySignature(secret, body, header, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(hmac(secret, timestamp, body));
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+module.exports = { signPayload, verifySignature, generateSecret };
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A kind of visit ("New patient 60 min", "Follow-up 15 min"...). Its duration
+// replaces the rule's slotDuration when querying availability; buffers reserve
+// prep/cleanup time around the visit without being part of it.
+const AppointmentTypeSchema = new Schema({
+  name: { type: String, required: true },
+  duration: { type: Number, required: true, min: 1 },  // minutes
+  bufferBefore: { type: Number, default: 0, min: 0 },  // minutes
+  bufferAfter: { type: Number, default: 0, min: 0 },   // minutes
+  providers: [{ type: Schema.Types.ObjectId, ref: 'Provider' }], // empty = offered by every provider
+  requiredResources: [{ type: Schema.Types.ObjectId, ref: 'Resource' }], // rooms/equipment every visit needs
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('AppointmentType', AppointmentTypeSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One write to a booking, patient or provider: who did it, in which request,
+// and the record before and after. Append-only - entries are never updated or
+// removed (see lib/audit.js).
+const AuditEntrySchema = new Schema({
+  at: { type: Date, default: Date.now },
+  actor: {
+    id: { type: Schema.Types.ObjectId, ref: 'User' },
+    username: { type: String, required: true }, // "system" for background jobs
+    role: { type: String }
+  },
+  action: { type: String, required: true }, // e.g. "booking.create", "booking.cancel", "provider.config_replace"
+  entityType: { type: String, enum: ['Booking', 'Patient', 'Provider'], required: true },
+  entityId: { type: Schema.Types.ObjectId, required: true },
+  requestId: { type: String },
+  before: { type: Schema.Types.Mixed }, // null on create
+  after: { type: Schema.Types.Mixed },
+  changes: [{ _id: false, path: String, from: Schema.Types.Mixed, to: Schema.Types.Mixed }]
+}, { minimize: false, versionKey: false });
+
+AuditEntrySchema.index({ entityType: 1, entityId: 1, at: -1 });
+AuditEntrySchema.index({ 'actor.username': 1, at: -1 });
+AuditEntrySchema.index({ at: -1 });
+
+function appendOnly() {
+  throw new Error('Audit entries are append-only');
+}
+AuditEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+AuditEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit entries are append-only'));
+  next();
+});
+
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
@@ -1,13 +1,65 @@
 const mongoose = require("mongoose");
 
+// previous times of a booking that has been moved
+const rescheduleEntrySchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  changedAt: { type: Date, default: Date.now },
+  reason: { type: String }
+}, { _id: false });
+
+// one entry per lifecycle transition (see lib/bookingStatus.js)
+const statusEntrySchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: String }, // who made the change
+  reason: { type: String }
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   provider: { type: mongoose.Schema.Types.ObjectId, ref: "Provider", required: true },
   patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
+  appointmentType: { type: mongoose.Schema.Types.ObjectId, ref: "AppointmentType" },
+  resources: [{ type: mongoose.Schema.Types.ObjectId, ref: "Resource" }], // rooms/equipment reserved with the provider
 
   start: { type: Date, required: true }, // UTC instant
   end: { type: Date, required: true },   // UTC instant
 
-  status: { type: String, enum: ["booked", "cancelled"], default: "booked" }
+  // start/end widened by the appointment type's buffers; this is what overlap checks use
+  blockStart: { type: Date },
+  blockEnd: { type: Date },
+
+  status: {
+    type: String,
+    enum: ["booked", "confirmed", "checked_in", "completed", "cancelled", "no_show"],
+    default: "booked"
+  },
+  confirmedAt: { type: Date },
+  checkedInAt: { type: Date },
+  completedAt: { type: Date },
+  cancelledAt: { type: Date },
+  noShowAt: { type: Date },
+  statusHistory: { type: [statusEntrySchema], default: [] },
+
+  rescheduleHistory: { type: [rescheduleEntrySchema], default: [] },
+
+  // occurrence of a recurring series (see lib/series.js)
+  series: { type: mongoose.Schema.Types.ObjectId, ref: "BookingSeries" },
+  seriesIndex: { type: Number } // 0-based position in the series
 }, { timestamps: true });
 
+bookingSchema.index({ provider: 1, blockStart: 1, blockEnd: 1 });
+bookingSchema.index({ resources: 1, blockStart: 1, blockEnd: 1 });
+bookingSchema.index({ series: 1, start: 1 }, { sparse: true });
+// GET /api/bookings lists by provider or patient in start order
+bookingSchema.index({ provider: 1, start: 1 });
+bookingSchema.index({ patient: 1, start: 1 });
+
+bookingSchema.pre("validate", function (next) {
+  if (!this.blockStart) this.blockStart = this.start;
+  if (!this.blockEnd) this.blockEnd = this.end;
+  next();
+});
+
 module.exports = mongoose.model("Booking", bookingSchema);
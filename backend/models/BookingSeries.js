@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A standing appointment (e.g. every Tuesday 10:00 for 8 weeks). The
+// occurrences themselves are ordinary Bookings pointing back here via
+// `series`/`seriesIndex`; this document only records how they were generated.
+const BookingSeriesSchema = new Schema({
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider', required: true },
+  patient: { type: Schema.Types.ObjectId, ref: 'Patient', required: true },
+  appointmentType: { type: Schema.Types.ObjectId, ref: 'AppointmentType' },
+
+  // RRULE evaluated in `timezone` from the first occurrence, e.g. FREQ=WEEKLY;INTERVAL=2;COUNT=8
+  rrule: { type: String, required: true },
+  timezone: { type: String, required: true },
+  firstStart: { type: Date, required: true },
+  duration: { type: Number, required: true }, // minutes
+
+  status: { type: String, enum: ['active', 'ended', 'cancelled'], default: 'active' },
+  // set when "this and following" cancels the tail of the series
+  endedAt: { type: Date },
+  note: { type: String }
+}, { timestamps: true });
+
+BookingSeriesSchema.index({ provider: 1, patient: 1 });
+
+module.exports = mongoose.model('BookingSeries', BookingSeriesSchema);
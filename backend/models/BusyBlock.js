@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A period when the provider is busy elsewhere; no slot may overlap it.
+const BusyBlockSchema = new Schema({
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider', required: true },
+  calendarImport: { type: Schema.Types.ObjectId, ref: 'CalendarImport', required: true },
+  generation: { type: Number, required: true },
+
+  start: { type: Date, required: true }, // UTC instant
+  end: { type: Date, required: true },   // UTC instant
+
+  uid: { type: String },     // VEVENT UID
+  summary: { type: String }
+}, { timestamps: true });
+
+BusyBlockSchema.index({ provider: 1, start: 1, end: 1 });
+BusyBlockSchema.index({ calendarImport: 1, generation: 1 });
+
+module.exports = mongoose.model('BusyBlock', BusyBlockSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// An external calendar whose events block a provider's time. Re-importing the
+// same name replaces its BusyBlocks (see lib/busyImport.js).
+const CalendarImportSchema = new Schema({
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider', required: true },
+  name: { type: String, required: true }, // e.g. "Hospital rota"
+  url: { type: String },                  // set when imported from a URL, so it can be refreshed
+  generation: { type: Number, default: 0 }, // bumped on every import
+  eventCount: { type: Number, default: 0 },
+  lastImportedAt: { type: Date }
+}, { timestamps: true });
+
+CalendarImportSchema.index({ provider: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('CalendarImport', CalendarImportSchema);
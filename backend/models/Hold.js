@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A temporary reservation of a slot. While a hold is live (expiresAt in the
+// future) nobody else can hold or book an overlapping time for the provider.
+const HoldSchema = new Schema({
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider', required: true },
+  patient: { type: Schema.Types.ObjectId, ref: 'Patient' },
+  appointmentType: { type: Schema.Types.ObjectId, ref: 'AppointmentType' },
+  resources: [{ type: Schema.Types.ObjectId, ref: 'Resource' }], // reserved along with the provider
+
+  start: { type: Date, required: true }, // UTC instant
+  end: { type: Date, required: true },   // UTC instant
+
+  // start/end widened by the appointment type's buffers (see Booking)
+  blockStart: { type: Date },
+  blockEnd: { type: Date },
+
+  token: { type: String, required: true }, // secret handed to the client that placed the hold
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+HoldSchema.index({ provider: 1, blockStart: 1, blockEnd: 1 });
+HoldSchema.index({ resources: 1, blockStart: 1, blockEnd: 1 });
+// Mongo's TTL monitor only sweeps about once a minute, so queries must still
+// filter on expiresAt; this index just keeps the collection tidy.
+HoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+HoldSchema.pre('validate', function (next) {
+  if (!this.blockStart) this.blockStart = this.start;
+  if (!this.blockEnd) this.blockEnd = this.end;
+  next();
+});
+
+module.exports = mongoose.model('Hold', HoldSchema);
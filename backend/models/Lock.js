@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Short-lived mutex rows used by lib/lock.js. `key` is unique so only one
+// holder can exist at a time; an expired row can be taken over by the next caller.
+const LockSchema = new Schema({
+  key: { type: String, required: true, unique: true }, // e.g. "provider:<id>"
+  owner: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+module.exports = mongoose.model('Lock', LockSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Outbox row: one message to one recipient on one channel. Written when a
+// booking event happens (or ahead of time for reminders) and sent later by
+// lib/notifications/dispatcher.js.
+const NotificationSchema = new Schema({
+  channel: { type: String, enum: ['email', 'sms'], required: true },
+  to: { type: String, required: true },
+  recipientType: { type: String, enum: ['patient', 'provider'], required: true },
+  patient: { type: Schema.Types.ObjectId, ref: 'Patient' },
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider' },
+  booking: { type: Schema.Types.ObjectId, ref: 'Booking' },
+
+  kind: { type: String, required: true }, // template name, e.g. "booking.created", "reminder"
+  subject: { type: String },
+  body: { type: String, required: true },
+
+  sendAfter: { type: Date, default: Date.now },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled', 'skipped'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  sentAt: { type: Date },
+
+  // guards against enqueuing the same message twice for one event
+  dedupeKey: { type: String, unique: true, sparse: true }
+}, { timestamps: true });
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ booking: 1, kind: 1, status: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
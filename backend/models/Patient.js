@@ -4,7 +4,14 @@ const { Schema } = mongoose;
 const PatientSchema = new Schema({
   first_name: String,
   last_name: String,
-  email: String
+  email: String,
+  phone: String, // E.164, used for SMS
+  // per-channel opt-out for booking messages and reminders
+  notifications: {
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true }
+  },
+  calendarToken: { type: String, select: false } // secret for the .ics feed URL
 }, { timestamps: true });
 
 module.exports = mongoose.model('Patient', PatientSchema);
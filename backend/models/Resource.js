@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { ScheduleConfigSchema } = require('./scheduleConfig');
+
+// A room or piece of equipment a visit needs besides the provider. It can be
+// used by one booking at a time. scheduleConfig works like a provider's
+// (timezone, recurringRules, exceptions, holidayCountry); with no recurringRules
+// the resource is open around the clock except on blackouts, holidays and
+// blocked time. slotDuration and
+// capacity on its rules are not used.
+const ResourceSchema = new Schema({
+  name: { type: String, required: true },
+  kind: { type: String, enum: ['room', 'equipment', 'other'], default: 'room' },
+  scheduleConfig: { type: ScheduleConfigSchema, default: () => ({}) },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Resource', ResourceSchema);
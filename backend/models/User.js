@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A login. role decides what the account may do (see lib/auth.js); provider
+// and patient accounts are tied to the record they act as.
+const UserSchema = new Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true, select: false }, // scrypt, see lib/auth
+  role: { type: String, enum: ['admin', 'staff', 'provider', 'patient'], required: true },
+  provider: {
+    type: Schema.Types.ObjectId,
+    ref: 'Provider',
+    required() { return this.role === 'provider'; }
+  },
+  patient: {
+    type: Schema.Types.ObjectId,
+    ref: 'Patient',
+    required() { return this.role === 'patient'; }
+  },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date }
+}, { timestamps: true });
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A slot the entry was offered and did not take; it is never offered to them again.
+const PastOfferSchema = new Schema({
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider' },
+  start: { type: Date },
+  end: { type: Date },
+  offeredAt: { type: Date },
+  outcome: { type: String, enum: ['expired', 'declined', 'withdrawn'] }
+}, { _id: false });
+
+// The live offer: a Hold placed on the slot on the patient's behalf.
+const OfferSchema = new Schema({
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider', required: true },
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  hold: { type: Schema.Types.ObjectId, ref: 'Hold', required: true },
+  holdToken: { type: String, required: true, select: false },
+  offeredAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+const WaitlistEntrySchema = new Schema({
+  patient: { type: Schema.Types.ObjectId, ref: 'Patient', required: true },
+  provider: { type: Schema.Types.ObjectId, ref: 'Provider' }, // empty = any provider
+  appointmentType: { type: Schema.Types.ObjectId, ref: 'AppointmentType' },
+  duration: { type: Number }, // minutes, when no appointment type
+
+  // preferred window: dates as UTC instants, times of day in the provider's tz
+  windowStart: { type: Date, required: true },
+  windowEnd: { type: Date, required: true },
+  earliestTime: { type: String }, // "HH:mm"
+  latestTime: { type: String },   // "HH:mm"
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  offer: { type: OfferSchema },
+  pastOffers: { type: [PastOfferSchema], default: [] },
+  booking: { type: Schema.Types.ObjectId, ref: 'Booking' },
+  note: { type: String }
+}, { timestamps: true });
+
+// first come, first served
+WaitlistEntrySchema.index({ status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One event to one subscription, and every attempt to POST it. Written when
+// the event happens and sent by lib/webhooks/dispatcher.js; a manual
+// redelivery is a new row with the same eventId and redeliveryOf set.
+const AttemptSchema = new Schema({
+  at: { type: Date, required: true },
+  statusCode: { type: Number },
+  error: { type: String },
+  durationMs: { type: Number },
+  responseBody: { type: String } // first 1000 characters
+}, { _id: false });
+
+const WebhookDeliverySchema = new Schema({
+  subscription: { type: Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  url: { type: String, required: true }, // where it went, even if the subscription changes later
+  event: { type: String, required: true },
+  eventId: { type: String, required: true }, // stable across retries and redeliveries
+  payload: { type: Schema.Types.Mixed, required: true },
+
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: { type: [AttemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  deliveredAt: { type: Date },
+  redeliveryOf: { type: Schema.Types.ObjectId, ref: 'WebhookDelivery' }
+}, { timestamps: true, minimize: false });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ eventId: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
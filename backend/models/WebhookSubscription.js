@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// An external system that wants domain events POSTed to it (see lib/webhooks).
+// events lists event types (lib/events.js), or ['*'] for all of them.
+const WebhookSubscriptionSchema = new Schema({
+  url: {
+    type: String,
+    required: true,
+    validate: {
+      validator: v => /^https?:\/\/\S+$/i.test(v),
+      message: 'url must be an http(s) URL'
+    }
+  },
+  events: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: v => Array.isArray(v) && v.length > 0,
+      message: 'at least one event type is required'
+    }
+  },
+  secret: { type: String, required: true, select: false }, // HMAC key for the signature header
+  description: { type: String },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String }
+}, { timestamps: true });
+
+WebhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { IANAZone } = require('luxon');
+const { parseRRule } = require('../lib/recurrence');
+const { HOLIDAY_COUNTRIES } = require('../lib/holidays');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isRRule(value) {
+  if (!value) return true;
+  try {
+    parseRRule(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Working-hours configuration shared by everything that has a schedule
+// (providers, rooms and equipment). See lib/scheduleWindows.js.
+const RecurringRuleSchema = new Schema({
+  daysOfWeek: { type: [Number], default: [] }, // 1..7 (Mon=1)
+  startTime: { type: String, required: true }, // "09:00"
+  endTime: { type: String, required: true },   // "17:00"
+  slotDuration: { type: Number, required: true }, // minutes
+  capacity: { type: Number, default: 1, min: 1 } // patients per slot (group sessions)
+}, { _id: false });
+
+// An exception applies on `date`, or every day from `date` to `endDate`
+// (inclusive). With `rrule` ("FREQ=YEARLY" = every year on that date,
+// "FREQ=MONTHLY;BYDAY=1MO", ...) it repeats, each occurrence spanning as many
+// days as date..endDate. available=true adds the startTime-endTime window;
+// available=false blocks startTime-endTime, or the whole day without times.
+const ExceptionSchema = new Schema({
+  date: { type: String, match: DATE_RE }, // "YYYY-MM-DD" provider local
+  endDate: { type: String, match: DATE_RE }, // last day of a range, inclusive
+  rrule: { type: String, validate: { validator: isRRule, message: 'Invalid rrule' } },
+  available: { type: Boolean, default: false }, // if true, this adds window
+  startTime: { type: String },
+  endTime: { type: String },
+  slotDuration: { type: Number }, // minutes; defaults to the first rule's slotDuration
+  capacity: { type: Number, default: 1, min: 1 },
+  note: { type: String }
+}, { _id: false });
+
+const ScheduleConfigSchema = new Schema({
+  timezone: { // IANA tz (e.g., Pacific/Honolulu, Asia/Karachi)
+    type: String,
+    default: 'UTC',
+    validate: { validator: v => IANAZone.isValidZone(v), message: 'Unknown timezone {VALUE}' }
+  },
+  recurringRules: { type: [RecurringRuleSchema], default: [] },
+  exceptions: { type: [ExceptionSchema], default: [] },
+  holidayCountry: { type: String, uppercase: true, enum: [...HOLIDAY_COUNTRIES, null] }, // built-in holidays as blackouts (lib/holidays)
+  minNoticeMinutes: { type: Number, default: 60 },
+  maxDaysAhead: { type: Number, default: 365 }
+}, { _id: false });
+
+// A queued change to the weekly hours: from effectiveFrom (through effectiveTo,
+// inclusive, when set) these rules/exceptions replace the base scheduleConfig's.
+// Timezone, notice and horizon always come from the base config. Where
+// versions overlap, the one that starts latest wins.
+const ScheduleVersionSchema = new Schema({
+  effectiveFrom: { type: String, required: true, match: DATE_RE }, // "YYYY-MM-DD" provider local
+  effectiveTo: {
+    type: String,
+    match: DATE_RE,
+    validate: {
+      validator(value) { return !value || !this.effectiveFrom || value >= this.effectiveFrom; },
+      message: 'effectiveTo must not be before effectiveFrom'
+    }
+  },
+  recurringRules: { type: [RecurringRuleSchema], default: [] },
+  exceptions: { type: [ExceptionSchema], default: [] },
+  holidayCountry: { type: String, uppercase: true, enum: [...HOLIDAY_COUNTRIES, null] }, // unset = same as base
+  note: { type: String }
+}, { timestamps: true });
+
+module.exports = { ScheduleConfigSchema, ScheduleVersionSchema, RecurringRuleSchema, ExceptionSchema };
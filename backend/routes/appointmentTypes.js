@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const AppointmentType = require('../models/AppointmentType');
+const { requireRole } = require('../lib/auth');
+const { SchedulingError, sendError } = require('../lib/errors');
+const { queryId } = require('../lib/listQuery');
+
+const FIELDS = ['name', 'duration', 'bufferBefore', 'bufferAfter', 'providers', 'requiredResources', 'active'];
+
+function pick(body) {
+  const out = {};
+  for (const f of FIELDS) if (body[f] !== undefined) out[f] = body[f];
+  return out;
+}
+
+function saveError(err) {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return new SchedulingError(err.message, 400, 'INVALID_APPOINTMENT_TYPE');
+  }
+  return err;
+}
+
+// list appointment types (?providerId= to only show types that provider offers)
+router.get('/', async (req, res) => {
+  try {
+    const query = { active: true };
+    if (req.query.providerId) {
+      query.$or = [{ providers: { $size: 0 } }, { providers: queryId(req.query.providerId, 'providerId') }];
+    }
+    const types = await AppointmentType.find(query).sort({ name: 1 }).lean();
+    res.json(types);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const type = await AppointmentType.findById(queryId(req.params.id, 'id')).lean();
+    if (!type) return res.status(404).json({ error: 'Not found' });
+    res.json(type);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const type = await AppointmentType.create(pick(req.body));
+    res.status(201).json(type);
+  } catch (err) {
+    sendError(res, saveError(err));
+  }
+});
+
+// partial update (admins); set active=false to retire a type without breaking old bookings
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const type = await AppointmentType.findByIdAndUpdate(queryId(req.params.id, 'id'), pick(req.body), {
+      new: true,
+      runValidators: true
+    });
+    if (!type) return res.status(404).json({ error: 'Not found' });
+    res.json(type);
+  } catch (err) {
+    sendError(res, saveError(err));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// routes/audit.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+
+const AuditEntry = require("../models/AuditEntry");
+const { requireRole } = require("../lib/auth");
+const { sendError } = require("../lib/errors");
+
+const MAX_LIMIT = 500;
+
+// GET /api/audit (admins)
+// ?entityType=Booking|Patient|Provider &entityId= &actor=<username or user id>
+// &action=booking.cancel &requestId= &from=ISO &to=ISO &limit= (default 100, max 500)
+// newest first
+router.get("/", requireRole("admin"), async (req, res) => {
+  try {
+    const { entityType, entityId, actor, action, requestId, from, to } = req.query;
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) return res.status(400).json({ error: "Invalid entityId" });
+      query.entityId = entityId;
+    }
+    if (actor) {
+      query.$or = [{ "actor.username": String(actor).toLowerCase() }];
+      if (mongoose.isValidObjectId(actor)) query.$or.push({ "actor.id": actor });
+    }
+    if (action) query.action = action;
+    if (requestId) query.requestId = requestId;
+    if (from || to) {
+      query.at = {};
+      if (from) query.at.$gte = new Date(from);
+      if (to) query.at.$lt = new Date(to);
+      if (Object.values(query.at).some(d => isNaN(d))) return res.status(400).json({ error: "Invalid from/to" });
+    }
+    const limit = Math.min(Number(req.query.limit) || 100, MAX_LIMIT);
+
+    const entries = await AuditEntry.find(query).sort({ at: -1 }).limit(limit).lean();
+    res.json(entries);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+// routes/auth.js
+const express = require("express");
+const router = express.Router();
+
+const User = require("../models/User");
+const Patient = require("../models/Patient");
+const {
+  ROLES, login, authenticate, requireRole, hashPassword, verifyPassword, principal, signToken,
+} = require("../lib/auth");
+const { SchedulingError, sendError } = require("../lib/errors");
+const { recordAudit } = require("../lib/audit");
+
+// patients may sign themselves up unless AUTH_ALLOW_SIGNUP=false
+const signupAllowed = () => process.env.AUTH_ALLOW_SIGNUP !== "false";
+
+const userView = user => ({ ...principal(user), active: user.active, lastLoginAt: user.lastLoginAt });
+
+// duplicate usernames come back from Mongo as E11000
+function saveError(err) {
+  if (err.code === 11000) return new SchedulingError("Username already taken", 409, "USERNAME_TAKEN");
+  if (err.name === "ValidationError") return new SchedulingError(err.message, 400, "INVALID_USER");
+  return err;
+}
+
+// POST /api/auth/login
+// body: { username, password } -> { token, expiresAt, user }
+router.post("/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: "username and password required" });
+    }
+    res.json(await login(username, password));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/auth/register
+// body: { username, password, first_name, last_name, email?, phone? }
+// creates a Patient and a patient login for it -> { token, expiresAt, user }
+router.post("/register", async (req, res) => {
+  try {
+    if (!signupAllowed()) {
+      return res.status(403).json({ error: "Sign-up is disabled", code: "FORBIDDEN" });
+    }
+    const { username, password, first_name, last_name, email, phone } = req.body;
+    if (!username || !password || !first_name || !last_name) {
+      return res.status(400).json({ error: "username, password, first_name and last_name required" });
+    }
+    if (await User.exists({ username: String(username).toLowerCase().trim() })) {
+      throw new SchedulingError("Username already taken", 409, "USERNAME_TAKEN");
+    }
+
+    const passwordHash = await hashPassword(password);
+    const patient = await Patient.create({ first_name, last_name, email, phone });
+    let user;
+    try {
+      user = await User.create({ username, passwordHash, role: "patient", patient: patient._id });
+    } catch (err) {
+      await Patient.deleteOne({ _id: patient._id });
+      throw saveError(err);
+    }
+    await recordAudit(req, "patient.create", "Patient", null, patient, { actor: principal(user) });
+    res.status(201).json({ ...signToken(user), user: principal(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/auth/me
+router.get("/me", authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+// POST /api/auth/me/password
+// body: { currentPassword, newPassword }
+router.post("/me/password", authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id).select("+passwordHash");
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+      throw new SchedulingError("Current password is wrong", 400, "INVALID_CREDENTIALS");
+    }
+    user.passwordHash = await hashPassword(newPassword);
+    await user.save();
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Account management (admins)
+router.use("/users", authenticate, requireRole("admin"));
+
+// GET /api/auth/users?role=
+router.get("/users", async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.role) query.role = req.query.role;
+    const users = await User.find(query).sort({ username: 1 }).lean();
+    res.json(users.map(userView));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/auth/users
+// body: { username, password, role, providerId? (role provider), patientId? (role patient) }
+router.post("/users", async (req, res) => {
+  try {
+    const { username, password, role, providerId, patientId } = req.body;
+    if (!username || !password || !ROLES.includes(role)) {
+      return res.status(400).json({ error: `username, password and role (${ROLES.join(", ")}) required` });
+    }
+    const user = await User.create({
+      username,
+      passwordHash: await hashPassword(password),
+      role,
+      provider: role === "provider" ? providerId : undefined,
+      patient: role === "patient" ? patientId : undefined,
+    }).catch(err => { throw saveError(err); });
+    res.status(201).json(userView(user));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PATCH /api/auth/users/:id
+// body: { role?, providerId?, patientId?, active?, password? }
+router.patch("/users/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const { role, providerId, patientId, active, password } = req.body;
+    if (role !== undefined) user.role = role;
+    if (providerId !== undefined) user.provider = providerId || undefined;
+    if (patientId !== undefined) user.patient = patientId || undefined;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) user.passwordHash = await hashPassword(password);
+    if (String(user._id) === req.user.id && (user.role !== "admin" || !user.active)) {
+      throw new SchedulingError("You cannot demote or deactivate your own account", 400, "SELF_LOCKOUT");
+    }
+    await user.save().catch(err => { throw saveError(err); });
+    res.json(userView(user));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
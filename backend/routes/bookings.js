@@ -1,19 +1,89 @@
 // routes/booking.js
 const express = require("express");
 const router = express.Router();
-const { DateTime, Interval } = require("luxon");
 
 const Provider = require("../models/Provider");
 const Booking = require("../models/Booking");
+const { createBooking, rescheduleBooking } = require("../lib/bookings");
+const { cancelSeriesBookings, rescheduleSeriesBookings } = require("../lib/series");
+const { STATUSES, transitionBooking } = require("../lib/bookingStatus");
+const { resolveAppointmentType } = require("../lib/appointmentTypes");
+const { SchedulingError, sendError } = require("../lib/errors");
+const { patientFor, canAccessBooking, assertAllowed, scopeToUser } = require("../lib/auth");
+const { listOptions, findPage, dateRange, queryId } = require("../lib/listQuery");
+const { recordAudit, recordAuditMany } = require("../lib/audit");
+
+// occurrences of the booking's series as they were before a scoped change (audit "before")
+const seriesBefore = booking =>
+  (booking.series ? Booking.find({ series: booking.series }).lean() : [booking.toObject()]);
+
+const LIST_SPEC = {
+  sort: { start: "date", createdAt: "date", updatedAt: "date" },
+  defaultSort: "start",
+  fields: ["provider", "patient", "appointmentType", "resources", "start", "end", "blockStart", "blockEnd",
+    "status", "statusHistory", "rescheduleHistory", "series", "seriesIndex", "createdAt", "updatedAt"],
+  populate: {
+    patient: "first_name last_name email phone",
+    provider: "name email scheduleConfig.timezone",
+    appointmentType: "name duration",
+    resources: "name kind",
+  },
+};
+
+// GET /api/bookings
+// filters: providerId, patientId, status (comma list), appointmentTypeId, seriesId,
+//          from, to (local dates or ISO times; read in ?tz, else the provider's zone, else UTC)
+// sort (start | createdAt | updatedAt, "-" for descending), limit, cursor,
+// fields (comma list), populate (patient, provider, appointmentType, resources)
+// -> { items, nextCursor }. Patients see their own bookings, providers theirs.
+router.get("/", async (req, res) => {
+  try {
+    const { providerId, patientId, status, appointmentTypeId, seriesId, from, to } = req.query;
+    const options = listOptions(req.query, LIST_SPEC);
+    const filter = {};
+    if (providerId) filter.provider = queryId(providerId, "providerId");
+    if (patientId) filter.patient = queryId(patientId, "patientId");
+    if (appointmentTypeId) filter.appointmentType = queryId(appointmentTypeId, "appointmentTypeId");
+    if (seriesId) filter.series = queryId(seriesId, "seriesId");
+    if (status) {
+      const statuses = String(status).split(",").map(s => s.trim());
+      const unknown = statuses.filter(s => !STATUSES.includes(s));
+      if (unknown.length) {
+        throw new SchedulingError(`Unknown status ${unknown.join(", ")}`, 400, "INVALID_QUERY");
+      }
+      filter.status = { $in: statuses };
+    }
+
+    let zone = req.query.tz;
+    if (!zone && providerId && (from || to)) {
+      const provider = await Provider.findById(providerId).select("scheduleConfig.timezone").lean();
+      zone = provider?.scheduleConfig?.timezone;
+    }
+    const range = dateRange(from, to, zone || "UTC");
+    if (range.from || range.to) {
+      filter.start = {};
+      if (range.from) filter.start.$gte = range.from;
+      if (range.to) filter.start.$lt = range.to;
+    }
+
+    res.json(await findPage(Booking, scopeToUser(req.user, filter), options));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
 // POST /api/booking
-// body: { providerId, patientId, start, end }
+// body: { providerId, patientId, start, end, appointmentTypeId?, resourceIds? }
+// end may be omitted when appointmentTypeId is given; resourceIds adds rooms/equipment
+// to the ones the appointment type requires. Staff book for any patient; a
+// signed-in patient books for themselves and may leave patientId out.
 router.post("/", async (req, res) => {
   try {
-    const { providerId, patientId, start, end } = req.body;
+    const { providerId, start, end, appointmentTypeId, resourceIds } = req.body;
+    const patientId = patientFor(req.user, req.body.patientId);
 
-    if (!providerId || !patientId || !start || !end) {
-      return res.status(400).json({ error: "providerId, patientId, start, end required" });
+    if (!providerId || !patientId || !start || (!end && !appointmentTypeId)) {
+      return res.status(400).json({ error: "providerId, patientId, start and end (or appointmentTypeId) required" });
     }
 
     const provider = await Provider.findById(providerId);
@@ -21,79 +91,106 @@ router.post("/", async (req, res) => {
       return res.status(404).json({ error: "Provider not found" });
     }
 
-    const tz = provider.scheduleConfig?.timezone || "UTC";
-    const slotStart = DateTime.fromISO(start, { zone: tz });
-    const slotEnd = DateTime.fromISO(end, { zone: tz });
-
-    // basic validation
-    if (!slotStart.isValid || !slotEnd.isValid || slotEnd <= slotStart) {
-      return res.status(400).json({ error: "Invalid start/end time" });
-    }
-
-    // enforce minNotice + horizon
-    const now = DateTime.now().setZone(tz);
-    const horizon = now.plus({ days: provider.scheduleConfig.maxDaysAhead || 365 });
-    if (slotStart < now.plus({ minutes: provider.scheduleConfig.minNoticeMinutes || 0 })) {
-      return res.status(400).json({ error: "Too soon to book this slot" });
-    }
-    if (slotStart > horizon) {
-      return res.status(400).json({ error: "Too far ahead to book this slot" });
-    }
-
-    // check overlap with existing bookings
-    const overlapping = await Booking.findOne({
-      provider: providerId,
-      $or: [
-        { start: { $lt: slotEnd.toJSDate() }, end: { $gt: slotStart.toJSDate() } },
-      ],
-    });
-
-    if (overlapping) {
-      return res.status(400).json({ error: "Slot already booked" });
-    }
+    const appointmentType = await resolveAppointmentType(appointmentTypeId, provider);
 
-    // save booking
-    const booking = new Booking({
-      provider: providerId,
-      patient: patientId,
-      start: slotStart.toJSDate(),
-      end: slotEnd.toJSDate(),
-      status: "booked",
+    // window checks, overlap with bookings/holds and the insert happen under per-provider/resource locks
+    const booking = await createBooking(provider, {
+      patientId, start, end, appointmentType,
+      resourceIds: Array.isArray(resourceIds) ? resourceIds : undefined,
     });
-
-    await booking.save();
+    await recordAudit(req, "booking.create", "Booking", null, booking);
 
     res.json({ success: true, booking });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Server error" });
+    sendError(res, err);
   }
 });
 
-// PATCH /api/booking/:id/cancel
-router.patch("/:id/cancel", async (req, res) => {
+// Lifecycle transitions (see lib/bookingStatus.js)
+// body: { reason? }; cancel also takes scope: "this" | "following" | "all"
+// for occurrences of a recurring series. The change is recorded as made by the signed-in user.
+// Patients may only confirm or cancel their own bookings.
+const PATIENT_ACTIONS = ["confirm", "cancel"];
+const TRANSITION_ROUTES = {
+  confirm: "confirmed",
+  "check-in": "checked_in",
+  complete: "completed",
+  "no-show": "no_show",
+  cancel: "cancelled",
+};
+
+for (const [action, status] of Object.entries(TRANSITION_ROUTES)) {
+  // PATCH /api/bookings/:id/<action>
+  router.patch(`/:id/${action}`, async (req, res) => {
+    try {
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({ error: "Booking not found" });
+      }
+      assertAllowed(canAccessBooking(req.user, booking) &&
+        (req.user.role !== "patient" || PATIENT_ACTIONS.includes(action)));
+
+      if (booking.status === status) {
+        return res.status(400).json({ error: `Booking already ${status.replace("_", "-")}` });
+      }
+
+      const opts = { by: req.user.username, reason: req.body?.reason };
+      const scope = req.body?.scope;
+      if (status === "cancelled" && scope && scope !== "this") {
+        const before = await seriesBefore(booking);
+        const { cancelled, series } = await cancelSeriesBookings(booking, scope, opts);
+        await recordAuditMany(req, "booking.cancel", "Booking", before, cancelled);
+        const updated = cancelled.find(b => String(b._id) === String(booking._id));
+        return res.json({ success: true, booking: updated, cancelled, series });
+      }
+
+      const updated = await transitionBooking(booking, status, opts);
+      await recordAudit(req, `booking.${action}`, "Booking", booking, updated);
+
+      res.json({ success: true, booking: updated });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+}
+
+// PATCH /api/bookings/:id/reschedule
+// body: { start, end?, reason?, scope? } -> moves the booking in one step or leaves it untouched
+// scope "following" / "all" shifts the rest of a recurring series the same way
+router.patch("/:id/reschedule", async (req, res) => {
   try {
-    const bookingId = req.params.id;
+    const { start, end, reason, scope } = req.body;
+    if (!start) {
+      return res.status(400).json({ error: "start required" });
+    }
 
-    const booking = await Booking.findById(bookingId);
+    const booking = await Booking.findById(req.params.id);
     if (!booking) {
       return res.status(404).json({ error: "Booking not found" });
     }
+    assertAllowed(canAccessBooking(req.user, booking));
 
-    if (booking.status === "cancelled") {
-      return res.status(400).json({ error: "Booking already cancelled" });
+    const provider = await Provider.findById(booking.provider);
+    if (!provider) {
+      return res.status(404).json({ error: "Provider not found" });
     }
 
-    booking.status = "cancelled";
-    booking.cancelledAt = new Date();
-    await booking.save();
+    if (scope && scope !== "this") {
+      const before = await seriesBefore(booking);
+      const moved = await rescheduleSeriesBookings(booking, provider, scope, { start, end, reason });
+      await recordAuditMany(req, "booking.reschedule", "Booking", before, moved);
+      const updated = moved.find(b => String(b._id) === String(booking._id));
+      return res.json({ success: true, booking: updated, moved });
+    }
 
-    res.json({ success: true, booking });
+    const before = booking.toObject();
+    const moved = await rescheduleBooking(booking, provider, { start, end, reason });
+    await recordAudit(req, "booking.reschedule", "Booking", before, moved);
+
+    res.json({ success: true, booking: moved });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Server error" });
+    sendError(res, err);
   }
 });
 
-
 module.exports = router;
@@ -0,0 +1,101 @@
+// routes/busyImports.js  (mounted at /api/providers/:providerId/busy-imports)
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+
+const Provider = require("../models/Provider");
+const CalendarImport = require("../models/CalendarImport");
+const BusyBlock = require("../models/BusyBlock");
+const { importBusyCalendar, deleteBusyCalendar } = require("../lib/busyImport");
+const { sendError } = require("../lib/errors");
+const { forbidden, canManageProvider, canSeeProviderBookings } = require("../lib/auth");
+
+// staff may look at a provider's imports; only the provider (or an admin) changes them
+router.use((req, res, next) => {
+  const allowed = req.method === "GET"
+    ? canSeeProviderBookings(req.user, req.params.providerId)
+    : canManageProvider(req.user, req.params.providerId);
+  if (allowed) return next();
+  sendError(res, forbidden());
+});
+
+// server.js leaves these bodies alone: a JSON { ics } may be as large as a
+// raw upload (Content-Type text/calendar with ?name=)
+router.use(express.json({ limit: "5mb" }));
+const icsBody = express.text({ type: ["text/calendar", "text/plain"], limit: "5mb" });
+
+// GET /api/providers/:providerId/busy-imports
+router.get("/", async (req, res) => {
+  try {
+    const imports = await CalendarImport.find({ provider: req.params.providerId }).sort({ name: 1 }).lean();
+    res.json(imports);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/providers/:providerId/busy-imports
+// JSON body: { name, ics } or { name, url }; or a raw .ics body with ?name=
+// Importing an existing name replaces its previous blocks.
+router.post("/", icsBody, async (req, res) => {
+  try {
+    const provider = await Provider.findById(req.params.providerId);
+    if (!provider) {
+      return res.status(404).json({ error: "Provider not found" });
+    }
+
+    const params = typeof req.body === "string"
+      ? { name: req.query.name, ics: req.body }
+      : { name: req.body.name, ics: req.body.ics, url: req.body.url };
+
+    const record = await importBusyCalendar(provider, params);
+    res.json({ success: true, import: record });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/providers/:providerId/busy-imports/:importId/refresh  (URL imports only)
+router.post("/:importId/refresh", async (req, res) => {
+  try {
+    const existing = await CalendarImport.findOne({ _id: req.params.importId, provider: req.params.providerId });
+    if (!existing) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+    if (!existing.url) {
+      return res.status(400).json({ error: "Import was uploaded, upload the file again" });
+    }
+
+    const provider = await Provider.findById(req.params.providerId);
+    const record = await importBusyCalendar(provider, { name: existing.name, url: existing.url });
+    res.json({ success: true, import: record });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/providers/:providerId/busy-imports/:importId/blocks
+router.get("/:importId/blocks", async (req, res) => {
+  try {
+    const blocks = await BusyBlock.find({ provider: req.params.providerId, calendarImport: req.params.importId })
+      .sort({ start: 1 })
+      .lean();
+    res.json(blocks);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/providers/:providerId/busy-imports/:importId
+router.delete("/:importId", async (req, res) => {
+  try {
+    const record = await deleteBusyCalendar(req.params.providerId, req.params.importId);
+    if (!record) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
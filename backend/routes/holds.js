@@ -0,0 +1,72 @@
+// routes/holds.js
+const express = require("express");
+const router = express.Router();
+
+const Provider = require("../models/Provider");
+const { createHold, releaseHold, confirmHold, findOwnedHold } = require("../lib/holds");
+const { resolveAppointmentType } = require("../lib/appointmentTypes");
+const { sendError } = require("../lib/errors");
+const { patientFor, canActForPatient, assertAllowed } = require("../lib/auth");
+const { recordAudit } = require("../lib/audit");
+
+// hold token can come from the X-Hold-Token header or the body
+const tokenFrom = req => req.get("x-hold-token") || req.body?.token;
+
+// POST /api/holds
+// body: { providerId, patientId?, start, end, appointmentTypeId?, resourceIds?, ttlSeconds? }
+// end may be omitted when appointmentTypeId is given; patients always hold for themselves
+router.post("/", async (req, res) => {
+  try {
+    const { providerId, start, end, appointmentTypeId, resourceIds, ttlSeconds } = req.body;
+    const patientId = patientFor(req.user, req.body.patientId);
+    if (!providerId || !start || (!end && !appointmentTypeId)) {
+      return res.status(400).json({ error: "providerId, start and end (or appointmentTypeId) required" });
+    }
+
+    const provider = await Provider.findById(providerId);
+    if (!provider) {
+      return res.status(404).json({ error: "Provider not found" });
+    }
+
+    const appointmentType = await resolveAppointmentType(appointmentTypeId, provider);
+    const hold = await createHold(provider, {
+      patientId, start, end, appointmentType, ttlSeconds,
+      resourceIds: Array.isArray(resourceIds) ? resourceIds : undefined,
+    });
+    res.status(201).json({ success: true, hold });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/holds/:id/confirm
+// body: { token, patientId? } -> creates the Booking and removes the hold
+router.post("/:id/confirm", async (req, res) => {
+  try {
+    const hold = await findOwnedHold(req.params.id, tokenFrom(req));
+    const patientId = patientFor(req.user, req.body.patientId);
+    if (hold.patient) assertAllowed(canActForPatient(req.user, hold.patient));
+    const provider = await Provider.findById(hold.provider);
+    if (!provider) {
+      return res.status(404).json({ error: "Provider not found" });
+    }
+
+    const booking = await confirmHold(provider, hold._id, tokenFrom(req), patientId);
+    await recordAudit(req, "booking.create", "Booking", null, booking);
+    res.json({ success: true, booking });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/holds/:id  (X-Hold-Token header) -> release early
+router.delete("/:id", async (req, res) => {
+  try {
+    await releaseHold(req.params.id, tokenFrom(req));
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require("express");
+const Notification = require("../models/Notification");
+const { requireRole } = require("../lib/auth");
+const { sendError } = require("../lib/errors");
+const { queryId } = require("../lib/listQuery");
+const router = express.Router();
+
+// Outbox listing: ?bookingId=&patientId=&status=&kind=
+// staff see everything, patients only messages sent to them (not the provider's
+// copy of a message about their booking)
+router.get("/", requireRole("staff", "patient"), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.bookingId) query.booking = queryId(req.query.bookingId, "bookingId");
+    if (req.query.patientId) query.patient = queryId(req.query.patientId, "patientId");
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.kind) query.kind = req.query.kind;
+    if (req.user.role === "patient") {
+      query.patient = req.user.patient;
+      query.recipientType = "patient";
+    }
+    const items = await Notification.find(query).sort({ sendAfter: -1 }).limit(200).lean();
+    res.json(items);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Put a failed notification back in the queue (staff)
+router.post("/:id/retry", requireRole("staff"), async (req, res) => {
+  try {
+    const item = await Notification.findOneAndUpdate(
+      { _id: queryId(req.params.id, "id"), status: "failed" },
+      { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ error: "No failed notification with that id" });
+    res.json(item);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
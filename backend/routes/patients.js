@@ -1,36 +1,121 @@
 const express = require("express");
 const Patient = require("../models/Patient");
+const Booking = require("../models/Booking");
+const { ensureFeedToken, findFeedOwner, renderFeed, sendCalendar } = require("../lib/calendarFeed");
+const { requireRole, assertAllowed, canActForPatient } = require("../lib/auth");
+const { recordAudit } = require("../lib/audit");
+const { listOptions, findPage, containsRegex } = require("../lib/listQuery");
+const { SchedulingError, sendError } = require("../lib/errors");
 const router = express.Router();
 
-// Create a patient
-router.post("/", async (req, res) => {
+// fields front desk and patients may set; the feed token and timestamps are not
+const EDITABLE = ["first_name", "last_name", "email", "phone", "notifications"];
+
+const pick = body => {
+  const fields = {};
+  for (const f of EDITABLE) if (body[f] !== undefined) fields[f] = body[f];
+  return fields;
+};
+
+// bad values come back as ValidationError on create, CastError on update
+function saveError(err) {
+  if (err.name === "ValidationError" || err.name === "CastError") return new SchedulingError(err.message, 400, "INVALID_PATIENT");
+  return err;
+}
+
+// Create a patient (front desk)
+// body: { first_name, last_name, email?, phone?, notifications? }
+router.post("/", requireRole("staff"), async (req, res) => {
   try {
-    const patient = new Patient(req.body);
-    await patient.save();
+    const patient = await Patient.create(pick(req.body)).catch(err => { throw saveError(err); });
+    await recordAudit(req, "patient.create", "Patient", null, patient);
     res.json(patient);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-// List patients
-router.get("/", async (req, res) => {
+const LIST_SPEC = {
+  sort: { last_name: "string", first_name: "string", email: "string", createdAt: "date" },
+  defaultSort: "last_name",
+  fields: ["first_name", "last_name", "email", "phone", "notifications", "createdAt", "updatedAt"],
+};
+
+// List patients (front desk)
+// ?q= matches name and email (every word must match), ?email= exact (case-insensitive)
+// sort (last_name | first_name | email | createdAt, "-" for descending), limit, cursor, fields
+// -> { items, nextCursor }
+router.get("/", requireRole("staff"), async (req, res) => {
   try {
-    const patients = await Patient.find();
-    res.json(patients);
+    const options = listOptions(req.query, LIST_SPEC);
+    const filter = {};
+    const words = String(req.query.q || "").split(/\s+/).filter(Boolean);
+    if (words.length) {
+      filter.$and = words.map(word => {
+        const re = containsRegex(word);
+        return { $or: [{ first_name: re }, { last_name: re }, { email: re }] };
+      });
+    }
+    if (req.query.email) {
+      filter.email = new RegExp(`^${containsRegex(req.query.email).source}$`, "i");
+    }
+    res.json(await findPage(Patient, filter, options));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Update a patient (contact details, notification opt-out)
+router.patch("/:id", async (req, res) => {
+  try {
+    assertAllowed(canActForPatient(req.user, req.params.id));
+    const before = await Patient.findById(req.params.id).lean();
+    if (!before) return res.status(404).json({ error: "Not found" });
+    const patient = await Patient.findByIdAndUpdate(req.params.id, pick(req.body), { new: true, runValidators: true })
+      .catch(err => { throw saveError(err); });
+    if (!patient) return res.status(404).json({ error: "Not found" });
+    await recordAudit(req, "patient.update", "Patient", before, patient);
+    res.json(patient);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-// Get one patient
+// Get one patient (staff, the patient, or a provider who has seen them)
 router.get("/:id", async (req, res) => {
   try {
+    const allowed = canActForPatient(req.user, req.params.id) ||
+      (req.user.role === "provider" && await Booking.exists({ provider: req.user.provider, patient: req.params.id }));
+    assertAllowed(allowed);
     const patient = await Patient.findById(req.params.id);
     if (!patient) return res.status(404).json({ error: "Not found" });
     res.json(patient);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+// Get (or rotate with ?rotate=true) the subscribable calendar feed URL
+router.post("/:id/calendar-token", async (req, res) => {
+  try {
+    assertAllowed(canActForPatient(req.user, req.params.id));
+    const token = await ensureFeedToken(Patient, req.params.id, req.query.rotate === "true");
+    if (!token) return res.status(404).json({ error: "Not found" });
+    const url = `${req.protocol}://${req.get("host")}${req.baseUrl}/${req.params.id}/calendar.ics?token=${token}`;
+    res.json({ token, url });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// iCalendar feed of the patient's appointments (?token= required)
+router.get("/:id/calendar.ics", async (req, res) => {
+  try {
+    const patient = await findFeedOwner(Patient, req.params.id, req.query.token);
+    if (!patient) return res.status(404).json({ error: "Not found" });
+    sendCalendar(res, await renderFeed("patient", patient));
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
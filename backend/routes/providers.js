@@ -1,41 +1,222 @@
 const express = require('express');
 const router = express.Router();
 const Provider = require('../models/Provider');
+const Patient = require('../models/Patient');
 const generateSlots = require('../lib/generateSlotsForRange');
+const { resolveAppointmentType, slotOptions } = require('../lib/appointmentTypes');
+const { resolveResources } = require('../lib/resources');
+const { SchedulingError, sendError } = require('../lib/errors');
+const { ensureFeedToken, findFeedOwner, renderFeed, sendCalendar } = require('../lib/calendarFeed');
+const { addScheduleVersion, removeScheduleVersion, replaceScheduleConfig } = require('../lib/scheduleVersions');
+const { requireRole, assertAllowed, canManageProvider, canSeeProviderBookings } = require('../lib/auth');
+const { recordAudit } = require('../lib/audit');
+const { streamProviderChanges } = require('../lib/liveUpdates');
+const { listOptions, findPage, containsRegex } = require('../lib/listQuery');
 
 
+const LIST_SPEC = {
+  sort: { name: 'string', createdAt: 'date' },
+  defaultSort: 'name',
+  fields: ['name', 'email', 'scheduleConfig', 'scheduleVersions', 'createdAt', 'updatedAt']
+};
+
 // list providers
+// ?q= matches name and email; sort (name | createdAt, '-' for descending), limit, cursor, fields
+// -> { items, nextCursor }
 router.get('/', async (req, res) => {
-  const all = await Provider.find().lean();
-  res.json(all);
+  try {
+    const options = listOptions(req.query, LIST_SPEC);
+    const filter = {};
+    if (req.query.q) {
+      const re = containsRegex(req.query.q);
+      filter.$or = [{ name: re }, { email: re }];
+    }
+    res.json(await findPage(Provider, filter, options));
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-// Create a provider (simple)
-router.post('/', async (req, res) => {
-  const { name, email, scheduleConfig } = req.body;
-  const p = await Provider.create({ name, email, scheduleConfig });
-  res.json(p);
+// Create a provider (simple, admins)
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, email, scheduleConfig } = req.body;
+    const p = await Provider.create({ name, email, scheduleConfig });
+    await recordAudit(req, 'provider.create', 'Provider', null, p);
+    res.json(p);
+  } catch (err) {
+    sendError(res, err.name === 'ValidationError' ? new SchedulingError(err.message, 400, 'INVALID_PROVIDER') : err);
+  }
 });
 
 // Update schedule config (replace)
+// ?dryRun=true validates and returns { scheduleConfig, affected } without saving,
+// where affected lists upcoming bookings the new hours would no longer publish
 router.put('/:id/config', async (req, res) => {
-  const id = req.params.id;
-  const config = req.body;
-  const p = await Provider.findByIdAndUpdate(id, { scheduleConfig: config }, { new: true });
-  if (!p) return res.status(404).send('provider not found');
-  res.json(p);
+  try {
+    assertAllowed(canManageProvider(req.user, req.params.id), 'You can only change your own schedule');
+    const provider = await Provider.findById(req.params.id);
+    if (!provider) return res.status(404).send('provider not found');
+    const dryRun = req.query.dryRun === 'true';
+    const before = provider.toObject();
+    const { affected } = await replaceScheduleConfig(provider, req.body, { dryRun });
+    if (dryRun) return res.json({ dryRun, scheduleConfig: provider.scheduleConfig, affected });
+    await recordAudit(req, 'provider.config_replace', 'Provider', before, provider);
+    res.json(provider);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+const MAX_PREVIEW_DAYS = 31;
+
+// Slots a proposed scheduleConfig would publish, without saving it (schedule editor)
+// body: scheduleConfig; ?from=ISO&to=ISO (default the next 7 days, at most 31)
+// -> { scheduleConfig, slots, affected }; queued schedule versions still apply on their dates
+router.post('/:id/config/preview', async (req, res) => {
+  try {
+    assertAllowed(canManageProvider(req.user, req.params.id), 'You can only change your own schedule');
+    const provider = await Provider.findById(req.params.id);
+    if (!provider) return res.status(404).send('provider not found');
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 86400000);
+    if (isNaN(from) || isNaN(to) || !(to > from)) return res.status(400).json({ error: 'Invalid from/to' });
+    if (to - from > MAX_PREVIEW_DAYS * 86400000) {
+      return res.status(400).json({ error: `Preview at most ${MAX_PREVIEW_DAYS} days at a time` });
+    }
+
+    const { affected } = await replaceScheduleConfig(provider, req.body, { dryRun: true });
+    const slots = await generateSlots(provider, from.toISOString(), to.toISOString());
+    res.json({
+      scheduleConfig: provider.scheduleConfig,
+      slots: slots.map(({ booking, hold, ...slot }) => slot),
+      affected
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Effective-dated schedule versions: hours that take over from effectiveFrom
+// (through effectiveTo when set). See lib/scheduleVersions.
+router.get('/:id/schedule-versions', async (req, res) => {
+  try {
+    assertAllowed(canSeeProviderBookings(req.user, req.params.id));
+    const provider = await Provider.findById(req.params.id).select('name scheduleConfig scheduleVersions').lean();
+    if (!provider) return res.status(404).send('provider not found');
+    const versions = [...provider.scheduleVersions].sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+    res.json({ provider: { _id: provider._id, name: provider.name }, scheduleConfig: provider.scheduleConfig, versions });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// body: { effectiveFrom, effectiveTo?, recurringRules, exceptions?, holidayCountry?, note?, dryRun? }
+// -> { version, affected, dryRun }; 201 when saved
+router.post('/:id/schedule-versions', async (req, res) => {
+  try {
+    assertAllowed(canManageProvider(req.user, req.params.id), 'You can only change your own schedule');
+    const provider = await Provider.findById(req.params.id);
+    if (!provider) return res.status(404).send('provider not found');
+    const { dryRun, ...data } = req.body;
+    const before = provider.toObject();
+    const result = await addScheduleVersion(provider, data, { dryRun: Boolean(dryRun) });
+    if (!dryRun) await recordAudit(req, 'provider.version_add', 'Provider', before, provider);
+    res.status(dryRun ? 200 : 201).json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
+// ?dryRun=true previews which bookings would fall outside the hours left in force
+router.delete('/:id/schedule-versions/:versionId', async (req, res) => {
+  try {
+    assertAllowed(canManageProvider(req.user, req.params.id), 'You can only change your own schedule');
+    const provider = await Provider.findById(req.params.id);
+    if (!provider) return res.status(404).send('provider not found');
+    const dryRun = req.query.dryRun === 'true';
+    const before = provider.toObject();
+    const result = await removeScheduleVersion(provider, req.params.versionId, { dryRun });
+    if (!dryRun) await recordAudit(req, 'provider.version_remove', 'Provider', before, provider);
+    res.json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Replace slot.booking.patient ids with { _id, first_name, last_name }
+async function withPatientNames(slots) {
+  const ids = [...new Set(slots.filter(s => s.booking).map(s => String(s.booking.patient)))];
+  if (!ids.length) return slots;
+  const patients = await Patient.find({ _id: { $in: ids } }).select('first_name last_name').lean();
+  const byId = new Map(patients.map(p => [String(p._id), p]));
+  return slots.map(s => (s.booking
+    ? { ...s, booking: { ...s.booking, patient: byId.get(String(s.booking.patient)) || s.booking.patient } }
+    : s));
+}
+
 // Get availability (generate slots in memory + attach bookings)
+// the attached booking/hold (with the patient's name) is only shown to staff and the provider themselves
+// ?appointmentTypeId= returns start times where that visit (plus buffers) fits
+// ?resourceIds=a,b also requires those rooms/equipment to be free
 router.get('/:id/availability', async (req, res) => {
-  const id = req.params.id;
-  const from = req.query.from; // ISO UTC
-  const to = req.query.to;     // ISO UTC
-  if (!from || !to) return res.status(400).send('from & to required (ISO UTC)');
-  const provider = await Provider.findById(id);
-  if (!provider) return res.status(404).send('provider not found');
-  const slots = await generateSlots(provider, from, to);
-  res.json({ provider: { _id: provider._id, name: provider.name }, slots });
+  try {
+    const id = req.params.id;
+    const from = req.query.from; // ISO UTC
+    const to = req.query.to;     // ISO UTC
+    if (!from || !to) return res.status(400).send('from & to required (ISO UTC)');
+    const provider = await Provider.findById(id);
+    if (!provider) return res.status(404).send('provider not found');
+    const appointmentType = await resolveAppointmentType(req.query.appointmentTypeId, provider);
+    const options = slotOptions(appointmentType);
+    if (req.query.resourceIds) {
+      const extra = String(req.query.resourceIds).split(',').map(s => s.trim()).filter(Boolean);
+      const resources = await resolveResources(appointmentType, extra);
+      options.resourceIds = resources.map(r => String(r._id));
+    }
+    let slots = await generateSlots(provider, from, to, options);
+    if (canSeeProviderBookings(req.user, id)) slots = await withPatientNames(slots);
+    else slots = slots.map(({ booking, hold, ...slot }) => slot);
+    res.json({ provider: { _id: provider._id, name: provider.name }, slots });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Live availability changes as Server-Sent Events (see lib/liveUpdates);
+// EventSource clients pass their token as ?access_token=
+router.get('/:id/events', async (req, res) => {
+  try {
+    const provider = await Provider.findById(req.params.id).select('_id').lean();
+    if (!provider) return res.status(404).send('provider not found');
+    streamProviderChanges(req, res, provider._id);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Get (or rotate with ?rotate=true) the subscribable calendar feed URL
+router.post('/:id/calendar-token', async (req, res) => {
+  try {
+    assertAllowed(canManageProvider(req.user, req.params.id));
+    const token = await ensureFeedToken(Provider, req.params.id, req.query.rotate === 'true');
+    if (!token) return res.status(404).send('provider not found');
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/${req.params.id}/calendar.ics?token=${token}`;
+    res.json({ token, url });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// iCalendar feed of the provider's bookings (?token= required)
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const provider = await findFeedOwner(Provider, req.params.id, req.query.token);
+    if (!provider) return res.status(404).send('calendar not found');
+    sendCalendar(res, await renderFeed('provider', provider));
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
 module.exports = router;
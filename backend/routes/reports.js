@@ -0,0 +1,51 @@
+// routes/reports.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+
+const Provider = require("../models/Provider");
+const { utilizationReport, reportsToCsv, BREAKDOWNS } = require("../lib/reports");
+const { requireRole, assertAllowed, canSeeProviderBookings } = require("../lib/auth");
+const { sendError } = require("../lib/errors");
+
+// GET /api/reports/utilization?from=&to= (dates are provider-local days, to inclusive)
+// &providerIds=a,b (default: every provider; providers only ever get their own)
+// &format=json|csv &breakdown=total|weekday|hour|weekday_hour (CSV rows, default weekday_hour)
+// -> { from, to, providers: [report] }, see lib/reports.js for the figures
+router.get("/utilization", requireRole("staff", "provider"), async (req, res) => {
+  try {
+    const { from, to, format = "json", breakdown = "weekday_hour" } = req.query;
+    if (!from || !to) return res.status(400).json({ error: "from & to required" });
+    if (!["json", "csv"].includes(format)) return res.status(400).json({ error: "format must be json or csv" });
+    if (!BREAKDOWNS.includes(breakdown)) {
+      return res.status(400).json({ error: `breakdown must be one of ${BREAKDOWNS.join(", ")}` });
+    }
+
+    let ids = req.query.providerIds ? String(req.query.providerIds).split(",").map(id => id.trim()).filter(Boolean) : null;
+    if (req.user.role === "provider") ids = ids || [req.user.provider];
+    if (ids) {
+      if (!ids.every(id => mongoose.isValidObjectId(id))) return res.status(400).json({ error: "Invalid providerIds" });
+      ids.forEach(id => assertAllowed(canSeeProviderBookings(req.user, id), "You can only report on your own bookings"));
+    }
+
+    const providers = await Provider.find(ids ? { _id: { $in: ids } } : {}).sort({ name: 1 }).lean();
+    if (ids && providers.length !== new Set(ids).size) return res.status(404).json({ error: "Provider not found" });
+
+    // one at a time: each report generates every slot in the range
+    const reports = [];
+    for (const provider of providers) reports.push(await utilizationReport(provider, from, to));
+
+    if (format === "csv") {
+      const body = reportsToCsv(reports, breakdown);
+      const name = `utilization-${String(from).slice(0, 10)}-${String(to).slice(0, 10)}.csv`.replace(/[^\w.-]/g, "_");
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${name}"`);
+      return res.send(body);
+    }
+    res.json({ from, to, providers: reports });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const Resource = require('../models/Resource');
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const { resourceWindows } = require('../lib/resources');
+const { INACTIVE_STATUSES } = require('../lib/bookingStatus');
+const { SchedulingError, sendError } = require('../lib/errors');
+const { queryId } = require('../lib/listQuery');
+const { requireRole } = require('../lib/auth');
+
+const FIELDS = ['name', 'kind', 'scheduleConfig', 'active'];
+
+function pick(body) {
+  const out = {};
+  for (const f of FIELDS) if (body[f] !== undefined) out[f] = body[f];
+  return out;
+}
+
+function saveError(err) {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return new SchedulingError(err.message, 400, 'INVALID_RESOURCE');
+  }
+  return err;
+}
+
+// list rooms/equipment (?kind=room, ?all=true to include retired ones)
+router.get('/', async (req, res) => {
+  try {
+    const query = req.query.all === 'true' ? {} : { active: true };
+    if (req.query.kind) query.kind = req.query.kind;
+    const resources = await Resource.find(query).sort({ name: 1 }).lean();
+    res.json(resources);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const resource = await Resource.findById(queryId(req.params.id, 'id')).lean();
+    if (!resource) return res.status(404).json({ error: 'Not found' });
+    res.json(resource);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const resource = await Resource.create(pick(req.body));
+    res.status(201).json(resource);
+  } catch (err) {
+    sendError(res, saveError(err));
+  }
+});
+
+// partial update (admins); scheduleConfig is replaced as a whole, active=false retires it
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const resource = await Resource.findByIdAndUpdate(queryId(req.params.id, 'id'), pick(req.body), {
+      new: true,
+      runValidators: true
+    });
+    if (!resource) return res.status(404).json({ error: 'Not found' });
+    res.json(resource);
+  } catch (err) {
+    sendError(res, saveError(err));
+  }
+});
+
+// Opening hours per local day and what occupies the resource (staff, providers)
+// ?from=ISO&to=ISO
+router.get('/:id/availability', requireRole('staff', 'provider'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) return res.status(400).json({ error: 'from & to required (ISO)' });
+    const resource = await Resource.findById(queryId(req.params.id, 'id')).lean();
+    if (!resource) return res.status(404).json({ error: 'Not found' });
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (isNaN(fromDate) || isNaN(toDate)) return res.status(400).json({ error: 'Invalid from/to' });
+
+    const { timezone, days } = resourceWindows(resource, from, to);
+    const overlap = { resources: resource._id, blockStart: { $lt: toDate }, blockEnd: { $gt: fromDate } };
+    const [bookings, holds] = await Promise.all([
+      Booking.find({ ...overlap, status: { $nin: INACTIVE_STATUSES } })
+        .select('provider patient start end blockStart blockEnd status').sort({ start: 1 }).lean(),
+      Hold.find({ ...overlap, expiresAt: { $gt: new Date() } })
+        .select('provider start end blockStart blockEnd expiresAt').sort({ start: 1 }).lean()
+    ]);
+    res.json({ resource: { _id: resource._id, name: resource.name, kind: resource.kind }, timezone, days, bookings, holds });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
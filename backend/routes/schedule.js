@@ -1,31 +1,44 @@
 // routes/schedule.js
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const { DateTime, Interval } = require("luxon");
 
 const Provider = require("../models/Provider");
-const Booking = require("../models/Booking");
-
-// helper: generate time slots within [start, end)
-function generateSlots(startDateTime, endDateTime, slotMinutes) {
+const { findBlockers, blockOf } = require("../lib/blockers");
+const { resolveAppointmentType, slotOptions, offeredBy } = require("../lib/appointmentTypes");
+const findFirstAvailable = require("../lib/firstAvailable");
+const { explainTime, explainRange } = require("../lib/explain");
+const { resourceReasons } = require("../lib/resources");
+const { scheduleOf, windowsForDay } = require("../lib/scheduleWindows");
+const { HOLIDAY_COUNTRIES, holidaysFor } = require("../lib/holidays");
+const { assertAllowed, canSeeProviderBookings } = require("../lib/auth");
+const { sendError } = require("../lib/errors");
+
+// longest from..to a first-available search may cover
+const MAX_SEARCH_DAYS = 92;
+
+// helper: generate time slots within [start, end), starting every stepMinutes
+// and lasting slotMinutes (defaults to the step); capacity = seats per slot
+function generateSlots(startDateTime, endDateTime, stepMinutes, slotMinutes = stepMinutes, capacity = 1) {
   const slots = [];
   let cursor = startDateTime;
-  while (cursor < endDateTime) {
-    const next = cursor.plus({ minutes: slotMinutes });
+  while (cursor.plus({ minutes: slotMinutes }) <= endDateTime) {
     slots.push({
       start: cursor.toISO(),
-      end: next.toISO(),
+      end: cursor.plus({ minutes: slotMinutes }).toISO(),
+      capacity,
       status: "available", // default
     });
-    cursor = next;
+    cursor = cursor.plus({ minutes: stepMinutes });
   }
   return slots;
 }
 
-// GET /api/schedule/available?providerId=...&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+// GET /api/schedule/available?providerId=...&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD[&appointmentTypeId=...]
 router.get("/available", async (req, res) => {
   try {
-    const { providerId, startDate, endDate } = req.query;
+    const { providerId, startDate, endDate, appointmentTypeId } = req.query;
     if (!providerId || !startDate || !endDate) {
       return res.status(400).json({ error: "providerId, startDate, endDate required" });
     }
@@ -40,6 +53,9 @@ router.get("/available", async (req, res) => {
       return res.json([]);
     }
 
+    const appointmentType = await resolveAppointmentType(appointmentTypeId, provider);
+    const { duration, bufferBefore = 0, bufferAfter = 0, resourceIds } = slotOptions(appointmentType);
+
     const tz = scheduleConfig.timezone || "UTC";
     const start = DateTime.fromISO(startDate, { zone: tz }).startOf("day");
     const end = DateTime.fromISO(endDate, { zone: tz }).endOf("day");
@@ -47,36 +63,12 @@ router.get("/available", async (req, res) => {
     // Build all slots
     let allSlots = [];
 
+    // rule and exception windows per local day, minus blackouts, holidays and blocked time
+    const schedule = scheduleOf(provider);
     for (let cursor = start; cursor <= end; cursor = cursor.plus({ days: 1 })) {
-      const weekday = cursor.weekday; // Mon=1..Sun=7
-
-      // find matching recurring rules
-      const rules = (scheduleConfig.recurringRules || []).filter(r =>
-        r.daysOfWeek.includes(weekday)
-      );
-
-      rules.forEach(rule => {
-        const dayStart = DateTime.fromISO(`${cursor.toISODate()}T${rule.startTime}`, { zone: tz });
-        const dayEnd = DateTime.fromISO(`${cursor.toISODate()}T${rule.endTime}`, { zone: tz });
-
-        if (dayStart < dayEnd) {
-          allSlots.push(...generateSlots(dayStart, dayEnd, rule.slotDuration));
-        }
-      });
-
-      // apply exceptions
-      const exception = (scheduleConfig.exceptions || []).find(
-        e => e.date === cursor.toISODate()
-      );
-      if (exception) {
-        if (!exception.available) {
-          // blackout day: remove all slots for that day
-          allSlots = allSlots.filter(s => DateTime.fromISO(s.start, { zone: tz }).toISODate() !== cursor.toISODate());
-        } else if (exception.startTime && exception.endTime) {
-          // add special window
-          const excStart = DateTime.fromISO(`${cursor.toISODate()}T${exception.startTime}`, { zone: tz });
-          const excEnd = DateTime.fromISO(`${cursor.toISODate()}T${exception.endTime}`, { zone: tz });
-          allSlots.push(...generateSlots(excStart, excEnd, scheduleConfig.recurringRules?.[0]?.slotDuration || 30));
+      for (const w of windowsForDay(schedule, cursor)) {
+        if (w.start < w.end) {
+          allSlots.push(...generateSlots(w.start, w.end, w.step, duration || w.step, w.capacity));
         }
       }
     }
@@ -90,35 +82,157 @@ router.get("/available", async (req, res) => {
              slotStart <= horizon;
     });
 
-    // fetch bookings
-    const bookings = await Booking.find({
-      provider: providerId,
-      start: { $gte: start.toJSDate(), $lte: end.toJSDate() },
-    }).lean();
-
-    const bookedIntervals = bookings.map(b =>
-      Interval.fromDateTimes(
-        DateTime.fromJSDate(b.start).setZone(tz),
-        DateTime.fromJSDate(b.end).setZone(tz)
-      )
+    // fetch bookings and live holds (widened so buffers at the range edges are seen)
+    const { bookings, holds, busy, resources } = await findBlockers(
+      providerId,
+      start.minus({ minutes: bufferBefore }).toJSDate(),
+      end.plus({ minutes: bufferAfter }).toJSDate(),
+      { resourceIds }
     );
 
-    // mark booked slots
-    allSlots = allSlots.map(slot => {
-      const slotInterval = Interval.fromDateTimes(
-        DateTime.fromISO(slot.start, { zone: tz }),
-        DateTime.fromISO(slot.end, { zone: tz })
+    const toIntervals = docs => docs.map(d => {
+      const block = blockOf(d);
+      return Interval.fromDateTimes(
+        DateTime.fromJSDate(block.start).setZone(tz),
+        DateTime.fromJSDate(block.end).setZone(tz)
       );
+    });
+    const bookedIntervals = toIntervals(bookings);
+    const heldIntervals = toIntervals(holds);
+    const busyIntervals = toIntervals(busy);
+
+    const slotIntervalOf = slot => Interval.fromDateTimes(
+      DateTime.fromISO(slot.start, { zone: tz }).minus({ minutes: bufferBefore }),
+      DateTime.fromISO(slot.end, { zone: tz }).plus({ minutes: bufferAfter })
+    );
 
-      const isBooked = bookedIntervals.some(bi => bi.overlaps(slotInterval));
-      return { ...slot, status: isBooked ? "booked" : "available" };
+    // drop slots that collide with imported busy time
+    allSlots = allSlots.filter(slot => !busyIntervals.some(bi => bi.overlaps(slotIntervalOf(slot))));
+
+    // ... and those where a room/equipment the type needs is closed or taken
+    if (resources) {
+      allSlots = allSlots.filter(slot => {
+        const interval = slotIntervalOf(slot);
+        return !resourceReasons(
+          resources,
+          DateTime.fromISO(slot.start, { zone: tz }),
+          DateTime.fromISO(slot.end, { zone: tz }),
+          interval.start.toJSDate(),
+          interval.end.toJSDate()
+        ).length;
+      });
+    }
+
+    // count taken seats; the slot's own buffers count towards the overlap.
+    // A slot is booked/held only once every seat is gone.
+    allSlots = allSlots.map(slot => {
+      const slotInterval = slotIntervalOf(slot);
+
+      const booked = bookedIntervals.filter(bi => bi.overlaps(slotInterval)).length;
+      const held = heldIntervals.filter(hi => hi.overlaps(slotInterval)).length;
+      const seatsRemaining = Math.max(slot.capacity - booked - held, 0);
+      const status = seatsRemaining > 0 ? "available" : booked ? "booked" : "held";
+      return { ...slot, seatsRemaining, status };
     });
 
     res.json(allSlots);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Server error" });
+    sendError(res, err);
+  }
+});
+
+// GET /api/schedule/first-available?from=ISO&to=ISO[&providerIds=a,b][&duration=mins|&appointmentTypeId=...][&limit=10]
+// Earliest open slots across all (or the listed) providers, merged and sorted.
+// from..to covers at most MAX_SEARCH_DAYS.
+router.get("/first-available", async (req, res) => {
+  try {
+    const { from, to, providerIds, duration, appointmentTypeId } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: "from, to required (ISO UTC)" });
+    }
+    const fromDT = DateTime.fromISO(from);
+    const toDT = DateTime.fromISO(to);
+    if (!fromDT.isValid || !toDT.isValid || toDT <= fromDT) {
+      return res.status(400).json({ error: "Invalid from/to" });
+    }
+    if (toDT.diff(fromDT, "days").days > MAX_SEARCH_DAYS) {
+      return res.status(400).json({ error: `Search at most ${MAX_SEARCH_DAYS} days at a time` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+    if (duration !== undefined && !(Number(duration) > 0)) {
+      return res.status(400).json({ error: "duration must be a positive number of minutes" });
+    }
+
+    if (appointmentTypeId && !mongoose.isValidObjectId(appointmentTypeId)) {
+      return res.status(400).json({ error: "Invalid appointmentTypeId" });
+    }
+    const filter = {};
+    if (providerIds) {
+      const ids = String(providerIds).split(",").map(id => id.trim()).filter(Boolean);
+      if (!ids.every(id => mongoose.isValidObjectId(id))) return res.status(400).json({ error: "Invalid providerIds" });
+      filter._id = { $in: ids };
+    }
+    let providers = await Provider.find(filter).lean();
+
+    let options = duration ? { duration: Number(duration) } : {};
+    if (appointmentTypeId) {
+      const appointmentType = await resolveAppointmentType(appointmentTypeId);
+      providers = providers.filter(p => offeredBy(appointmentType, p._id));
+      options = slotOptions(appointmentType);
+    }
+
+    const slots = await findFirstAvailable(providers, from, to, { limit, slotOptions: options });
+    res.json({ slots });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/schedule/explain?providerId=...&start=ISO[&end=ISO][&appointmentTypeId=...]
+// GET /api/schedule/explain?providerId=...&from=ISO&to=ISO[&appointmentTypeId=...]
+// Why a time (or every slot in a range) is or is not bookable. A start without
+// an offset is read as provider-local time. The reasons name other bookings and
+// busy time, so only staff and the provider themselves may ask.
+router.get("/explain", async (req, res) => {
+  try {
+    const { providerId, start, end, from, to, appointmentTypeId } = req.query;
+    if (!providerId || !(start || (from && to))) {
+      return res.status(400).json({ error: "providerId and start, or from and to, required" });
+    }
+    assertAllowed(canSeeProviderBookings(req.user, providerId));
+
+    const provider = await Provider.findById(providerId).lean();
+    if (!provider) {
+      return res.status(404).json({ error: "Provider not found" });
+    }
+
+    const appointmentType = await resolveAppointmentType(appointmentTypeId, provider);
+    const options = slotOptions(appointmentType);
+
+    if (start) {
+      return res.json(await explainTime(provider, start, end, options));
+    }
+    if (!DateTime.fromISO(from).isValid || !DateTime.fromISO(to).isValid) {
+      return res.status(400).json({ error: "Invalid from/to" });
+    }
+    res.json(await explainRange(provider, from, to, options));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/schedule/holidays?country=US[&year=2026]
+// Built-in public holidays, as used by scheduleConfig.holidayCountry
+router.get("/holidays", (req, res) => {
+  const country = String(req.query.country || "").toUpperCase();
+  if (!HOLIDAY_COUNTRIES.includes(country)) {
+    return res.status(400).json({ error: `country must be one of ${HOLIDAY_COUNTRIES.join(", ")}` });
+  }
+  const year = req.query.year ? parseInt(req.query.year, 10) : DateTime.now().year;
+  if (!Number.isInteger(year) || year < 1900 || year > 2999) {
+    return res.status(400).json({ error: "Invalid year" });
   }
+  res.json({ country, year, holidays: holidaysFor(country, year) });
 });
 
 module.exports = router;
@@ -0,0 +1,97 @@
+// routes/series.js
+const express = require("express");
+const router = express.Router();
+
+const Provider = require("../models/Provider");
+const Booking = require("../models/Booking");
+const BookingSeries = require("../models/BookingSeries");
+const { resolveAppointmentType } = require("../lib/appointmentTypes");
+const { planSeries, createSeries, cancelSeriesBookings } = require("../lib/series");
+const { sendError } = require("../lib/errors");
+const { patientFor, canAccessBooking, assertAllowed } = require("../lib/auth");
+const { recordAuditMany } = require("../lib/audit");
+
+// POST /api/series
+// body: { providerId, patientId, start, end?, appointmentTypeId?, resourceIds?,
+//         rrule? ("FREQ=WEEKLY;COUNT=8") | repeat? ({ freq, interval, byDay, count, until }),
+//         overrides? ([{ index, start }]), onConflict? ("reject" | "skip"), dryRun?, note? }
+// dryRun returns the checked occurrences (with alternatives for conflicts) and writes nothing.
+router.post("/", async (req, res) => {
+  try {
+    const { providerId, start, end, appointmentTypeId, resourceIds, rrule, repeat,
+      overrides, onConflict, dryRun, note } = req.body;
+    const patientId = patientFor(req.user, req.body.patientId);
+
+    if (!providerId || !patientId || !start || (!end && !appointmentTypeId) || (!rrule && !repeat)) {
+      return res.status(400).json({ error: "providerId, patientId, start, end (or appointmentTypeId) and rrule or repeat required" });
+    }
+    if (onConflict && !["reject", "skip"].includes(onConflict)) {
+      return res.status(400).json({ error: "onConflict must be reject or skip" });
+    }
+
+    const provider = await Provider.findById(providerId);
+    if (!provider) {
+      return res.status(404).json({ error: "Provider not found" });
+    }
+    const appointmentType = await resolveAppointmentType(appointmentTypeId, provider);
+    const params = {
+      patientId, start, end, appointmentType, rrule, repeat,
+      resourceIds: Array.isArray(resourceIds) ? resourceIds : undefined,
+      overrides: Array.isArray(overrides) ? overrides : [],
+      onConflict, note,
+    };
+
+    if (dryRun) {
+      return res.json(await planSeries(provider, params));
+    }
+
+    const { series, bookings, skipped } = await createSeries(provider, params);
+    await recordAuditMany(req, "booking.create", "Booking", [], bookings);
+    res.status(201).json({ success: true, series, bookings, skipped });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/series/:id -> the series and its occurrences
+router.get("/:id", async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" });
+    }
+    assertAllowed(canAccessBooking(req.user, series));
+    const bookings = await Booking.find({ series: series._id }).sort({ start: 1 });
+    res.json({ series, bookings });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/series/:id
+// body: { reason? } -> cancels every upcoming occurrence
+router.delete("/:id", async (req, res) => {
+  try {
+    const first = await Booking.findOne({
+      series: req.params.id,
+      status: { $in: ["booked", "confirmed"] },
+      start: { $gte: new Date() },
+    }).sort({ start: 1 });
+    if (!first) {
+      return res.status(404).json({ error: "No upcoming occurrences in this series" });
+    }
+    assertAllowed(canAccessBooking(req.user, first));
+
+    const before = await Booking.find({ series: req.params.id }).lean();
+    const { cancelled, series } = await cancelSeriesBookings(first, "all", {
+      by: req.user.username,
+      reason: req.body?.reason,
+    });
+    await recordAuditMany(req, "booking.cancel", "Booking", before, cancelled);
+    res.json({ success: true, series, cancelled });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// routes/waitlist.js
+const express = require("express");
+const router = express.Router();
+const { DateTime } = require("luxon");
+
+const Patient = require("../models/Patient");
+const Provider = require("../models/Provider");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { resolveAppointmentType } = require("../lib/appointmentTypes");
+const { offerNextSlot, acceptOffer, declineOffer, leaveWaitlist } = require("../lib/waitlist");
+const { sendError } = require("../lib/errors");
+const { patientFor, canAccessBooking, canActForPatient, assertAllowed, scopeToUser } = require("../lib/auth");
+const { recordAudit } = require("../lib/audit");
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// accept/decline/leave act for the patient: the patient themselves or staff
+async function checkEntryPatient(req) {
+  const entry = await WaitlistEntry.findById(req.params.id).select("patient").lean();
+  if (entry) assertAllowed(canActForPatient(req.user, entry.patient));
+}
+
+// POST /api/waitlist
+// body: { patientId, providerId?, appointmentTypeId?, duration?, windowStart, windowEnd,
+//         earliestTime?, latestTime?, note? }
+// providerId omitted = any provider. An offer is made straight away if a slot is free.
+// A signed-in patient joins for themselves and may leave patientId out.
+router.post("/", async (req, res) => {
+  try {
+    const patientId = patientFor(req.user, req.body.patientId);
+    const { providerId, appointmentTypeId, duration, windowStart, windowEnd,
+      earliestTime, latestTime, note } = req.body;
+
+    if (!patientId || !windowStart || !windowEnd) {
+      return res.status(400).json({ error: "patientId, windowStart, windowEnd required" });
+    }
+    const from = DateTime.fromISO(windowStart, { zone: "utc" });
+    const to = DateTime.fromISO(windowEnd, { zone: "utc" });
+    if (!from.isValid || !to.isValid || to <= from) {
+      return res.status(400).json({ error: "Invalid windowStart/windowEnd" });
+    }
+    if ((earliestTime && !TIME_RE.test(earliestTime)) || (latestTime && !TIME_RE.test(latestTime))) {
+      return res.status(400).json({ error: "earliestTime/latestTime must be HH:mm" });
+    }
+
+    if (!(await Patient.exists({ _id: patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+    let provider = null;
+    if (providerId) {
+      provider = await Provider.findById(providerId);
+      if (!provider) {
+        return res.status(404).json({ error: "Provider not found" });
+      }
+    }
+    const appointmentType = await resolveAppointmentType(appointmentTypeId, provider);
+
+    const entry = await WaitlistEntry.create({
+      patient: patientId,
+      provider: providerId || undefined,
+      appointmentType: appointmentType ? appointmentType._id : undefined,
+      duration: duration ? Number(duration) : undefined,
+      windowStart: from.toJSDate(),
+      windowEnd: to.toJSDate(),
+      earliestTime,
+      latestTime,
+      note,
+    });
+
+    const offered = await offerNextSlot(entry);
+    res.status(201).json({ success: true, entry: offered || entry });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/waitlist?patientId=&providerId=&status=
+// patients and providers only see their own entries
+router.get("/", async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.patientId) query.patient = req.query.patientId;
+    if (req.query.providerId) query.provider = req.query.providerId;
+    if (req.query.status) query.status = req.query.status;
+    scopeToUser(req.user, query);
+    const entries = await WaitlistEntry.find(query).sort({ createdAt: 1 }).lean();
+    res.json(entries);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/waitlist/:id
+router.get("/:id", async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id).lean();
+    if (!entry) {
+      return res.status(404).json({ error: "Waitlist entry not found" });
+    }
+    assertAllowed(canAccessBooking(req.user, entry));
+    res.json(entry);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/waitlist/:id/accept -> books the offered slot
+router.post("/:id/accept", async (req, res) => {
+  try {
+    await checkEntryPatient(req);
+    const { entry, booking } = await acceptOffer(req.params.id);
+    await recordAudit(req, "booking.create", "Booking", null, booking);
+    res.json({ success: true, entry, booking });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/waitlist/:id/decline -> offer passes to the next person; entry stays in line
+router.post("/:id/decline", async (req, res) => {
+  try {
+    await checkEntryPatient(req);
+    const entry = await declineOffer(req.params.id);
+    res.json({ success: true, entry });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/waitlist/:id -> leave the waitlist
+router.delete("/:id", async (req, res) => {
+  try {
+    await checkEntryPatient(req);
+    const entry = await leaveWaitlist(req.params.id);
+    res.json({ success: true, entry });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+// routes/webhooks.js
+const express = require("express");
+const router = express.Router();
+
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { WEBHOOK_EVENTS, enqueuePing, redeliver, generateSecret } = require("../lib/webhooks");
+const { requireRole } = require("../lib/auth");
+const { SchedulingError, sendError } = require("../lib/errors");
+
+// Subscriptions and their delivery logs are admin-only
+router.use(requireRole("admin"));
+
+function checkEvents(events) {
+  const ok = Array.isArray(events) && events.length > 0 &&
+    events.every(e => e === "*" || WEBHOOK_EVENTS.includes(e));
+  if (!ok) {
+    throw new SchedulingError(`events must be a non-empty list of: *, ${WEBHOOK_EVENTS.join(", ")}`, 400, "INVALID_EVENTS");
+  }
+  return [...new Set(events)];
+}
+
+function saveError(err) {
+  if (err.name === "ValidationError") return new SchedulingError(err.message, 400, "INVALID_WEBHOOK");
+  return err;
+}
+
+// GET /api/webhooks -> subscriptions plus the event types they can use
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: 1 }).lean();
+    res.json({ events: WEBHOOK_EVENTS, subscriptions });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/webhooks
+// body: { url, events, description? } -> the subscription with its signing secret
+// (the only response besides ?rotateSecret that shows it)
+router.post("/", async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.create({
+      url, events: checkEvents(events), description, secret, createdBy: req.user.username,
+    }).catch(err => { throw saveError(err); });
+    res.status(201).json({ ...subscription.toObject(), secret });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/webhooks/deliveries/:deliveryId -> one delivery with every attempt
+router.get("/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).lean();
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.json(delivery);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver -> queues a fresh copy (same eventId)
+router.post("/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId);
+    res.status(202).json(delivery);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id).lean();
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+    res.json(subscription);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PATCH /api/webhooks/:id
+// body: { url?, events?, description?, active? }; ?rotateSecret=true issues a new secret
+router.patch("/:id", async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+    const { url, events, description, active } = req.body;
+    if (url !== undefined) subscription.url = url;
+    if (events !== undefined) subscription.events = checkEvents(events);
+    if (description !== undefined) subscription.description = description;
+    if (active !== undefined) subscription.active = Boolean(active);
+    const secret = req.query.rotateSecret === "true" ? generateSecret() : undefined;
+    if (secret) subscription.secret = secret;
+    await subscription.save().catch(err => { throw saveError(err); });
+
+    const body = subscription.toObject();
+    delete body.secret;
+    res.json(secret ? { ...body, secret } : body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/webhooks/:id -> removes the subscription; queued deliveries are cancelled
+router.delete("/:id", async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+    await WebhookDelivery.updateMany(
+      { subscription: subscription._id, status: "pending" },
+      { status: "cancelled", lastError: "subscription removed" }
+    );
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/webhooks/:id/ping -> queues a webhook.ping to check the receiver
+router.post("/:id/ping", async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id).lean();
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+    res.status(202).json(await enqueuePing(subscription));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/webhooks/:id/deliveries?status=&event=&limit= (newest first, default 50, max 200)
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const query = { subscription: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.event) query.event = req.query.event;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const deliveries = await WebhookDelivery.find(query)
+      .select("-payload")
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json(deliveries);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
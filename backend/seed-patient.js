@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Patient = require('./models/Patient');
+const User = require('./models/User');
+const { hashPassword } = require('./lib/auth');
 
 (async () => {
   try {
@@ -15,6 +17,15 @@ const Patient = require('./models/Patient');
     });
 
     console.log("Patient created:", patient);
+
+    await User.deleteOne({ username: "test.patient" });
+    await User.create({
+      username: "test.patient",
+      passwordHash: await hashPassword("patient-password"),
+      role: "patient",
+      patient: patient._id
+    });
+    console.log("Login: test.patient / patient-password");
     process.exit(0);
   } catch (err) {
     console.error("Error seeding patient:", err);
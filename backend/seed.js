@@ -2,6 +2,10 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const Provider = require('./models/Provider');
 const Booking = require('./models/Booking');
+const AppointmentType = require('./models/AppointmentType');
+const Resource = require('./models/Resource');
+const User = require('./models/User');
+const { hashPassword } = require('./lib/auth');
 
 const seed = async () => {
   try {
@@ -15,8 +19,11 @@ const seed = async () => {
     // Clear collections
     await Provider.deleteMany({});
     await Booking.deleteMany({});
+    await AppointmentType.deleteMany({});
+    await Resource.deleteMany({});
+    await User.deleteMany({ role: { $in: ['admin', 'staff', 'provider'] } });
 
-    console.log('Cleared Providers and Bookings');
+    console.log('Cleared Providers, Bookings, Appointment Types, Resources and staff logins');
 
     // Insert a test provider
     const provider = await Provider.create({
@@ -52,6 +59,37 @@ const seed = async () => {
 
     console.log(`Seeded Provider: ${provider._id}`);
 
+    // A procedure room shared by every provider, open weekday afternoons
+    const room = await Resource.create({
+      name: 'Procedure Room 1',
+      kind: 'room',
+      scheduleConfig: {
+        timezone: 'UTC',
+        recurringRules: [{ daysOfWeek: [1, 2, 3, 4, 5], startTime: '13:00', endTime: '17:00', slotDuration: 30 }],
+      },
+    });
+
+    console.log(`Seeded Resource: ${room._id}`);
+
+    // Appointment types offered by every provider
+    const types = await AppointmentType.insertMany([
+      { name: 'New patient', duration: 60, bufferAfter: 10 },
+      { name: 'Follow-up', duration: 15 },
+      { name: 'Telehealth', duration: 20, bufferBefore: 5 },
+      { name: 'Minor procedure', duration: 45, bufferAfter: 15, requiredResources: [room._id] },
+    ]);
+
+    console.log(`Seeded ${types.length} Appointment Types`);
+
+    // Logins (change these passwords outside a sandbox)
+    const users = await User.insertMany([
+      { username: 'admin', passwordHash: await hashPassword('admin-password'), role: 'admin' },
+      { username: 'frontdesk', passwordHash: await hashPassword('frontdesk-password'), role: 'staff' },
+      { username: 'dr.test', passwordHash: await hashPassword('provider-password'), role: 'provider', provider: provider._id },
+    ]);
+
+    console.log(`Seeded logins: ${users.map(u => `${u.username} (${u.role})`).join(', ')}`);
+
     console.log('Seeder finished 🚀');
     process.exit(0);
   } catch (err) {
@@ -3,6 +3,9 @@
  * Environment:
  *  MONGODB_URI (default: mongodb://localhost:27017/sandbox_scheduler)
  *  PORT (default: 4000)
+ *  NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT (default: console), see lib/notifications
+ *  JWT_SECRET, AUTH_TOKEN_TTL_MINUTES (default: 720), ADMIN_USERNAME / ADMIN_PASSWORD, see lib/auth
+ *  WEBHOOK_TICK_MS (default: 10000), see lib/webhooks
  */
 const express = require('express');
 const bodyParser = require('body-parser');
@@ -13,24 +16,74 @@ const providersRoute = require('./routes/providers');
 const bookingsRoute = require('./routes/bookings');
 const scheduleRoutes = require("./routes/schedule");
 const patientsRouter = require("./routes/patients");
+const holdsRouter = require("./routes/holds");
+const appointmentTypesRouter = require("./routes/appointmentTypes");
+const busyImportsRouter = require("./routes/busyImports");
+const waitlistRouter = require("./routes/waitlist");
+const notificationsRouter = require("./routes/notifications");
+const seriesRouter = require("./routes/series");
+const resourcesRouter = require("./routes/resources");
+const authRouter = require("./routes/auth");
+const auditRouter = require("./routes/audit");
+const webhooksRouter = require("./routes/webhooks");
+const reportsRouter = require("./routes/reports");
+const { authenticate, ensureAdminUser } = require("./lib/auth");
+const { requestId } = require("./lib/audit");
+const { startWaitlist } = require("./lib/waitlist");
+const { startNotifications } = require("./lib/notifications");
+const { startWebhooks } = require("./lib/webhooks");
+const { startLiveUpdates } = require("./lib/liveUpdates");
+const Lock = require("./models/Lock");
 
 
 
 const app = express();
+// busy-imports parses its own JSON (inline .ics up to 5 MB) once the caller is
+// known to be allowed; everything else gets the default 100 KB limit
+const BUSY_IMPORTS_PATH = /^\/api\/providers\/[^/]+\/busy-imports(\/|$)/;
+const jsonBody = bodyParser.json();
+
 app.use(cors());
-app.use(bodyParser.json());
+app.use((req, res, next) => (BUSY_IMPORTS_PATH.test(req.path) ? next() : jsonBody(req, res, next)));
+app.use(requestId);
+
+// the two .ics feeds (GET /api/{providers,patients}/:id/calendar.ics) carry
+// their own ?token=; everything else needs a signed-in user
+const FEED_PATH = /^\/(providers|patients)\/[^/]+\/calendar\.ics$/;
+
+app.use("/api/auth", authRouter);
+app.use("/api", (req, res, next) =>
+  (req.method === "GET" && FEED_PATH.test(req.path) ? next() : authenticate(req, res, next)));
 
 app.use('/api/providers', providersRoute);
+app.use("/api/providers/:providerId/busy-imports", busyImportsRouter);
 app.use('/api/bookings', bookingsRoute);
 app.use("/api/schedule", scheduleRoutes);
 app.use("/api/patients", patientsRouter);
+app.use("/api/holds", holdsRouter);
+app.use("/api/appointment-types", appointmentTypesRouter);
+app.use("/api/waitlist", waitlistRouter);
+app.use("/api/notifications", notificationsRouter);
+app.use("/api/series", seriesRouter);
+app.use("/api/resources", resourcesRouter);
+app.use("/api/audit", auditRouter);
+app.use("/api/webhooks", webhooksRouter);
+app.use("/api/reports", reportsRouter);
 
 const PORT = process.env.PORT || 4000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/sandbox_scheduler';
 
 mongoose.connect(MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true })
+  // lib/lock needs the unique index on Lock.key before the first booking, even
+  // where autoIndex is off; without it two callers could both take a lock
+  .then(() => Lock.createIndexes())
   .then(() => {
     console.log('Mongo connected');
+    ensureAdminUser().catch(err => console.error('admin bootstrap failed', err));
+    startWaitlist();
+    startNotifications();
+    startWebhooks();
+    startLiveUpdates();
     app.listen(PORT, () => console.log(`Backend running on http://localhost:${PORT}`));
   })
   .catch(err => {
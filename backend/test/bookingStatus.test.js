@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const { canTransition, transitionBooking } = require('../lib/bookingStatus');
+
+const hourFromNow = hours => new Date(Date.now() + hours * 3600000);
+
+test('allows only the documented transitions', () => {
+  assert.ok(canTransition('booked', 'confirmed'));
+  assert.ok(canTransition('confirmed', 'checked_in'));
+  assert.ok(canTransition('checked_in', 'completed'));
+  assert.ok(canTransition('booked', 'no_show'));
+  assert.ok(!canTransition('checked_in', 'cancelled'));
+  assert.ok(!canTransition('cancelled', 'booked'));
+  assert.ok(!canTransition('completed', 'no_show'));
+  assert.ok(!canTransition('unknown', 'booked'));
+});
+
+test('writes the transition conditionally on the status it was validated against', async t => {
+  let call;
+  t.mock.method(Booking, 'findOneAndUpdate', async (filter, update) => {
+    call = { filter, update };
+    return new Booking({ _id: filter._id, provider: 'a'.repeat(24), patient: 'b'.repeat(24), start: hourFromNow(1), end: hourFromNow(2), status: 'cancelled' });
+  });
+  const booking = { _id: 'c'.repeat(24), status: 'booked', start: hourFromNow(1) };
+
+  const updated = await transitionBooking(booking, 'cancelled', { by: 'frontdesk', reason: 'sick' });
+  assert.equal(updated.status, 'cancelled');
+  assert.deepEqual(call.filter, { _id: booking._id, status: 'booked' });
+  assert.equal(call.update.$set.status, 'cancelled');
+  assert.ok(call.update.$set.cancelledAt instanceof Date);
+  assert.deepEqual(
+    { ...call.update.$push.statusHistory, at: undefined },
+    { from: 'booked', to: 'cancelled', at: undefined, by: 'frontdesk', reason: 'sick' }
+  );
+});
+
+test('rejects transitions the state machine does not allow', async () => {
+  await assert.rejects(
+    transitionBooking({ _id: 'c'.repeat(24), status: 'completed', start: hourFromNow(-2) }, 'cancelled'),
+    { status: 400, code: 'INVALID_TRANSITION' }
+  );
+});
+
+test('rejects a no-show before the visit starts', async () => {
+  await assert.rejects(
+    transitionBooking({ _id: 'c'.repeat(24), status: 'confirmed', start: hourFromNow(1) }, 'no_show'),
+    { status: 400, code: 'INVALID_TRANSITION' }
+  );
+});
+
+test('reports a concurrent change as STALE_BOOKING', async t => {
+  t.mock.method(Booking, 'findOneAndUpdate', async () => null);
+  await assert.rejects(
+    transitionBooking({ _id: 'c'.repeat(24), status: 'booked', start: hourFromNow(1) }, 'confirmed'),
+    { status: 409, code: 'STALE_BOOKING' }
+  );
+});
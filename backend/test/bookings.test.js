@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const AppointmentType = require('../models/AppointmentType');
+const Booking = require('../models/Booking');
+const BusyBlock = require('../models/BusyBlock');
+const Hold = require('../models/Hold');
+const Lock = require('../models/Lock');
+const { useMemoryModels } = require('./support/memoryModels');
+const { createBooking, rescheduleBooking } = require('../lib/bookings');
+
+// weekdays 09:00-12:00 UTC in 30-minute slots
+const provider = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Dr. Test',
+  scheduleConfig: {
+    timezone: 'UTC',
+    recurringRules: [{ daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '12:00', slotDuration: 30 }],
+    minNoticeMinutes: 0,
+    maxDaysAhead: 60
+  }
+};
+const nextMonday = time => `${DateTime.utc().plus({ weeks: 1 }).startOf('week').toISODate()}T${time}:00Z`;
+
+test('a booking of a retired appointment type can still be rescheduled', async t => {
+  const store = useMemoryModels(t, [AppointmentType, Booking, BusyBlock, Hold, Lock]);
+  // retired, and offered only by another provider by now
+  const type = new AppointmentType({
+    name: 'Old consult',
+    duration: 30,
+    bufferAfter: 10,
+    providers: [new mongoose.Types.ObjectId()],
+    active: false
+  });
+  store.AppointmentType.push(type);
+  const booking = new Booking({
+    provider: provider._id,
+    patient: new mongoose.Types.ObjectId(),
+    appointmentType: type._id,
+    start: new Date(nextMonday('09:00')),
+    end: new Date(nextMonday('09:30')),
+    status: 'confirmed'
+  });
+  store.Booking.push(booking);
+
+  const moved = await rescheduleBooking(booking, provider, { start: nextMonday('10:00') });
+
+  assert.equal(+moved.start, +new Date(nextMonday('10:00')));
+  assert.equal(+moved.end, +new Date(nextMonday('10:30')));
+  // the type's buffer still applies
+  assert.equal(+moved.blockEnd, +new Date(nextMonday('10:40')));
+  assert.equal(moved.rescheduleHistory.length, 1);
+});
+
+test('two overlapping bookings made at the same time: exactly one succeeds', async t => {
+  const store = useMemoryModels(t, [Booking, BusyBlock, Hold, Lock]);
+  const book = (start, end) => createBooking(provider, {
+    patientId: new mongoose.Types.ObjectId(),
+    start: nextMonday(start),
+    end: nextMonday(end)
+  });
+
+  const results = await Promise.allSettled([book('09:00', '09:30'), book('09:00', '09:30'), book('09:30', '10:00')]);
+
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.equal(results[1].reason.code, 'SLOT_BOOKED');
+  assert.equal(store.Booking.length, 2);
+  // every lock was released
+  assert.equal(store.Lock.length, 0);
+});
+
+test('a booking cancelled while it is being rescheduled stays where it was', async t => {
+  const store = useMemoryModels(t, [AppointmentType, Booking, BusyBlock, Hold, Lock]);
+  const booking = new Booking({
+    provider: provider._id,
+    patient: new mongoose.Types.ObjectId(),
+    start: new Date(nextMonday('09:00')),
+    end: new Date(nextMonday('09:30')),
+    status: 'confirmed'
+  });
+  store.Booking.push(booking);
+  // the cancel lands right after the reschedule re-read the booking
+  Booking.findById.mock.mockImplementationOnce(id => {
+    const read = Booking.findById(id);
+    store.Booking[0].status = 'cancelled';
+    return read;
+  });
+
+  await assert.rejects(rescheduleBooking(booking, provider, { start: nextMonday('10:00') }), { code: 'NOT_RESCHEDULABLE' });
+  assert.equal(+store.Booking[0].start, +new Date(nextMonday('09:00')));
+  assert.equal(store.Booking[0].rescheduleHistory.length, 0);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { fetchIcs, isPrivateAddress } = require('../lib/busyImport');
+
+const ICS = 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n';
+
+// a local calendar host; routes: /ok, /big (6 MB), /redirect, /redirect-ftp
+function serve(t) {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/ok') return res.end(ICS);
+    if (req.url === '/big') {
+      res.write('BEGIN:VCALENDAR\r\n');
+      const line = `${'X'.repeat(1023)}\n`;
+      for (let i = 0; i < 6 * 1024; i++) res.write(line);
+      return res.end();
+    }
+    if (req.url === '/redirect' || req.url === '/redirect-ftp') {
+      res.writeHead(302, { location: req.url === '/redirect' ? '/ok' : 'ftp://example.com/cal.ics' });
+      return res.end();
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function allowPrivate(t) {
+  process.env.CALENDAR_FETCH_ALLOW_PRIVATE = 'true';
+  t.after(() => { delete process.env.CALENDAR_FETCH_ALLOW_PRIVATE; });
+}
+
+test('classifies internal addresses as private', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+    assert.ok(isPrivateAddress(address), address);
+  }
+  for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.ok(!isPrivateAddress(address), address);
+  }
+});
+
+test('refuses loopback and private hosts, by IP or by name', async () => {
+  for (const url of ['http://127.0.0.1/cal.ics', 'webcal://[::1]/cal.ics', 'http://169.254.169.254/', 'http://localhost/cal.ics']) {
+    await assert.rejects(fetchIcs(url), { status: 400, code: 'INVALID_CALENDAR_URL' }, url);
+  }
+  await assert.rejects(fetchIcs('ftp://example.com/cal.ics'), { code: 'INVALID_CALENDAR_URL' });
+});
+
+test('fetches a calendar and checks every redirect hop', async t => {
+  const base = await serve(t);
+  await assert.rejects(fetchIcs(`${base}/ok`), { code: 'INVALID_CALENDAR_URL' });
+
+  allowPrivate(t);
+  assert.equal(await fetchIcs(`${base}/ok`), ICS);
+  assert.equal(await fetchIcs(`${base}/redirect`), ICS);
+  await assert.rejects(fetchIcs(`${base}/redirect-ftp`), { code: 'INVALID_CALENDAR_URL' });
+  await assert.rejects(fetchIcs(`${base}/missing`), { status: 502, code: 'CALENDAR_FETCH_FAILED' });
+});
+
+test('stops reading a calendar larger than the upload limit', async t => {
+  const base = await serve(t);
+  allowPrivate(t);
+  await assert.rejects(fetchIcs(`${base}/big`), { status: 400, code: 'CALENDAR_TOO_LARGE' });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const Booking = require('../models/Booking');
+const BusyBlock = require('../models/BusyBlock');
+const Hold = require('../models/Hold');
+const Lock = require('../models/Lock');
+const { useMemoryModels } = require('./support/memoryModels');
+const { createHold, confirmHold } = require('../lib/holds');
+const { createBooking } = require('../lib/bookings');
+
+// weekdays 09:00-12:00 UTC in 30-minute slots
+const provider = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Dr. Test',
+  scheduleConfig: {
+    timezone: 'UTC',
+    recurringRules: [{ daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '12:00', slotDuration: 30 }],
+    minNoticeMinutes: 0,
+    maxDaysAhead: 60
+  }
+};
+const nextMonday = time => `${DateTime.utc().plus({ weeks: 1 }).startOf('week').toISODate()}T${time}:00Z`;
+
+function seed(t) {
+  return useMemoryModels(t, [Booking, BusyBlock, Hold, Lock]);
+}
+
+const hold = (overrides = {}) => createHold(provider, {
+  patientId: new mongoose.Types.ObjectId(),
+  start: nextMonday('09:00'),
+  end: nextMonday('09:30'),
+  ...overrides
+});
+
+test('two holds on the same slot placed at the same time: exactly one succeeds', async t => {
+  const store = seed(t);
+
+  const results = await Promise.allSettled([hold(), hold()]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(r => r.status === 'rejected').reason.code, 'SLOT_HELD');
+  assert.equal(store.Hold.length, 1);
+  assert.equal(store.Lock.length, 0);
+});
+
+test('a hold and a booking racing for the same slot: exactly one succeeds', async t => {
+  const store = seed(t);
+  const booking = createBooking(provider, {
+    patientId: new mongoose.Types.ObjectId(),
+    start: nextMonday('09:00'),
+    end: nextMonday('09:30')
+  });
+
+  const results = await Promise.allSettled([hold(), booking]);
+
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.equal(store.Hold.length + store.Booking.length, 1);
+});
+
+test('confirming a hold books its slot and removes the hold', async t => {
+  const store = seed(t);
+  const placed = await hold();
+
+  const booking = await confirmHold(provider, placed._id, placed.token);
+
+  assert.equal(+booking.start, +new Date(nextMonday('09:00')));
+  assert.equal(String(booking.patient), String(placed.patient));
+  assert.equal(store.Hold.length, 0);
+  assert.equal(store.Booking.length, 1);
+  // the slot is taken now
+  await assert.rejects(hold(), { code: 'SLOT_BOOKED' });
+});
+
+test('a hold needs its token to be confirmed', async t => {
+  seed(t);
+  const placed = await hold();
+
+  await assert.rejects(confirmHold(provider, placed._id, 'wrong'), { code: 'HOLD_TOKEN_INVALID' });
+});
+
+test('an expired hold frees its slot and can no longer be confirmed', async t => {
+  const store = seed(t);
+  const placed = await hold({ ttlSeconds: 60 });
+  await assert.rejects(hold(), { code: 'SLOT_HELD' });
+
+  store.Hold[0].expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(confirmHold(provider, placed._id, placed.token), { code: 'HOLD_NOT_FOUND' });
+  const other = await hold();
+  assert.equal(+other.start, +new Date(nextMonday('09:00')));
+});
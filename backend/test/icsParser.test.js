@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { parseBusyIntervals, parseEvents } = require('../lib/icsParser');
+
+const ZONE = 'Europe/London';
+const range = { zone: ZONE, from: DateTime.fromISO('2026-01-01T00:00Z'), to: DateTime.fromISO('2026-02-01T00:00Z') };
+const calendar = (...events) => ['BEGIN:VCALENDAR', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+const iso = busy => busy.map(b => [b.start.toISOString(), b.end.toISOString()]);
+
+test('reads TZID, UTC and floating times, and unfolds continuation lines', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'SUMMARY:Board\\, weekly', ' meeting', 'DTSTART;TZID=America/New_York:20260105T090000', 'DTEND;TZID=America/New_York:20260105T100000', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:b', 'DTSTART:20260106T120000Z', 'DURATION:PT30M', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:c', 'DTSTART:20260107T090000', 'DTEND:20260107T091500', 'END:VEVENT']
+  );
+  assert.equal(parseEvents(text)[0].summary, 'Board, weeklymeeting');
+  assert.deepEqual(iso(parseBusyIntervals(text, range)), [
+    ['2026-01-05T14:00:00.000Z', '2026-01-05T15:00:00.000Z'],
+    ['2026-01-06T12:00:00.000Z', '2026-01-06T12:30:00.000Z'],
+    ['2026-01-07T09:00:00.000Z', '2026-01-07T09:15:00.000Z']
+  ]);
+});
+
+test('expands RRULEs, skips EXDATEs and applies RECURRENCE-ID overrides', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:r', 'DTSTART:20260112T100000Z', 'DTEND:20260112T110000Z', 'RRULE:FREQ=DAILY;COUNT=4', 'EXDATE:20260113T100000Z', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:r', 'RECURRENCE-ID:20260114T100000Z', 'DTSTART:20260114T150000Z', 'DTEND:20260114T160000Z', 'END:VEVENT']
+  );
+  assert.deepEqual(iso(parseBusyIntervals(text, range)), [
+    ['2026-01-12T10:00:00.000Z', '2026-01-12T11:00:00.000Z'],
+    ['2026-01-14T15:00:00.000Z', '2026-01-14T16:00:00.000Z'],
+    ['2026-01-15T10:00:00.000Z', '2026-01-15T11:00:00.000Z']
+  ]);
+});
+
+test('all-day events cover the local day; cancelled and free events are ignored', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:d', 'DTSTART;VALUE=DATE:20260120', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:x', 'DTSTART:20260121T100000Z', 'DTEND:20260121T110000Z', 'STATUS:CANCELLED', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:y', 'DTSTART:20260122T100000Z', 'DTEND:20260122T110000Z', 'TRANSP:TRANSPARENT', 'END:VEVENT']
+  );
+  assert.deepEqual(iso(parseBusyIntervals(text, { ...range, zone: 'Asia/Karachi' })), [
+    ['2026-01-19T19:00:00.000Z', '2026-01-20T19:00:00.000Z']
+  ]);
+});
+
+test('drops events outside the range but keeps one in progress at its start', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:early', 'DTSTART:20251231T230000Z', 'DTEND:20260101T010000Z', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:late', 'DTSTART:20260301T100000Z', 'DTEND:20260301T110000Z', 'END:VEVENT']
+  );
+  assert.deepEqual(parseBusyIntervals(text, range).map(b => b.uid), ['early']);
+});
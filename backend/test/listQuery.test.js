@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  parseSort, parseLimit, parseFields, parsePopulate, encodeCursor, decodeCursor, findPage, dateRange, MAX_LIMIT
+} = require('../lib/listQuery');
+
+const SORTS = { start: 'date', name: 'string' };
+const byStart = parseSort('-start', SORTS, 'start');
+
+test('parses sort, limit, fields and populate', () => {
+  assert.deepEqual(byStart, { field: 'start', dir: -1, type: 'date' });
+  assert.throws(() => parseSort('createdAt', SORTS, 'start'), { status: 400, code: 'INVALID_QUERY' });
+  assert.equal(parseLimit(undefined), 50);
+  assert.equal(parseLimit('1000'), MAX_LIMIT);
+  assert.throws(() => parseLimit('0'), { status: 400 });
+  assert.equal(parseFields('status,end', ['status', 'end'], byStart), '_id start status end');
+  assert.throws(() => parseFields('passwordHash', ['status'], byStart), /Unknown fields/);
+  assert.deepEqual(parsePopulate('patient,patient', { patient: 'name' }), [{ path: 'patient', select: 'name' }]);
+});
+
+test('cursors round-trip and reject tampering', () => {
+  const id = new mongoose.Types.ObjectId();
+  const cursor = encodeCursor({ _id: id, start: new Date('2026-01-01T10:00:00Z') }, byStart);
+  const decoded = decodeCursor(cursor, byStart);
+  assert.equal(decoded.value.toISOString(), '2026-01-01T10:00:00.000Z');
+  assert.equal(String(decoded.id), String(id));
+  assert.throws(() => decodeCursor('not-a-cursor', byStart), { code: 'INVALID_CURSOR' });
+});
+
+// Model stand-in that records the query and returns `docs`
+function fakeModel(docs) {
+  const calls = {};
+  const query = {
+    sort(s) { calls.sort = s; return this; },
+    limit(n) { calls.limit = n; return this; },
+    select() { return this; },
+    populate() { return this; },
+    lean: async () => docs.slice(0, calls.limit)
+  };
+  return { calls, find(filter) { calls.filter = filter; return query; } };
+}
+
+test('findPage fetches one extra item to know whether there is a next page', async () => {
+  const docs = [1, 2, 3].map(n => ({ _id: new mongoose.Types.ObjectId(), start: new Date(Date.UTC(2026, 0, n)) }));
+  const Model = fakeModel(docs);
+  const page = await findPage(Model, { status: 'booked' }, { sort: byStart, limit: 2 });
+  assert.equal(Model.calls.limit, 3);
+  assert.deepEqual(Model.calls.sort, { start: -1, _id: -1 });
+  assert.equal(page.items.length, 2);
+  assert.equal(String(decodeCursor(page.nextCursor, byStart).id), String(docs[1]._id));
+
+  const last = await findPage(fakeModel(docs.slice(0, 1)), {}, { sort: byStart, limit: 2 });
+  assert.equal(last.nextCursor, null);
+});
+
+test('findPage continues after the cursor, including past documents without the sort field', async () => {
+  const id = new mongoose.Types.ObjectId();
+  const at = new Date('2026-01-05T00:00:00Z');
+  const Model = fakeModel([]);
+  await findPage(Model, { status: 'booked' }, { sort: byStart, cursor: encodeCursor({ _id: id, start: at }, byStart) });
+  const [filter, after] = Model.calls.filter.$and;
+  assert.deepEqual(filter, { status: 'booked' });
+  assert.deepEqual(after.$or, [{ start: { $lt: at } }, { start: at, _id: { $lt: id } }, { start: null }]);
+
+  const ascending = parseSort('name', SORTS, 'name');
+  const nullName = fakeModel([]);
+  await findPage(nullName, {}, { sort: ascending, cursor: encodeCursor({ _id: id }, ascending) });
+  assert.deepEqual(nullName.calls.filter.$and[1].$or, [{ name: null, _id: { $gt: id } }, { name: { $ne: null } }]);
+});
+
+test('dateRange reads local dates in the zone with an inclusive date-only `to`', () => {
+  const { from, to } = dateRange('2026-03-07', '2026-03-08', 'America/New_York');
+  assert.equal(from.toISOString(), '2026-03-07T05:00:00.000Z');
+  assert.equal(to.toISOString(), '2026-03-09T04:00:00.000Z'); // after the switch to EDT
+  assert.equal(dateRange('2026-03-07T10:00:00Z', undefined).to, undefined);
+  assert.throws(() => dateRange('2026-03-08', '2026-03-07'), /to must be after from/);
+  assert.throws(() => dateRange('soon', undefined), /Invalid date/);
+  assert.throws(() => dateRange('2026-03-07', undefined, 'Mars/Base'), /Unknown timezone/);
+});
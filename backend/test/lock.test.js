@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Lock = require('../models/Lock');
+const { useMemoryModels } = require('./support/memoryModels');
+const { withLock, withLocks } = require('../lib/lock');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('callers of the same key run one at a time', async t => {
+  const store = useMemoryModels(t, [Lock]);
+  const log = [];
+  const critical = name => withLock('provider:1', async () => {
+    log.push(`${name} in`);
+    await tick();
+    log.push(`${name} out`);
+  });
+
+  await Promise.all([critical('a'), critical('b')]);
+
+  assert.deepEqual(log, ['a in', 'a out', 'b in', 'b out']);
+  assert.equal(store.Lock.length, 0);
+});
+
+test('different keys do not wait for each other', async t => {
+  useMemoryModels(t, [Lock]);
+  const log = [];
+  const critical = key => withLocks([key], async () => {
+    log.push(`${key} in`);
+    await tick();
+    log.push(`${key} out`);
+  });
+
+  await Promise.all([critical('provider:1'), critical('provider:2')]);
+
+  assert.deepEqual(log.slice(0, 2), ['provider:1 in', 'provider:2 in']);
+});
+
+test('a lock left behind by a crashed holder is taken over once it expires', async t => {
+  const store = useMemoryModels(t, [Lock]);
+  store.Lock.push(new Lock({ key: 'provider:1', owner: 'crashed', expiresAt: new Date(Date.now() - 1) }));
+
+  assert.equal(await withLock('provider:1', async () => 'ran'), 'ran');
+  assert.equal(store.Lock.length, 0);
+});
+
+test('the fn error is passed on and the lock released', async t => {
+  const store = useMemoryModels(t, [Lock]);
+
+  await assert.rejects(withLock('provider:1', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(store.Lock.length, 0);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { parseRRule, expandRule } = require('../lib/recurrence');
+
+const local = (iso, zone = 'America/New_York') => DateTime.fromISO(iso, { zone });
+const isoDates = occurrences => occurrences.map(o => o.toISODate());
+
+test('parses a rule and ignores unsupported parts', () => {
+  assert.deepEqual(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=tu,th;COUNT=4;WKST=MO'), {
+    freq: 'WEEKLY', interval: 2, byDay: ['TU', 'TH'], count: 4
+  });
+  assert.throws(() => parseRRule('FREQ=HOURLY'), /Unsupported recurrence frequency/);
+});
+
+test('weekly BYDAY with COUNT keeps the wall-clock time across a DST change', () => {
+  // US clocks go forward on 2026-03-08
+  const occurrences = expandRule('FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4', local('2026-03-03T10:00'));
+  assert.deepEqual(isoDates(occurrences), ['2026-03-03', '2026-03-05', '2026-03-10', '2026-03-12']);
+  assert.ok(occurrences.every(o => o.hour === 10 && o.minute === 0));
+  assert.deepEqual(occurrences.map(o => o.offset), [-300, -300, -240, -240]);
+});
+
+test('monthly on the last Friday', () => {
+  const occurrences = expandRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', local('2026-01-30T09:00'));
+  assert.deepEqual(isoDates(occurrences), ['2026-01-30', '2026-02-27', '2026-03-27']);
+});
+
+test('a date-only UNTIL includes that day', () => {
+  const occurrences = expandRule('FREQ=DAILY;UNTIL=20260105', local('2026-01-01T15:00'));
+  assert.deepEqual(isoDates(occurrences), ['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-04', '2026-01-05']);
+});
+
+test('COUNT is counted from dtstart even when from/to narrow the output, and EXDATEs are skipped', () => {
+  const dtstart = local('2026-01-01T08:00');
+  const occurrences = expandRule('FREQ=DAILY;COUNT=5', dtstart, {
+    from: local('2026-01-03T00:00'),
+    to: local('2026-01-31T00:00'),
+    exclude: [local('2026-01-04T08:00')]
+  });
+  assert.deepEqual(isoDates(occurrences), ['2026-01-03', '2026-01-05']);
+});
+
+test('never produces an impossible date', () => {
+  const occurrences = expandRule('FREQ=MONTHLY;BYMONTHDAY=31', local('2026-01-31T09:00'), { to: local('2026-06-30T00:00') });
+  assert.deepEqual(isoDates(occurrences), ['2026-01-31', '2026-03-31', '2026-05-31']);
+});
+
+test('an unbounded rule needs an upper bound', () => {
+  assert.throws(() => expandRule('FREQ=DAILY', local('2026-01-01T09:00')), /upper bound/);
+});
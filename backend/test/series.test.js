@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const BusyBlock = require('../models/BusyBlock');
+const Hold = require('../models/Hold');
+const Lock = require('../models/Lock');
+const { useMemoryModels } = require('./support/memoryModels');
+const { planSeries, createSeries } = require('../lib/series');
+
+// weekdays 09:00-12:00 UTC in 30-minute slots; the group class on Fridays seats 3
+const provider = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Dr. Test',
+  scheduleConfig: {
+    timezone: 'UTC',
+    recurringRules: [
+      { daysOfWeek: [1, 2, 3, 4], startTime: '09:00', endTime: '12:00', slotDuration: 30 },
+      { daysOfWeek: [5], startTime: '09:00', endTime: '12:00', slotDuration: 30, capacity: 3 }
+    ],
+    minNoticeMinutes: 0,
+    maxDaysAhead: 120
+  }
+};
+const nextWeekday = (weekday, time) => {
+  const base = DateTime.utc().plus({ weeks: 1 }).startOf('week').plus({ days: weekday - 1 });
+  return `${base.toISODate()}T${time}:00Z`;
+};
+
+function seed(t) {
+  return useMemoryModels(t, [Booking, BookingSeries, BusyBlock, Hold, Lock]);
+}
+
+test('an override moving one occurrence onto another fails the later one', async t => {
+  seed(t);
+  const start = nextWeekday(1, '10:00');
+  const plan = await planSeries(provider, {
+    start,
+    end: nextWeekday(1, '10:30'),
+    rrule: 'FREQ=WEEKLY;COUNT=3',
+    overrides: [{ index: 1, start }]
+  });
+
+  const [first, second, third] = plan.occurrences;
+  assert.ok(first.ok);
+  assert.equal(second.index, 1);
+  assert.equal(second.ok, false);
+  assert.deepEqual(second.reasons.map(r => r.code), ['OVERLAPPING_OCCURRENCE']);
+  assert.ok(second.alternatives.every(a => a.start !== start));
+  assert.ok(third.ok);
+});
+
+test('a series never double-books its own patient, even in a group session', async t => {
+  const store = seed(t);
+  const patientId = new mongoose.Types.ObjectId();
+  const start = nextWeekday(5, '09:00');
+  const params = {
+    patientId,
+    start,
+    end: nextWeekday(5, '09:30'),
+    rrule: 'FREQ=WEEKLY;COUNT=3',
+    overrides: [{ index: 2, start }]
+  };
+
+  await assert.rejects(createSeries(provider, params), err => {
+    assert.equal(err.code, 'SERIES_CONFLICT');
+    assert.deepEqual(err.details.occurrences.filter(o => !o.ok).map(o => o.index), [2]);
+    return true;
+  });
+  assert.equal(store.Booking.length, 0);
+
+  const { bookings, skipped } = await createSeries(provider, { ...params, onConflict: 'skip' });
+  assert.deepEqual(bookings.map(b => b.seriesIndex).sort(), [0, 1]);
+  assert.deepEqual(skipped.map(o => o.index), [2]);
+});
+
+test('buffers count when occurrences are checked against each other', async t => {
+  seed(t);
+  const plan = await planSeries(provider, {
+    start: nextWeekday(2, '10:00'),
+    appointmentType: { _id: new mongoose.Types.ObjectId(), duration: 30, bufferAfter: 15 },
+    rrule: 'FREQ=WEEKLY;COUNT=2',
+    overrides: [{ index: 1, start: nextWeekday(2, '10:30') }]
+  });
+  assert.deepEqual(plan.occurrences.map(o => o.ok), [true, false]);
+});
+
+test('a series whose bookings cannot be written leaves nothing behind', async t => {
+  const store = seed(t);
+  // the second booking fails after the first got in, as an ordered insert would
+  Booking.insertMany.mock.mockImplementation(async list => {
+    await Booking.create(list[0]);
+    throw new Error('write failed');
+  });
+
+  await assert.rejects(createSeries(provider, {
+    patientId: new mongoose.Types.ObjectId(),
+    start: nextWeekday(2, '09:00'),
+    end: nextWeekday(2, '09:30'),
+    rrule: 'FREQ=WEEKLY;COUNT=2'
+  }), /write failed/);
+  assert.equal(store.BookingSeries.length, 0);
+  assert.equal(store.Booking.length, 0);
+  assert.equal(store.Lock.length, 0);
+});
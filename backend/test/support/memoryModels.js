@@ -0,0 +1,156 @@
+// In-memory stand-ins for the mongoose models the scheduling libs use, so whole
+// flows (hold -> booking, waitlist offers, ...) run without a database. Only
+// the query operators and update forms those libs use are understood.
+const mongoose = require('mongoose');
+
+const isPlainObject = v => v && typeof v === 'object' && !(v instanceof Date) && !mongoose.isValidObjectId(v) && !Array.isArray(v);
+const comparable = v => (v instanceof Date ? +v : v != null && typeof v === 'object' && v._bsontype ? String(v) : v);
+const valueAt = (doc, path) => (doc.get ? doc.get(path) : path.split('.').reduce((o, k) => (o == null ? o : o[k]), doc));
+
+function matchValue(value, cond) {
+  const values = Array.isArray(value) ? value.map(comparable) : [comparable(value)];
+  const has = target => values.some(v => (v == null ? target == null : String(v) === String(target)));
+  if (!isPlainObject(cond) || !Object.keys(cond).some(k => k.startsWith('$'))) return has(comparable(cond));
+  return Object.entries(cond).every(([op, arg]) => {
+    const target = comparable(arg);
+    const v = values[0];
+    switch (op) {
+      case '$lt': return v != null && v < target;
+      case '$lte': return v != null && v <= target;
+      case '$gt': return v != null && v > target;
+      case '$gte': return v != null && v >= target;
+      case '$ne': return !has(target);
+      case '$in': return arg.some(a => has(comparable(a)));
+      case '$nin': return !arg.some(a => has(comparable(a)));
+      case '$exists': return (v !== undefined) === Boolean(arg);
+      default: throw new Error(`memoryModels: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(f => matches(doc, f));
+    if (key === '$and') return cond.every(f => matches(doc, f));
+    return matchValue(valueAt(doc, key), cond);
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$set') Object.entries(value).forEach(([p, v]) => doc.set(p, v));
+    else if (key === '$unset') Object.keys(value).forEach(p => doc.set(p, undefined));
+    else if (key === '$push') Object.entries(value).forEach(([p, v]) => doc.get(p).push(v));
+    else if (key === '$inc') Object.entries(value).forEach(([p, v]) => doc.set(p, (doc.get(p) || 0) + v));
+    else doc.set(key, value);
+  }
+}
+
+// A chainable query resolving to copies of `docs` (like documents fresh from
+// Mongo); lean() hands out plain objects. With `error` it rejects instead.
+function query(Model, found, error) {
+  const copy = d => Model.hydrate(d.toObject());
+  const docs = Array.isArray(found) ? found.map(copy) : found && copy(found);
+  const lean = () => (Array.isArray(docs) ? docs.map(d => d.toObject()) : docs && docs.toObject());
+  const settle = value => (error ? Promise.reject(error) : Promise.resolve(value));
+  const q = {
+    select: () => q,
+    sort: () => q,
+    limit: () => q,
+    populate: () => q,
+    lean: () => settle().then(lean),
+    exec: () => settle(docs),
+    then: (ok, fail) => settle(docs).then(ok, fail),
+    catch: fail => settle(docs).catch(fail)
+  };
+  return q;
+}
+
+// Mongo's answer to a second document with the same value in a unique path
+function duplicateKeyError(Model, path) {
+  return Object.assign(new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${path}_1`), { code: 11000 });
+}
+
+/**
+ * Replace the statics of each model with an in-memory collection for the
+ * duration of test `t`. Returns { [modelName]: docs[] } to seed and inspect;
+ * reads hand out copies, so code under test only changes them through writes.
+ */
+function useMemoryModels(t, models) {
+  const store = {};
+  for (const Model of models) {
+    const docs = [];
+    store[Model.modelName] = docs;
+    const first = filter => docs.find(d => matches(d, filter)) || null;
+    const remove = doc => doc && docs.splice(docs.indexOf(doc), 1);
+    // unique indexes hold as in Mongo (lib/lock relies on them)
+    const uniquePaths = Object.keys(Model.schema.paths).filter(path => Model.schema.path(path).options.unique);
+    const insert = doc => {
+      for (const path of uniquePaths) {
+        const value = doc.get(path);
+        const taken = value != null && docs.some(d => String(d._id) !== String(doc._id) && String(d.get(path)) === String(value));
+        if (taken) throw duplicateKeyError(Model, path);
+      }
+      docs.push(doc);
+      return doc;
+    };
+    const update = (filter, change, opts = {}) => {
+      let doc = first(filter);
+      if (doc) {
+        applyUpdate(doc, change);
+      } else if (opts.upsert) {
+        doc = new Model({});
+        applyUpdate(doc, change);
+        insert(doc);
+      }
+      return doc;
+    };
+    const updateQuery = (filter, change, opts) => {
+      try {
+        return query(Model, update(filter, change, opts));
+      } catch (err) {
+        return query(Model, null, err);
+      }
+    };
+
+    t.mock.method(Model, 'find', filter => query(Model, docs.filter(d => matches(d, filter))));
+    t.mock.method(Model, 'findOne', filter => query(Model, first(filter)));
+    t.mock.method(Model, 'findById', id => query(Model, first({ _id: id })));
+    t.mock.method(Model, 'exists', async filter => (first(filter) ? { _id: first(filter)._id } : null));
+    t.mock.method(Model, 'create', async data => Model.hydrate(insert(new Model(data)).toObject()));
+    t.mock.method(Model, 'insertMany', async list => list.map(data => Model.hydrate(insert(new Model(data)).toObject())));
+    t.mock.method(Model, 'findOneAndUpdate', (filter, change, opts) => updateQuery(filter, change, opts));
+    t.mock.method(Model, 'findByIdAndUpdate', (id, change, opts) => updateQuery({ _id: id }, change, opts));
+    t.mock.method(Model, 'updateOne', async (filter, change) => ({ modifiedCount: update(filter, change) ? 1 : 0 }));
+    t.mock.method(Model, 'updateMany', async (filter, change) => {
+      const hits = docs.filter(d => matches(d, filter));
+      hits.forEach(d => applyUpdate(d, change));
+      return { modifiedCount: hits.length };
+    });
+    t.mock.method(Model, 'findOneAndDelete', filter => {
+      const doc = first(filter);
+      remove(doc);
+      return query(Model, doc);
+    });
+    t.mock.method(Model, 'deleteMany', async filter => {
+      const hits = docs.filter(d => matches(d, filter));
+      hits.forEach(remove);
+      return { deletedCount: hits.length };
+    });
+    t.mock.method(Model, 'deleteOne', async filter => ({ deletedCount: remove(first(filter)) ? 1 : 0 }));
+    t.mock.method(Model.prototype, 'save', async function save() {
+      const previous = first({ _id: this._id });
+      remove(previous);
+      try {
+        insert(Model.hydrate(this.toObject()));
+      } catch (err) {
+        if (previous) docs.push(previous);
+        throw err;
+      }
+      return this;
+    });
+  }
+  return store;
+}
+
+module.exports = { useMemoryModels, matches };
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Settings } = require('luxon');
+const Booking = require('../models/Booking');
+const BusyBlock = require('../models/BusyBlock');
+const Hold = require('../models/Hold');
+const Lock = require('../models/Lock');
+const Provider = require('../models/Provider');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { useMemoryModels } = require('./support/memoryModels');
+const { offerNextSlot, acceptOffer, declineOffer, sweepWaitlist } = require('../lib/waitlist');
+
+const MINUTE = 60 * 1000;
+
+// open around the clock in 30-minute slots, an hour's notice
+function seed(t) {
+  const store = useMemoryModels(t, [Booking, BusyBlock, Hold, Lock, Provider, WaitlistEntry]);
+  const provider = new Provider({
+    name: 'Dr. Test',
+    scheduleConfig: {
+      timezone: 'UTC',
+      recurringRules: [{ daysOfWeek: [1, 2, 3, 4, 5, 6, 7], startTime: '00:00', endTime: '23:30', slotDuration: 30 }],
+      minNoticeMinutes: 60,
+      maxDaysAhead: 30
+    }
+  });
+  store.Provider.push(provider);
+  const entry = new WaitlistEntry({
+    patient: new mongoose.Types.ObjectId(),
+    provider: provider._id,
+    windowStart: new Date(),
+    windowEnd: new Date(Date.now() + 3 * 24 * 60 * MINUTE)
+  });
+  store.WaitlistEntry.push(entry);
+  return { store, provider, entry };
+}
+
+// move luxon's clock (notice and horizon checks) `minutes` ahead
+function later(t, minutes) {
+  Settings.now = () => Date.now() + minutes * MINUTE;
+  t.after(() => { Settings.now = () => Date.now(); });
+}
+
+test('offers the earliest slot past the notice period as a hold', async t => {
+  const { store, entry } = seed(t);
+  const offered = await offerNextSlot(entry);
+
+  assert.equal(offered.status, 'offered');
+  assert.ok(offered.offer.start >= new Date(Date.now() + 60 * MINUTE));
+  assert.ok(offered.offer.start < new Date(Date.now() + 90 * MINUTE));
+  assert.equal(store.Hold.length, 1);
+  assert.equal(String(store.Hold[0]._id), String(offered.offer.hold));
+  // the offer never outlives the slot
+  assert.ok(offered.offer.expiresAt <= offered.offer.start);
+});
+
+test('an offer accepted some minutes after it was made still books', async t => {
+  const { store, entry } = seed(t);
+  const offered = await offerNextSlot(entry);
+
+  // past the point where the slot is inside the notice period
+  later(t, 35);
+  const { entry: accepted, booking } = await acceptOffer(offered._id);
+
+  assert.equal(accepted.status, 'booked');
+  assert.equal(String(accepted.booking), String(booking._id));
+  assert.equal(+booking.start, +offered.offer.start);
+  assert.equal(String(booking.patient), String(entry.patient));
+  assert.equal(store.Hold.length, 0);
+  assert.equal(store.Booking.length, 1);
+});
+
+test('a declined offer releases the hold and is not offered again', async t => {
+  const { store, entry } = seed(t);
+  const offered = await offerNextSlot(entry);
+
+  const declined = await declineOffer(offered._id);
+  assert.equal(declined.status, 'waiting');
+  assert.equal(declined.pastOffers[0].outcome, 'declined');
+  assert.equal(store.Hold.length, 0);
+
+  const next = await offerNextSlot(declined);
+  assert.ok(next.offer.start > offered.offer.start);
+});
+
+test('a sweep with nothing freed searches no slots', async t => {
+  const { store } = seed(t);
+  await sweepWaitlist();
+
+  assert.equal(Provider.find.mock.calls.length, 0);
+  assert.equal(store.WaitlistEntry[0].status, 'waiting');
+});
+
+test('a sweep closes an expired offer and offers that provider\'s next slot', async t => {
+  const { store, entry } = seed(t);
+  const offered = await offerNextSlot(entry);
+  const first = offered.offer.start;
+  store.WaitlistEntry[0].offer.expiresAt = new Date(Date.now() - 1000);
+  Provider.find.mock.resetCalls();
+
+  await sweepWaitlist();
+
+  const [swept] = store.WaitlistEntry;
+  assert.equal(swept.pastOffers[0].outcome, 'expired');
+  assert.equal(swept.status, 'offered');
+  assert.ok(swept.offer.start > first);
+  assert.equal(store.Hold.length, 1);
+  assert.deepEqual(Provider.find.mock.calls.map(c => String(c.arguments[0]._id)), [String(entry.provider)]);
+});
+
+test('an expired offer cannot be accepted', async t => {
+  const { store, entry } = seed(t);
+  const offered = await offerNextSlot(entry);
+  store.WaitlistEntry[0].offer.expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(acceptOffer(offered._id), { status: 400, code: 'NO_OPEN_OFFER' });
+});
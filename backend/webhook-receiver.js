@@ -0,0 +1,44 @@
+/**
+ * Local webhook receiver for trying out subscriptions.
+ *   WEBHOOK_SECRET=whsec_... node webhook-receiver.js
+ * then subscribe http://localhost:4100/webhooks and POST /api/webhooks/:id/ping.
+ * Environment:
+ *  WEBHOOK_SECRET  signing secret from POST /api/webhooks (unset: signatures not checked)
+ *  RECEIVER_PORT   (default: 4100)
+ *  FAIL_FIRST      answer 500 to the first N requests, to watch retries (default: 0)
+ */
+const http = require('http');
+const { verifySignature } = require('./lib/webhooks/signature');
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4100;
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-webhook-event'];
+    const delivery = req.headers['x-webhook-delivery'];
+    const signed = !SECRET || verifySignature(SECRET, body, req.headers['x-webhook-signature']);
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${event} delivery=${delivery} signature=${SECRET ? (signed ? 'ok' : 'BAD') : 'unchecked'}`);
+    let payload;
+    try {
+      payload = body ? JSON.parse(body) : undefined;
+    } catch (err) {
+      console.log(`not JSON: ${err.message}`);
+      res.writeHead(400).end('body is not JSON');
+      return;
+    }
+    if (payload !== undefined) console.log(JSON.stringify(payload, null, 2));
+
+    if (!signed) {
+      res.writeHead(401).end('bad signature');
+    } else if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      res.writeHead(500).end('failing on purpose');
+    } else {
+      res.writeHead(204).end();
+    }
+  });
+}).listen(PORT, () => console.log(`Webhook receiver on http://localhost:${PORT}`));
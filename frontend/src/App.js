@@ -1,53 +1,152 @@
 import React, { useEffect, useState } from 'react';
 import CalendarView from './components/CalendarView';
-import API from './api';
+import LoginForm from './components/LoginForm';
+import RegisterForm from './components/RegisterForm';
+import PatientPicker from './components/PatientPicker';
+import MyAppointments from './components/MyAppointments';
+import ScheduleEditor from './components/ScheduleEditor';
+import ReportsView from './components/ReportsView';
+import ErrorMessage from './components/ErrorMessage';
+import API, { errorMessage, getSession, logout } from './api';
+
+const tabStyle = active => ({ fontWeight: active ? 'bold' : 'normal', marginRight: 6 });
 
 export default function App() {
+  const [session, setSession] = useState(getSession);
+  const [registering, setRegistering] = useState(false);
   const [provider, setProvider] = useState(null);
   const [providersList, setProvidersList] = useState([]);
+  const [providersError, setProvidersError] = useState(null);
+  const [patient, setPatient] = useState(null);
+  const [tab, setTab] = useState('book');
+  const [rescheduling, setRescheduling] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const role = session?.user.role;
+  const booksForOthers = role === 'admin' || role === 'staff';
+  const editsSchedules = role === 'admin' || role === 'provider';
+  const seesReports = role !== 'patient';
+  // providers only edit their own schedule
+  const showProviderPicker = tab === 'book' || (tab === 'schedule' && role === 'admin');
+
+  // the API client signs out on a 401 (expired token)
+  useEffect(() => {
+    const onLogout = () => setSession(null);
+    window.addEventListener('auth:logout', onLogout);
+    return () => window.removeEventListener('auth:logout', onLogout);
+  }, []);
+
+  // a signed-in patient always books for themselves
+  useEffect(() => {
+    setPatient(null);
+    setRescheduling(null);
+    if (session?.user.role !== 'patient') return;
+    API.get(`/patients/${session.user.patient}`)
+      .then(res => setPatient(res.data))
+      .catch(() => setPatient({ _id: session.user.patient }));
+  }, [session]);
 
   useEffect(() => {
-    // create demo providers on first load if none exist
+    if (!session) return;
+    setProvidersError(null);
     (async () => {
       try {
-        const res = await API.get('/providers'); // We'll implement /providers list endpoint shortly
-        setProvidersList(res.data);
-        if (res.data.length > 0) setProvider(res.data[0]);
+        const res = await API.get('/providers', { params: { limit: 200 } });
+        const { items } = res.data;
+        setProvidersList(items);
+        // providers start on their own calendar
+        const own = items.find(p => p._id === session.user.provider);
+        if (items.length > 0) setProvider(own || items[0]);
       } catch (err) {
-        console.warn('No providers list endpoint — creating sample provider...');
-        // create sample provider
-        const sampleConfig = {
-          timezone: 'Asia/Karachi',
-          recurringRules: [
-            { daysOfWeek: [1,2,3,4,5], startTime: '09:00', endTime: '17:00', slotDuration: 30 }
-          ],
-          minNoticeMinutes: 15,
-          maxDaysAhead: 30
-        };
-        const r = await API.post('/providers', { name: 'Dr. Khan (PK)', email: 'khan@pk.test', scheduleConfig: sampleConfig });
-        const r2 = await API.post('/providers', { name: 'Dr. Lee (Hawaii)', email: 'lee@hi.test', scheduleConfig: { ...sampleConfig, timezone: 'Pacific/Honolulu' } });
-        setProvidersList([r.data, r2.data]);
-        setProvider(r.data);
+        setProvidersError(`Could not load providers: ${errorMessage(err)}`);
       }
     })();
-  }, []);
+  }, [session]);
+
+  if (!session) {
+    return (
+      <div style={{ padding: 12 }}>
+        <h2>Sandbox Scheduler</h2>
+        {registering
+          ? <RegisterForm onLogin={setSession} onCancel={() => setRegistering(false)} />
+          : <LoginForm onLogin={setSession} onRegister={() => setRegistering(true)} />}
+      </div>
+    );
+  }
+
+  const startReschedule = (booking) => {
+    const owner = providersList.find(p => p._id === (booking.provider?._id || booking.provider));
+    if (owner) setProvider(owner);
+    setRescheduling(booking);
+    setTab('book');
+  };
+
+  const handleScheduleSaved = (saved) => {
+    setProvidersList(list => list.map(p => (p._id === saved._id ? saved : p)));
+    setProvider(saved);
+  };
+
+  const handleChanged = () => {
+    setRescheduling(null);
+    setRefreshKey(k => k + 1);
+  };
 
   return (
     <div style={{ padding: 12 }}>
       <h2>Sandbox Scheduler — Provider availability (no persisted empty slots)</h2>
-      <div style={{ display: 'flex', gap: 12 }}>
+      <div style={{ marginBottom: 8 }}>
+        Signed in as {session.user.username} ({session.user.role}){' '}
+        <button onClick={logout}>Sign out</button>
+      </div>
+      <ErrorMessage error={providersError} onDismiss={() => setProvidersError(null)} />
+      {booksForOthers && <PatientPicker patient={patient} onChange={p => { setPatient(p); setRescheduling(null); }} />}
+      <div style={{ marginBottom: 8 }}>
+        <button style={tabStyle(tab === 'book')} onClick={() => setTab('book')}>
+          {role === 'provider' ? 'Calendar' : 'Book a visit'}
+        </button>
+        {role !== 'provider' && (
+          <button style={tabStyle(tab === 'appointments')} onClick={() => setTab('appointments')}>
+            {role === 'patient' ? 'My appointments' : 'Appointments'}
+          </button>
+        )}
+        {editsSchedules && (
+          <button style={tabStyle(tab === 'schedule')} onClick={() => setTab('schedule')}>Schedule</button>
+        )}
+        {seesReports && (
+          <button style={tabStyle(tab === 'reports')} onClick={() => setTab('reports')}>Reports</button>
+        )}
+      </div>
+      {showProviderPicker && <div style={{ display: 'flex', gap: 12 }}>
         <div style={{ flex: 1 }}>
           <label>Select provider</label>
           <select value={provider?._id || ''} onChange={e => {
             const p = providersList.find(x => x._id === e.target.value);
             setProvider(p);
           }}>
-            {providersList.map(p => <option key={p._id} value={p._1d}>{p.name}</option>)}
+            {providersList.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
           </select>
         </div>
-      </div>
+      </div>}
 
-      {provider && <CalendarView provider={provider} />}
+      {tab === 'book' && provider && (
+        <CalendarView
+          provider={provider}
+          patient={patient}
+          rescheduling={rescheduling}
+          onBooked={handleChanged}
+          onRescheduled={handleChanged}
+          onCancelReschedule={() => setRescheduling(null)}
+        />
+      )}
+      {tab === 'schedule' && provider && (
+        <ScheduleEditor provider={provider} onSaved={handleScheduleSaved} />
+      )}
+      {tab === 'reports' && (
+        <ReportsView providers={providersList} ownProvider={role === 'provider' ? session.user.provider : null} />
+      )}
+      {tab === 'appointments' && (
+        <MyAppointments patient={patient} onReschedule={startReschedule} refreshKey={refreshKey} />
+      )}
     </div>
   );
 }
@@ -1,5 +1,67 @@
 import axios from 'axios';
+
+// bearer token from POST /auth/login, kept across reloads
+const TOKEN_KEY = 'scheduler.auth';
+
 const API = axios.create({
   baseURL: process.env.REACT_APP_API_URL || 'http://localhost:4000/api'
 });
+
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(TOKEN_KEY)) || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export async function login(username, password) {
+  const res = await API.post('/auth/login', { username, password });
+  localStorage.setItem(TOKEN_KEY, JSON.stringify(res.data));
+  return res.data;
+}
+
+// Patient self sign-up: creates the patient and signs in as them
+export async function register(details) {
+  const res = await API.post('/auth/register', details);
+  localStorage.setItem(TOKEN_KEY, JSON.stringify(res.data));
+  return res.data;
+}
+
+// The backend's message for a failed request, with the first few rule
+// violations it lists (e.g. why a slot can no longer be booked)
+export function errorMessage(err) {
+  const data = err.response?.data;
+  if (!data?.error) return err.message;
+  const reasons = (data.reasons || []).map(r => r.message).filter(Boolean).slice(0, 3);
+  return reasons.length ? `${data.error}: ${reasons.join('; ')}` : data.error;
+}
+
+// URL for an EventSource on `path`; EventSource cannot set headers, so the
+// token goes in the query string
+export function eventStreamUrl(path) {
+  const token = getSession()?.token;
+  return `${API.defaults.baseURL}${path}?access_token=${encodeURIComponent(token || '')}`;
+}
+
+export function logout() {
+  localStorage.removeItem(TOKEN_KEY);
+  window.dispatchEvent(new Event('auth:logout'));
+}
+
+API.interceptors.request.use(config => {
+  const session = getSession();
+  if (session?.token) config.headers.Authorization = `Bearer ${session.token}`;
+  return config;
+});
+
+// an expired or revoked token signs the user out
+API.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401 && getSession()) logout();
+    return Promise.reject(err);
+  }
+);
+
 export default API;
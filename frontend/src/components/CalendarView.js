@@ -1,106 +1,206 @@
-import React, { useEffect, useState } from 'react';
-import { Calendar, momentLocalizer } from 'react-big-calendar';
-import moment from 'moment';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Calendar, luxonLocalizer } from 'react-big-calendar';
 import { DateTime } from 'luxon';
-import API from '../api';
+import API, { errorMessage, eventStreamUrl } from '../api';
+import ErrorMessage from './ErrorMessage';
+import TimezoneSwitch from './TimezoneSwitch';
+import { VIEWER_ZONE, formatWhen, providerZone, zonedDateTime } from '../time';
 
 import 'react-big-calendar/lib/css/react-big-calendar.css';
 
-const localizer = momentLocalizer(moment);
+const REFRESH_DELAY_MS = 300; // bursts of changes (a series booked) refetch once
 
-export default function CalendarView({ provider }) {
+// does a live change (intervals null = everything) touch [from, to]?
+const touches = (intervals, from, to) => !intervals ||
+  intervals.some(i => new Date(i.start) < new Date(to) && new Date(i.end) > new Date(from));
+
+// Group sessions (capacity > 1) stay open until every seat is taken
+function slotTitle(s) {
+  if (s.isBooked) {
+    return s.capacity > 1 ? 'Full' : `Booked (${s.booking?.patient?.first_name || 'patient'})`;
+  }
+  if (s.isHeld) return 'On hold';
+  if (s.capacity > 1) return `Available (${s.seatsRemaining} of ${s.capacity} seats)`;
+  return 'Available';
+}
+
+const toEvent = (s) => ({
+  title: slotTitle(s),
+  start: new Date(s.start),
+  end: new Date(s.end),
+  isBooked: s.isBooked,
+  isHeld: s.isHeld,
+  booking: s.booking,
+});
+
+// Pick a slot, confirm, book. With `rescheduling` (a booking) the confirmed
+// slot moves that booking instead.
+export default function CalendarView({ provider, patient, rescheduling, onBooked, onRescheduled, onCancelReschedule }) {
   const [events, setEvents] = useState([]);
-  const [patient, setPatient] = useState(null);
-  const [rangeStart, setRangeStart] = useState(DateTime.utc().startOf('day').toISO());
-  const [rangeEnd, setRangeEnd] = useState(DateTime.utc().plus({ days: 7 }).endOf('day').toISO());
+  const [rangeStart, setRangeStart] = useState(null);
+  const [rangeEnd, setRangeEnd] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [displayZone, setDisplayZone] = useState('provider'); // 'provider' | 'viewer' | an IANA zone
 
-  // Fetch patient once (grab first one for demo)
+  const zone = displayZone === 'provider' ? providerZone(provider)
+    : displayZone === 'viewer' ? VIEWER_ZONE
+      : displayZone;
+
+  // the localizer lays out days and hours in the zone on display (DST days get
+  // 23/25 hours); it is rebuilt when that zone changes
+  const localizer = useMemo(() => luxonLocalizer(zonedDateTime(zone), { firstDayOfWeek: 1 }), [zone]);
+
+  // the calendar remounts on the current week when the zone changes
   useEffect(() => {
-    (async () => {
-      try {
-        const res = await API.get('/patients');
-        if (res.data.length > 0) {
-          setPatient(res.data[0]);
-        } else {
-          console.warn("⚠️ No patients found in DB. Please add one.");
-        }
-      } catch (err) {
-        console.error("Failed to fetch patients:", err);
-      }
-    })();
-  }, []);
+    const now = DateTime.now().setZone(zone);
+    setRangeStart(now.startOf('week').toUTC().toISO());
+    setRangeEnd(now.endOf('week').toUTC().toISO());
+  }, [zone]);
+
+  const loadAvailability = useCallback(async () => {
+    if (!provider || !rangeStart) return;
+    try {
+      const res = await API.get(`/providers/${provider._id}/availability`, {
+        params: { from: rangeStart, to: rangeEnd },
+      });
+      setEvents(res.data.slots.map(toEvent));
+    } catch (err) {
+      setError(`Could not load availability: ${errorMessage(err)}`);
+    }
+  }, [provider, rangeStart, rangeEnd]);
 
   // Fetch availability when provider changes or range changes
   useEffect(() => {
-    if (!provider) return;
-    (async () => {
-      try {
-        const res = await API.get(`/providers/${provider._id}/availability`, {
-          params: { from: rangeStart, to: rangeEnd },
-        });
-        const mapped = res.data.slots.map((s) => ({
-          title: s.isBooked ? `Booked (${s.booking?.patient?.first_name || 'patient'})` : 'Available',
-          start: new Date(s.start),
-          end: new Date(s.end),
-          isBooked: s.isBooked,
-          booking: s.booking,
-        }));
-        setEvents(mapped);
-      } catch (err) {
-        console.error("Failed to fetch availability:", err);
+    loadAvailability();
+  }, [loadAvailability]);
+
+  // Live updates: refetch when someone else books, moves, cancels or holds a
+  // slot in view, and again when a hold lapses (expired holds send nothing)
+  const loadRef = useRef(loadAvailability);
+  loadRef.current = loadAvailability;
+  useEffect(() => {
+    if (!provider || !rangeStart || typeof EventSource === 'undefined') return undefined;
+    const timers = new Set();
+    let pending = null;
+    const refresh = () => {
+      clearTimeout(pending);
+      pending = setTimeout(() => loadRef.current(), REFRESH_DELAY_MS);
+    };
+    const source = new EventSource(eventStreamUrl(`/providers/${provider._id}/events`));
+    let connected = false;
+    // a reconnect may have missed changes
+    source.onopen = () => {
+      if (connected) refresh();
+      connected = true;
+    };
+    source.addEventListener('change', (e) => {
+      const change = JSON.parse(e.data);
+      if (!touches(change.intervals, rangeStart, rangeEnd)) return;
+      refresh();
+      if (change.expiresAt) {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          refresh();
+        }, Math.max(new Date(change.expiresAt) - Date.now(), 0) + 1000);
+        timers.add(timer);
       }
-    })();
+    });
+    return () => {
+      source.close();
+      clearTimeout(pending);
+      timers.forEach(clearTimeout);
+    };
   }, [provider, rangeStart, rangeEnd]);
 
-  // Handle booking
-  const handleSelectEvent = async (event) => {
-    if (event.isBooked) {
-      alert("This slot is already booked");
-      return;
-    }
-    if (!patient) {
-      alert("No patient available to book. Please add a patient first.");
-      return;
-    }
+  useEffect(() => {
+    setSelected(null);
+  }, [provider, rescheduling]);
 
-    try {
-      const res = await API.post("/bookings", {
-        providerId: provider._id,
-        patientId: patient._id, // dynamically fetched patient
-        start: event.start.toISOString(),
-        end: event.end.toISOString(),
-      });
-      alert("Booked successfully!");
+  const handleRangeChange = (range) => {
+    const start = Array.isArray(range) ? range[0] : range.start;
+    const end = Array.isArray(range) ? range[range.length - 1] : range.end;
+    setRangeStart(DateTime.fromJSDate(start, { zone }).startOf('day').toUTC().toISO());
+    setRangeEnd(DateTime.fromJSDate(end, { zone }).endOf('day').toUTC().toISO());
+  };
 
-      // Refresh availability after booking
-      const refreshed = await API.get(`/providers/${provider._id}/availability`, {
-        params: { from: rangeStart, to: rangeEnd },
-      });
-      const mapped = refreshed.data.slots.map((s) => ({
-        title: s.isBooked ? `Booked (${s.booking?.patient?.first_name || 'patient'})` : 'Available',
-        start: new Date(s.start),
-        end: new Date(s.end),
-        isBooked: s.isBooked,
-        booking: s.booking,
-      }));
-      setEvents(mapped);
+  const handleSelectEvent = (event) => {
+    setNotice(null);
+    if (event.isBooked) return setError('This slot is already booked');
+    if (event.isHeld) return setError('This slot is on hold for someone else');
+    if (!patient && !rescheduling) return setError('Choose a patient before picking a slot');
+    setError(null);
+    setSelected(event);
+  };
+
+  const handleConfirm = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      if (rescheduling) {
+        const res = await API.patch(`/bookings/${rescheduling._id}/reschedule`, {
+          start: selected.start.toISOString(),
+        });
+        setNotice(`Moved to ${formatWhen(res.data.booking.start, providerZone(provider))}`);
+        onRescheduled && onRescheduled(res.data.booking);
+      } else {
+        const res = await API.post('/bookings', {
+          providerId: provider._id,
+          patientId: patient._id,
+          start: selected.start.toISOString(),
+          end: selected.end.toISOString(),
+        });
+        setNotice(`Booked ${formatWhen(res.data.booking.start, providerZone(provider))} with ${provider.name}`);
+        onBooked && onBooked(res.data.booking);
+      }
+      setSelected(null);
     } catch (err) {
-      console.error("Booking failed:", err);
-      alert("Booking failed: " + (err.response?.data?.error || err.message));
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+      loadAvailability();
     }
   };
 
   return (
-    <div style={{ height: 600 }}>
-      <Calendar
-        localizer={localizer}
-        defaultView="week"
-        events={events}
-        startAccessor="start"
-        endAccessor="end"
-        style={{ height: "100%" }}
-        onSelectEvent={handleSelectEvent}
-      />
+    <div>
+      {rescheduling && (
+        <div style={{ background: '#fff7e0', padding: 8, marginBottom: 8 }}>
+          Pick a new time for the visit on {formatWhen(rescheduling.start, providerZone(provider))}{' '}
+          <button onClick={onCancelReschedule}>Keep the current time</button>
+        </div>
+      )}
+      {selected && (
+        <div style={{ border: '1px solid #ccc', padding: 8, marginBottom: 8 }}>
+          <div>
+            {rescheduling ? 'Move the visit to ' : 'Book '}
+            <strong>{formatWhen(selected.start, providerZone(provider))}</strong> with {provider.name}
+            {!rescheduling && patient?.first_name ? ` for ${patient.first_name} ${patient.last_name || ''}` : ''}?
+          </div>
+          <button onClick={handleConfirm} disabled={busy} style={{ marginTop: 6 }}>
+            {busy ? 'Saving…' : rescheduling ? 'Confirm new time' : 'Confirm booking'}
+          </button>{' '}
+          <button onClick={() => setSelected(null)} disabled={busy}>Back</button>
+        </div>
+      )}
+      <ErrorMessage error={error} onDismiss={() => setError(null)} />
+      {notice && <div style={{ color: 'green', margin: '6px 0' }}>{notice}</div>}
+      <TimezoneSwitch value={displayZone} onChange={setDisplayZone} providerZone={providerZone(provider)} />
+      <div style={{ height: 600 }}>
+        <Calendar
+          key={zone}
+          localizer={localizer}
+          defaultView="week"
+          events={events}
+          startAccessor="start"
+          endAccessor="end"
+          style={{ height: "100%" }}
+          onSelectEvent={handleSelectEvent}
+          onRangeChange={handleRangeChange}
+        />
+      </div>
     </div>
   );
 }
@@ -0,0 +1,12 @@
+import React from 'react';
+
+// Inline error line under a form or action
+export default function ErrorMessage({ error, onDismiss }) {
+  if (!error) return null;
+  return (
+    <div role="alert" style={{ color: 'crimson', margin: '6px 0' }}>
+      {error}
+      {onDismiss && <button onClick={onDismiss} style={{ marginLeft: 8 }}>Dismiss</button>}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { login, errorMessage } from '../api';
+import ErrorMessage from './ErrorMessage';
+
+export default function LoginForm({ onLogin, onRegister }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const session = await login(username, password);
+      onLogin(session);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: 8, maxWidth: 280 }}>
+      <h3>Sign in</h3>
+      <input placeholder="Username" value={username} onChange={e => setUsername(e.target.value)} autoFocus />
+      <input placeholder="Password" type="password" value={password} onChange={e => setPassword(e.target.value)} />
+      <ErrorMessage error={error} />
+      <button type="submit" disabled={busy || !username || !password}>{busy ? 'Signing in…' : 'Sign in'}</button>
+      {onRegister && <button type="button" onClick={onRegister}>New patient? Create an account</button>}
+    </form>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import API, { errorMessage } from '../api';
+import ErrorMessage from './ErrorMessage';
+import { formatWhen, providerZone } from '../time';
+
+const ACTIVE = 'booked,confirmed,checked_in';
+const PAST = 'booked,confirmed,checked_in,completed,cancelled,no_show';
+const MOVABLE = ['booked', 'confirmed'];
+const LIST_PARAMS = { populate: 'provider,appointmentType', limit: 20 };
+// soonest upcoming visit first, most recent past one first
+const upcomingParams = (patient, now) => ({ ...LIST_PARAMS, patientId: patient._id, status: ACTIVE, from: now, sort: 'start' });
+const pastParams = (patient, now) => ({ ...LIST_PARAMS, patientId: patient._id, status: PAST, to: now, sort: '-start' });
+
+function AppointmentRow({ booking, actions }) {
+  return (
+    <li style={{ padding: '6px 0', borderBottom: '1px solid #eee' }}>
+      <strong>{formatWhen(booking.start, providerZone(booking.provider))}</strong> with {booking.provider?.name || 'provider'}
+      {booking.appointmentType?.name ? ` — ${booking.appointmentType.name}` : ''}
+      {' '}<span style={{ color: '#666' }}>({booking.status.replace('_', ' ')})</span>
+      {actions}
+    </li>
+  );
+}
+
+// Upcoming and past visits of one patient, with cancel and reschedule.
+// `refreshKey` changes when something else (a new booking) should reload the list.
+export default function MyAppointments({ patient, onReschedule, refreshKey }) {
+  const [upcoming, setUpcoming] = useState({ items: [], nextCursor: null });
+  const [past, setPast] = useState({ items: [], nextCursor: null });
+  const [cancelling, setCancelling] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!patient) return;
+    const now = new Date().toISOString();
+    try {
+      const [next, before] = await Promise.all([
+        API.get('/bookings', { params: upcomingParams(patient, now) }),
+        API.get('/bookings', { params: pastParams(patient, now) }),
+      ]);
+      setUpcoming(next.data);
+      setPast(before.data);
+    } catch (err) {
+      setError(`Could not load appointments: ${errorMessage(err)}`);
+    }
+  }, [patient]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // next page of a list, appended to what is shown
+  const loadMore = async (list, setList, paramsFor) => {
+    try {
+      const res = await API.get('/bookings', { params: { ...paramsFor(patient, new Date().toISOString()), cursor: list.nextCursor } });
+      setList({ items: [...list.items, ...res.data.items], nextCursor: res.data.nextCursor });
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const handleCancel = async (booking) => {
+    setError(null);
+    try {
+      await API.patch(`/bookings/${booking._id}/cancel`, { reason: 'Cancelled from My appointments' });
+      setCancelling(null);
+      load();
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  if (!patient) return <p>Choose a patient to see their appointments.</p>;
+
+  return (
+    <div>
+      <h3>Upcoming</h3>
+      <ErrorMessage error={error} onDismiss={() => setError(null)} />
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {upcoming.items.map(b => (
+          <AppointmentRow
+            key={b._id}
+            booking={b}
+            actions={MOVABLE.includes(b.status) && (
+              cancelling === b._id ? (
+                <span style={{ marginLeft: 8 }}>
+                  Cancel this visit? <button onClick={() => handleCancel(b)}>Yes, cancel</button>{' '}
+                  <button onClick={() => setCancelling(null)}>No</button>
+                </span>
+              ) : (
+                <span style={{ marginLeft: 8 }}>
+                  <button onClick={() => onReschedule(b)}>Reschedule</button>{' '}
+                  <button onClick={() => setCancelling(b._id)}>Cancel</button>
+                </span>
+              )
+            )}
+          />
+        ))}
+        {upcoming.items.length === 0 && <li style={{ color: '#666' }}>No upcoming appointments</li>}
+      </ul>
+      {upcoming.nextCursor && <button onClick={() => loadMore(upcoming, setUpcoming, upcomingParams)}>Show more</button>}
+
+      <h3>Past</h3>
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {past.items.map(b => <AppointmentRow key={b._id} booking={b} />)}
+        {past.items.length === 0 && <li style={{ color: '#666' }}>No past appointments</li>}
+      </ul>
+      {past.nextCursor && <button onClick={() => loadMore(past, setPast, pastParams)}>Show older</button>}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import API, { errorMessage } from '../api';
+import ErrorMessage from './ErrorMessage';
+
+const EMPTY = { first_name: '', last_name: '', email: '', phone: '' };
+const fullName = p => `${p.first_name || ''} ${p.last_name || ''}`.trim() || '(no name)';
+
+// Front desk: find the patient to book for by name/email, or register a new one
+export default function PatientPicker({ patient, onChange }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [adding, setAdding] = useState(false);
+  const [form, setForm] = useState(EMPTY);
+  const [error, setError] = useState(null);
+
+  // search as the user types (debounced)
+  useEffect(() => {
+    if (patient || adding) return;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await API.get('/patients', { params: { q: query || undefined, limit: 10 } });
+        setResults(res.data.items);
+        setError(null);
+      } catch (err) {
+        setError(errorMessage(err));
+      }
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [query, patient, adding]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const res = await API.post('/patients', {
+        ...form,
+        email: form.email || undefined,
+        phone: form.phone || undefined,
+      });
+      setAdding(false);
+      setForm(EMPTY);
+      onChange(res.data);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  if (patient) {
+    return (
+      <div style={{ marginBottom: 8 }}>
+        Booking for <strong>{fullName(patient)}</strong>{patient.email ? ` (${patient.email})` : ''}{' '}
+        <button onClick={() => onChange(null)}>Change patient</button>
+      </div>
+    );
+  }
+
+  if (adding) {
+    return (
+      <form onSubmit={handleCreate} style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 8 }}>
+        {Object.keys(EMPTY).map(name => (
+          <input
+            key={name}
+            placeholder={name.replace('_', ' ')}
+            value={form[name]}
+            onChange={e => setForm({ ...form, [name]: e.target.value })}
+          />
+        ))}
+        <button type="submit" disabled={!form.first_name || !form.last_name}>Add patient</button>
+        <button type="button" onClick={() => setAdding(false)}>Back to search</button>
+        <ErrorMessage error={error} />
+      </form>
+    );
+  }
+
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <input
+        placeholder="Find patient by name or email"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        style={{ width: 260 }}
+      />{' '}
+      <button onClick={() => setAdding(true)}>New patient</button>
+      <ErrorMessage error={error} />
+      <ul style={{ listStyle: 'none', padding: 0, margin: '6px 0' }}>
+        {results.map(p => (
+          <li key={p._id}>
+            <button onClick={() => onChange(p)}>{fullName(p)}</button>{' '}
+            <span style={{ color: '#666' }}>{p.email || p.phone || ''}</span>
+          </li>
+        ))}
+        {results.length === 0 && <li style={{ color: '#666' }}>No matching patients</li>}
+      </ul>
+    </div>
+  );
+}
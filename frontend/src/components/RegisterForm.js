@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { register, errorMessage } from '../api';
+import ErrorMessage from './ErrorMessage';
+
+const EMPTY = { first_name: '', last_name: '', email: '', phone: '', username: '', password: '' };
+
+// Patient self sign-up (POST /auth/register); signs in on success
+export default function RegisterForm({ onLogin, onCancel }) {
+  const [form, setForm] = useState(EMPTY);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const field = (name, props = {}) => (
+    <input
+      placeholder={props.placeholder || name.replace('_', ' ')}
+      value={form[name]}
+      onChange={e => setForm({ ...form, [name]: e.target.value })}
+      {...props}
+    />
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const session = await register({
+        ...form,
+        email: form.email || undefined,
+        phone: form.phone || undefined,
+      });
+      onLogin(session);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const complete = form.first_name && form.last_name && form.username && form.password;
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: 8, maxWidth: 280 }}>
+      <h3>Create a patient account</h3>
+      {field('first_name', { placeholder: 'First name', autoFocus: true })}
+      {field('last_name', { placeholder: 'Last name' })}
+      {field('email', { placeholder: 'Email (for confirmations)', type: 'email' })}
+      {field('phone', { placeholder: 'Mobile, e.g. +15551234567' })}
+      {field('username', { placeholder: 'Username' })}
+      {field('password', { placeholder: 'Password (8+ characters)', type: 'password' })}
+      <ErrorMessage error={error} />
+      <button type="submit" disabled={busy || !complete}>{busy ? 'Creating…' : 'Create account'}</button>
+      {onCancel && <button type="button" onClick={onCancel}>I already have an account</button>}
+    </form>
+  );
+}
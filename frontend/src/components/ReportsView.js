@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { DateTime } from 'luxon';
+import API, { errorMessage } from '../api';
+import ErrorMessage from './ErrorMessage';
+
+const BREAKDOWNS = [
+  ['weekday_hour', 'weekday × hour'],
+  ['weekday', 'weekday'],
+  ['hour', 'hour'],
+  ['total', 'totals only'],
+];
+const COLUMNS = [
+  ['offeredMinutes', 'Offered min'],
+  ['bookedMinutes', 'Booked min'],
+  ['utilizationPct', 'Utilization %'],
+  ['bookings', 'Bookings'],
+  ['cancellations', 'Cancelled'],
+  ['noShows', 'No-shows'],
+  ['noShowRatePct', 'No-show %'],
+  ['medianLeadTimeHours', 'Median lead (h)'],
+];
+
+const cellStyle = { padding: '2px 8px', borderBottom: '1px solid #eee', textAlign: 'right' };
+const show = value => (value === null || value === undefined ? '–' : value);
+
+function ReportTable({ label, rows }) {
+  return (
+    <table style={{ borderCollapse: 'collapse', marginBottom: 8 }}>
+      <thead>
+        <tr>
+          <th style={{ ...cellStyle, textAlign: 'left' }}>{label}</th>
+          {COLUMNS.map(([key, title]) => <th key={key} style={cellStyle}>{title}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.key}>
+            <td style={{ ...cellStyle, textAlign: 'left' }}>{row.key}</td>
+            {COLUMNS.map(([key]) => <td key={key} style={cellStyle}>{show(row[key])}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Utilization and no-shows per provider (GET /reports/utilization), by weekday
+// and hour in each provider's timezone, with a CSV download
+export default function ReportsView({ providers, ownProvider }) {
+  const [from, setFrom] = useState(DateTime.now().minus({ days: 30 }).toISODate());
+  const [to, setTo] = useState(DateTime.now().toISODate());
+  const [providerId, setProviderId] = useState(ownProvider || '');
+  const [breakdown, setBreakdown] = useState('weekday_hour');
+  const [reports, setReports] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const params = (extra) => ({ from, to, ...(providerId ? { providerIds: providerId } : {}), ...extra });
+
+  const run = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await API.get('/reports/utilization', { params: params() });
+      setReports(res.data.providers);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // fetched through the API client so the request carries the bearer token
+  const download = async () => {
+    setError(null);
+    try {
+      const res = await API.get('/reports/utilization', { params: params({ format: 'csv', breakdown }), responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `utilization-${from}-${to}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`Could not download the CSV: ${errorMessage(err)}`);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginBottom: 8 }}>
+        <label>From <input type="date" value={from} onChange={e => setFrom(e.target.value)} /></label>
+        <label>To <input type="date" value={to} onChange={e => setTo(e.target.value)} /></label>
+        {!ownProvider && (
+          <select value={providerId} onChange={e => setProviderId(e.target.value)}>
+            <option value="">All providers</option>
+            {providers.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+          </select>
+        )}
+        <button onClick={run} disabled={busy}>{busy ? 'Running…' : 'Run report'}</button>
+        <select value={breakdown} onChange={e => setBreakdown(e.target.value)}>
+          {BREAKDOWNS.map(([value, label]) => <option key={value} value={value}>CSV by {label}</option>)}
+        </select>
+        <button onClick={download}>Download CSV</button>
+      </div>
+      <ErrorMessage error={error} onDismiss={() => setError(null)} />
+      {reports && reports.map(report => (
+        <div key={report.provider._id} style={{ marginBottom: 16 }}>
+          <h4 style={{ marginBottom: 4 }}>{report.provider.name} <small>({report.timezone})</small></h4>
+          <ReportTable label="" rows={[{ key: 'Total', ...report.totals }]} />
+          <ReportTable label="Weekday" rows={report.byWeekday.map(r => ({ key: r.weekday, ...r }))} />
+          <ReportTable
+            label="Hour"
+            rows={report.byHour.filter(r => r.offeredMinutes || r.bookings).map(r => ({ key: `${String(r.hour).padStart(2, '0')}:00`, ...r }))}
+          />
+        </div>
+      ))}
+      {reports && !reports.length && <div>No providers to report on.</div>}
+    </div>
+  );
+}
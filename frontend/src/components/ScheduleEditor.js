@@ -0,0 +1,281 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { DateTime } from 'luxon';
+import API, { errorMessage } from '../api';
+import ErrorMessage from './ErrorMessage';
+import { TIME_ZONES } from '../time';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']; // daysOfWeek 1..7
+const SLOT_DURATIONS = [5, 10, 15, 20, 30, 45, 60, 90, 120];
+// built-in calendars on the backend (lib/holidays.js)
+const HOLIDAY_COUNTRIES = [['', 'None'], ['US', 'United States'], ['GB', 'United Kingdom'], ['CA', 'Canada']];
+const PREVIEW_DAYS = 7;
+
+const NEW_RULE = { daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00', slotDuration: 30, capacity: 1 };
+const NEW_EXCEPTION = { date: '', available: false, startTime: '', endTime: '', note: '' };
+
+// editable copy of a provider's scheduleConfig
+function draftOf(config = {}) {
+  return {
+    timezone: config.timezone || 'UTC',
+    recurringRules: (config.recurringRules || []).map(r => ({ ...r })),
+    exceptions: (config.exceptions || []).map(e => ({ ...e })),
+    holidayCountry: config.holidayCountry || '',
+    minNoticeMinutes: config.minNoticeMinutes ?? 60,
+    maxDaysAhead: config.maxDaysAhead ?? 365,
+  };
+}
+
+// what PUT /config gets: blank optional fields left out
+function payloadOf(draft) {
+  const blankToUndefined = obj => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, v === '' ? undefined : v]));
+  return {
+    ...draft,
+    holidayCountry: draft.holidayCountry || null,
+    exceptions: draft.exceptions.map(blankToUndefined),
+  };
+}
+
+function RulesGrid({ rules, onChange }) {
+  const update = (i, patch) => onChange(rules.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const toggleDay = (i, day) => {
+    const days = rules[i].daysOfWeek.includes(day)
+      ? rules[i].daysOfWeek.filter(d => d !== day)
+      : [...rules[i].daysOfWeek, day].sort();
+    update(i, { daysOfWeek: days });
+  };
+
+  return (
+    <table style={{ borderCollapse: 'collapse' }}>
+      <thead>
+        <tr>
+          {DAYS.map(d => <th key={d}>{d}</th>)}
+          <th>From</th><th>To</th><th>Slot</th><th>Seats</th><th />
+        </tr>
+      </thead>
+      <tbody>
+        {rules.map((rule, i) => (
+          <tr key={i}>
+            {DAYS.map((d, idx) => (
+              <td key={d} style={{ textAlign: 'center' }}>
+                <input type="checkbox" checked={rule.daysOfWeek.includes(idx + 1)} onChange={() => toggleDay(i, idx + 1)} />
+              </td>
+            ))}
+            <td><input type="time" value={rule.startTime} onChange={e => update(i, { startTime: e.target.value })} /></td>
+            <td><input type="time" value={rule.endTime} onChange={e => update(i, { endTime: e.target.value })} /></td>
+            <td>
+              <select value={rule.slotDuration} onChange={e => update(i, { slotDuration: Number(e.target.value) })}>
+                {SLOT_DURATIONS.map(m => <option key={m} value={m}>{m} min</option>)}
+              </select>
+            </td>
+            <td>
+              <input type="number" min="1" style={{ width: 50 }} value={rule.capacity || 1}
+                onChange={e => update(i, { capacity: Number(e.target.value) || 1 })} />
+            </td>
+            <td><button onClick={() => onChange(rules.filter((r, j) => j !== i))}>Remove</button></td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr><td colSpan={DAYS.length + 5}><button onClick={() => onChange([...rules, { ...NEW_RULE }])}>Add hours</button></td></tr>
+      </tfoot>
+    </table>
+  );
+}
+
+function ExceptionsManager({ exceptions, holidayCountry, onChange, onCountryChange }) {
+  const [holidays, setHolidays] = useState([]);
+  const update = (i, patch) => onChange(exceptions.map((e, j) => (j === i ? { ...e, ...patch } : e)));
+
+  useEffect(() => {
+    if (!holidayCountry) return setHolidays([]);
+    API.get('/schedule/holidays', { params: { country: holidayCountry } })
+      .then(res => setHolidays(res.data.holidays))
+      .catch(() => setHolidays([]));
+  }, [holidayCountry]);
+
+  return (
+    <div>
+      <label>
+        Public holidays (closed):{' '}
+        <select value={holidayCountry} onChange={e => onCountryChange(e.target.value)}>
+          {HOLIDAY_COUNTRIES.map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+        </select>
+      </label>
+      {holidays.length > 0 && (
+        <div style={{ color: '#666', fontSize: 13, margin: '4px 0' }}>
+          This year: {holidays.map(h => `${h.date} ${h.name}`).join(' · ')}.
+          An exception with hours on one of these days opens it anyway.
+        </div>
+      )}
+
+      <table style={{ borderCollapse: 'collapse', marginTop: 8 }}>
+        <thead>
+          <tr><th>Date</th><th>Until</th><th>Repeats (rrule)</th><th>Open</th><th>From</th><th>To</th><th>Note</th><th /></tr>
+        </thead>
+        <tbody>
+          {exceptions.map((ex, i) => (
+            <tr key={i}>
+              <td><input type="date" value={ex.date || ''} onChange={e => update(i, { date: e.target.value })} /></td>
+              <td><input type="date" value={ex.endDate || ''} onChange={e => update(i, { endDate: e.target.value })} /></td>
+              <td><input placeholder="e.g. FREQ=YEARLY" value={ex.rrule || ''} onChange={e => update(i, { rrule: e.target.value })} /></td>
+              <td style={{ textAlign: 'center' }}>
+                <input type="checkbox" checked={!!ex.available} onChange={e => update(i, { available: e.target.checked })} />
+              </td>
+              <td><input type="time" value={ex.startTime || ''} onChange={e => update(i, { startTime: e.target.value })} /></td>
+              <td><input type="time" value={ex.endTime || ''} onChange={e => update(i, { endTime: e.target.value })} /></td>
+              <td><input value={ex.note || ''} onChange={e => update(i, { note: e.target.value })} /></td>
+              <td><button onClick={() => onChange(exceptions.filter((x, j) => j !== i))}>Remove</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ color: '#666', fontSize: 13 }}>
+        Not open + no times = closed all day; not open + times = blocked between them; open + times = extra hours.
+      </div>
+      <button onClick={() => onChange([...exceptions, { ...NEW_EXCEPTION }])}>Add exception</button>
+    </div>
+  );
+}
+
+// Slots per local day in the provider's zone
+function SlotPreview({ slots, timezone }) {
+  const days = useMemo(() => {
+    const byDay = new Map();
+    for (const s of slots) {
+      const start = DateTime.fromISO(s.start, { zone: timezone });
+      const key = start.toISODate();
+      if (!byDay.has(key)) byDay.set(key, { label: start.toFormat('ccc d LLL'), times: [] });
+      byDay.get(key).times.push(start.toFormat('HH:mm') + (s.capacity > 1 ? ` (${s.capacity})` : ''));
+    }
+    return [...byDay.values()];
+  }, [slots, timezone]);
+
+  if (!days.length) return <p style={{ color: '#666' }}>No bookable slots in the next {PREVIEW_DAYS} days.</p>;
+  return (
+    <ul style={{ listStyle: 'none', padding: 0, fontSize: 13 }}>
+      {days.map(d => (
+        <li key={d.label} style={{ marginBottom: 4 }}>
+          <strong style={{ display: 'inline-block', width: 90 }}>{d.label}</strong>
+          {d.times.length} slots: {d.times.join(', ')}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Edit a provider's base scheduleConfig with a live preview of the slots it
+// would publish (POST /providers/:id/config/preview), then save it (PUT /config).
+export default function ScheduleEditor({ provider, onSaved }) {
+  const [draft, setDraft] = useState(() => draftOf(provider.scheduleConfig));
+  const [preview, setPreview] = useState({ slots: [], affected: [] });
+  const [previewError, setPreviewError] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    setDraft(draftOf(provider.scheduleConfig));
+    setNotice(null);
+  }, [provider]);
+
+  // re-run the preview shortly after the last edit
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      const from = DateTime.utc();
+      try {
+        const res = await API.post(`/providers/${provider._id}/config/preview`, payloadOf(draft), {
+          params: { from: from.toISO(), to: from.plus({ days: PREVIEW_DAYS }).toISO() },
+        });
+        setPreview(res.data);
+        setPreviewError(null);
+      } catch (err) {
+        setPreviewError(errorMessage(err));
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [draft, provider._id]);
+
+  const set = patch => setDraft(d => ({ ...d, ...patch }));
+
+  const handleSave = async () => {
+    if (preview.affected.length && !window.confirm(`${preview.affected.length} upcoming booking(s) fall outside the new hours. Save anyway?`)) {
+      return;
+    }
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const res = await API.put(`/providers/${provider._id}/config`, payloadOf(draft));
+      setNotice('Schedule saved');
+      onSaved && onSaved(res.data);
+    } catch (err) {
+      setSaveError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: 24, alignItems: 'flex-start' }}>
+      <div style={{ flex: 3 }}>
+        <h3>Schedule for {provider.name}</h3>
+        <label>
+          Timezone:{' '}
+          <select value={draft.timezone} onChange={e => set({ timezone: e.target.value })}>
+            {[...new Set([draft.timezone, ...TIME_ZONES])].map(z => <option key={z} value={z}>{z}</option>)}
+          </select>
+        </label>
+
+        <h4>Weekly hours</h4>
+        <RulesGrid rules={draft.recurringRules} onChange={recurringRules => set({ recurringRules })} />
+
+        <h4>Exceptions and holidays</h4>
+        <ExceptionsManager
+          exceptions={draft.exceptions}
+          holidayCountry={draft.holidayCountry}
+          onChange={exceptions => set({ exceptions })}
+          onCountryChange={holidayCountry => set({ holidayCountry })}
+        />
+
+        <h4>Booking constraints</h4>
+        <label>
+          Minimum notice{' '}
+          <input type="number" min="0" style={{ width: 70 }} value={draft.minNoticeMinutes}
+            onChange={e => set({ minNoticeMinutes: Number(e.target.value) })} /> minutes
+        </label>{' '}
+        <label style={{ marginLeft: 12 }}>
+          Book up to{' '}
+          <input type="number" min="1" style={{ width: 70 }} value={draft.maxDaysAhead}
+            onChange={e => set({ maxDaysAhead: Number(e.target.value) })} /> days ahead
+        </label>
+
+        <div style={{ marginTop: 12 }}>
+          <button onClick={handleSave} disabled={saving || !!previewError}>{saving ? 'Saving…' : 'Save schedule'}</button>{' '}
+          <button onClick={() => setDraft(draftOf(provider.scheduleConfig))} disabled={saving}>Discard changes</button>
+        </div>
+        <ErrorMessage error={saveError} onDismiss={() => setSaveError(null)} />
+        {notice && <div style={{ color: 'green', margin: '6px 0' }}>{notice}</div>}
+      </div>
+
+      <div style={{ flex: 2 }}>
+        <h4>Preview: next {PREVIEW_DAYS} days ({draft.timezone})</h4>
+        {previewError
+          ? <ErrorMessage error={previewError} />
+          : <SlotPreview slots={preview.slots} timezone={draft.timezone} />}
+        {!previewError && preview.affected.length > 0 && (
+          <div style={{ color: '#a60' }}>
+            <strong>{preview.affected.length} upcoming booking(s) would fall outside these hours:</strong>
+            <ul>
+              {preview.affected.map(({ booking, reasons }) => (
+                <li key={booking._id}>
+                  {DateTime.fromISO(booking.start, { zone: draft.timezone }).toFormat('ccc d LLL HH:mm')}{' '}
+                  {booking.patient ? `${booking.patient.first_name || ''} ${booking.patient.last_name || ''}` : ''}
+                  {' '}— {reasons[0]?.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
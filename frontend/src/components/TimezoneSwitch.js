@@ -0,0 +1,28 @@
+import React from 'react';
+import { TIME_ZONES, VIEWER_ZONE } from '../time';
+
+// Which zone the calendar is drawn in: the provider's, the viewer's, or any IANA zone
+export default function TimezoneSwitch({ value, onChange, providerZone }) {
+  const custom = value !== 'provider' && value !== 'viewer';
+  return (
+    <div style={{ margin: '6px 0' }}>
+      Show times in:{' '}
+      <label>
+        <input type="radio" checked={value === 'provider'} onChange={() => onChange('provider')} />
+        provider ({providerZone})
+      </label>{' '}
+      <label>
+        <input type="radio" checked={value === 'viewer'} onChange={() => onChange('viewer')} />
+        mine ({VIEWER_ZONE})
+      </label>{' '}
+      <label>
+        <input type="radio" checked={custom} onChange={() => onChange(custom ? value : 'UTC')} />
+        other{' '}
+      </label>
+      <select value={custom ? value : ''} onChange={e => onChange(e.target.value)} disabled={!custom}>
+        {!custom && <option value="">—</option>}
+        {[...new Set([...(custom ? [value] : []), ...TIME_ZONES])].map(z => <option key={z} value={z}>{z}</option>)}
+      </select>
+    </div>
+  );
+}
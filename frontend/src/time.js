@@ -0,0 +1,45 @@
+import { DateTime } from 'luxon';
+
+// The browser's own zone
+export const VIEWER_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const FALLBACK_ZONES = ['UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+  'Pacific/Honolulu', 'Europe/London', 'Europe/Berlin', 'Asia/Karachi', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'];
+export const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_ZONES;
+
+export const providerZone = provider => provider?.scheduleConfig?.timezone || 'UTC';
+
+// "Tue, Mar 3, 2026, 10:00 AM HST"
+export function formatIn(date, zone) {
+  return DateTime.fromJSDate(new Date(date), { zone }).toLocaleString({
+    ...DateTime.DATETIME_MED_WITH_WEEKDAY,
+    timeZoneName: 'short',
+  });
+}
+
+// Time of a visit for the provider's zone, plus the viewer's when it differs
+export function formatWhen(date, zone = VIEWER_ZONE) {
+  const there = formatIn(date, zone);
+  if (zone === VIEWER_ZONE) return there;
+  return `${there} (${formatIn(date, VIEWER_ZONE)} your time)`;
+}
+
+// luxon's DateTime reading and creating times in `zone` instead of luxon's
+// default zone, for react-big-calendar's luxonLocalizer (it calls fromJSDate
+// and local() without a zone). luxon's global Settings are left alone.
+export function zonedDateTime(zone) {
+  return class ZonedDateTime extends DateTime {
+    static fromJSDate(date, opts) {
+      return DateTime.fromJSDate(date, { zone, ...opts });
+    }
+
+    static local(...args) {
+      const opts = args.length && typeof args[args.length - 1] === 'object' ? args.pop() : {};
+      return DateTime.local(...args, { zone, ...opts });
+    }
+
+    static now() {
+      return DateTime.now().setZone(zone);
+    }
+  };
+}